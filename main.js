@@ -65,6 +65,8 @@ function toggleBase(buttonEl) {
     currentBase = 'streets';
     if (buttonEl) buttonEl.textContent = 'Satellite';
   }
+
+  schedulePermalinkUpdate();
 }
 
 const BaseSwitcher = L.Control.extend({
@@ -96,6 +98,7 @@ map.addControl(new BaseSwitcher());
  * GOOGLE SHEETS CONFIG & PROJ
  ****************************************************/
 
+// Published sheet(s) used until the user configures their own sources
 const SHEET_URLS = [
   'https://docs.google.com/spreadsheets/d/e/2PACX-1vTe1IWRLcQKE6U_9VO7SPqdFYbhjiZ8RhsG3eZUYzpnM9xeOK6y7nBK6BAi7q2vkkHALkDoVbXFbmY6/pub?output=csv',
 ];
@@ -110,23 +113,264 @@ function utm32620ToLatLng(easting, northing) {
   return { lat, lng };
 }
 
+/****************************************************
+ * CLASS BREAKS (shared by complaint and upload styling)
+ ****************************************************/
+
+const CLASS_BREAK_METHODS = {
+  manual: 'Manual',
+  quantile: 'Quantile',
+  equal: 'Equal interval',
+  jenks: 'Natural breaks (Jenks)',
+};
+
+// Jenks is O(n²·k); larger inputs are thinned to an evenly spaced sample
+const JENKS_MAX_SAMPLE = 1000;
+
+function jenksBreaks(sorted, count) {
+  let data = sorted;
+  if (data.length > JENKS_MAX_SAMPLE) {
+    const step = data.length / JENKS_MAX_SAMPLE;
+    data = Array.from(
+      { length: JENKS_MAX_SAMPLE },
+      (_, i) => sorted[Math.floor(i * step)]
+    );
+  }
+
+  const n = data.length;
+  const lower = Array.from({ length: n + 1 }, () => Array(count + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () =>
+    Array(count + 1).fill(0)
+  );
+
+  for (let j = 1; j <= count; j++) {
+    lower[1][j] = 1;
+    for (let i = 2; i <= n; i++) variance[i][j] = Infinity;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let s1 = 0;
+    let s2 = 0;
+    let w = 0;
+    let v = 0;
+
+    for (let m = 1; m <= l; m++) {
+      const i3 = l - m + 1;
+      const val = data[i3 - 1];
+      s1 += val;
+      s2 += val * val;
+      w++;
+      v = s2 - (s1 * s1) / w;
+
+      const i4 = i3 - 1;
+      if (i4 === 0) continue;
+      for (let j = 2; j <= count; j++) {
+        if (variance[l][j] >= v + variance[i4][j - 1]) {
+          lower[l][j] = i3;
+          variance[l][j] = v + variance[i4][j - 1];
+        }
+      }
+    }
+
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  const breaks = [];
+  let k = n;
+  for (let j = count; j >= 2; j--) {
+    const idx = lower[k][j] - 2;
+    breaks.unshift(data[Math.max(idx, 0)]);
+    k = lower[k][j] - 1;
+  }
+  return breaks;
+}
+
+// Upper bounds (inclusive) of every class except the last, ascending.
+// A value v falls in class i when v <= breaks[i], or the last class.
+function computeClassBreaks(values, method, count, manualBreaks) {
+  const sorted = values
+    .map(Number)
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+
+  if (method === 'manual') {
+    return (manualBreaks || [])
+      .map(Number)
+      .filter(Number.isFinite)
+      .sort((a, b) => a - b)
+      .slice(0, count - 1);
+  }
+
+  if (!sorted.length || count < 2) return [];
+
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  let breaks = [];
+
+  if (method === 'equal') {
+    const step = (max - min) / count;
+    for (let i = 1; i < count; i++) breaks.push(min + step * i);
+  } else if (method === 'quantile') {
+    for (let i = 1; i < count; i++) {
+      const idx = Math.min(
+        sorted.length - 1,
+        Math.ceil((i * sorted.length) / count) - 1
+      );
+      breaks.push(sorted[Math.max(idx, 0)]);
+    }
+  } else if (method === 'jenks') {
+    const unique = Array.from(new Set(sorted));
+    breaks =
+      unique.length <= count ? unique.slice(0, -1) : jenksBreaks(sorted, count);
+  }
+
+  return Array.from(new Set(breaks)).filter((b) => b < max);
+}
+
+function classIndexForValue(value, breaks) {
+  for (let i = 0; i < breaks.length; i++) {
+    if (value <= breaks[i]) return i;
+  }
+  return breaks.length;
+}
+
+// n evenly spaced colours along a multi-stop ramp
+function interpolateColorRamp(stops, n) {
+  if (n <= 1) return [stops[stops.length - 1]];
+  const rgbStops = stops.map(cssColorToRgb);
+  const toHex = (v) => Math.round(v).toString(16).padStart(2, '0');
+
+  return Array.from({ length: n }, (_, i) => {
+    const t = (i / (n - 1)) * (rgbStops.length - 1);
+    const lo = Math.floor(t);
+    const hi = Math.min(lo + 1, rgbStops.length - 1);
+    const f = t - lo;
+    const rgb = rgbStops[lo].map((c, k) => c + (rgbStops[hi][k] - c) * f);
+    return `#${rgb.map(toHex).join('')}`;
+  });
+}
+
 /****************************************************
  * GOOGLE SHEET POINTS: DATA, CONTROLS, LAYERS
  ****************************************************/
 
+// Defaults reproduce the original fixed classes: 0–1 / 2–6 / 7+
 const COMPLAINT_CATEGORY_COLORS = {
-  High: '#FF090B', // 7+
-  Medium: '#FE9900', // 2–6
-  Low: '#06FEEE', // 0–1
+  High: '#FF090B',
+  Medium: '#FE9900',
+  Low: '#06FEEE',
 };
 
-function complaintsToCategory(n) {
+const COMPLAINT_CLASS_NAMES = {
+  2: ['Low', 'High'],
+  3: ['Low', 'Medium', 'High'],
+  4: ['Low', 'Moderate', 'Elevated', 'High'],
+  5: ['Very low', 'Low', 'Medium', 'High', 'Very high'],
+  6: ['Very low', 'Low', 'Moderate', 'Elevated', 'High', 'Very high'],
+};
+
+const complaintClassification = {
+  method: 'manual',
+  classCount: 3,
+  manualBreaks: [1, 6],
+  colors: [
+    COMPLAINT_CATEGORY_COLORS.Low,
+    COMPLAINT_CATEGORY_COLORS.Medium,
+    COMPLAINT_CATEGORY_COLORS.High,
+  ],
+  scaleRadius: false,
+};
+
+// Derived from complaintClassification + data: [{ name, min, max, color }]
+let complaintClasses = [];
+
+function defaultComplaintColors(count) {
+  return interpolateColorRamp(
+    [
+      COMPLAINT_CATEGORY_COLORS.Low,
+      COMPLAINT_CATEGORY_COLORS.Medium,
+      COMPLAINT_CATEGORY_COLORS.High,
+    ],
+    count
+  );
+}
+
+function buildComplaintClasses(values, settings) {
+  const count = settings.classCount;
+  // Complaint counts are whole numbers, so breaks are too
+  const breaks = Array.from(
+    new Set(
+      computeClassBreaks(
+        values,
+        settings.method,
+        count,
+        settings.manualBreaks
+      ).map((b) => Math.floor(b))
+    )
+  );
+
+  const names =
+    COMPLAINT_CLASS_NAMES[breaks.length + 1] ||
+    Array.from({ length: breaks.length + 1 }, (_, i) => `Class ${i + 1}`);
+  const colors =
+    settings.colors.length === breaks.length + 1
+      ? settings.colors
+      : defaultComplaintColors(breaks.length + 1);
+
+  return names.map((name, i) => ({
+    name,
+    min: i === 0 ? 0 : breaks[i - 1] + 1,
+    max: i < breaks.length ? breaks[i] : Infinity,
+    breakValue: breaks[i],
+    color: colors[i],
+  }));
+}
+
+function complaintClassIndex(n) {
   const value = Number(n) || 0;
-  if (value <= 1) return 'Low';
-  if (value <= 6) return 'Medium';
-  return 'High';
+  const breaks = complaintClasses.slice(0, -1).map((c) => c.breakValue);
+  return classIndexForValue(value, breaks);
+}
+
+function complaintsToCategory(n) {
+  const cls = complaintClasses[complaintClassIndex(n)];
+  return cls ? cls.name : '';
+}
+
+function complaintCategoryColor(category) {
+  const cls = complaintClasses.find((c) => c.name === category);
+  return cls ? cls.color : '#e5e7eb';
+}
+
+function complaintClassRangeLabel(cls) {
+  if (cls.max === Infinity) return `${cls.min}+`;
+  if (cls.min === cls.max) return `${cls.min}`;
+  return `${cls.min}–${cls.max}`;
+}
+
+let sheetMaxComplaints = 1;
+
+function sheetMarkerRadius(complaints) {
+  if (!complaintClassification.scaleRadius) return 6;
+  return 4 + 10 * Math.sqrt((Number(complaints) || 0) / sheetMaxComplaints);
+}
+
+// Recompute classes from the loaded points and re-tag every point. Only
+// sources symbolised by complaint class feed the breaks.
+function applyComplaintClassification() {
+  const values = complaintSheetPoints(sheetPoints).map((p) => p.complaints);
+  complaintClasses = buildComplaintClasses(values, complaintClassification);
+  sheetMaxComplaints = Math.max(1, numericExtent(values)[1]);
+
+  (sheetPoints || []).forEach((p) => {
+    p.classIndex = complaintClassIndex(p.complaints);
+    p.category = complaintClasses[p.classIndex].name;
+  });
 }
 
+complaintClasses = buildComplaintClasses([], complaintClassification);
+
 let allDataRows = [];
 let sheetPoints = [];
 let sheetMarkerLayer = null;
@@ -134,15 +378,21 @@ let sheetHeatLayer = null;
 let sheetPointsVisible = false;
 let sheetLabelsOn = false;
 let sheetDisplayMode = 'categories'; // 'categories' | 'heatmap'
+let sheetClusterOn = false;
 
 const sheetControls = {
   container: null,
   pointsCheckbox: null,
   labelsCheckbox: null,
+  clusterCheckbox: null,
   displayRadios: [],
 };
 
-// Load a single sheet URL
+// Spreadsheet row number of each parsed row (the header is row 1), so
+// problems can be reported in terms the sheet owners recognise
+const sheetRowNumbers = new WeakMap();
+
+// Load a single sheet URL (blank lines dropped)
 function loadSheet(url) {
   return new Promise((resolve, reject) => {
     Papa.parse(url, {
@@ -150,8 +400,9 @@ function loadSheet(url) {
       header: true,
       dynamicTyping: false,
       complete: function (results) {
-        const rows = results.data.filter(
-          (r) => r['Easting'] && r['Northing']
+        results.data.forEach((r, i) => sheetRowNumbers.set(r, i + 2));
+        const rows = results.data.filter((r) =>
+          Object.values(r).some((v) => String(v ?? '').trim() !== '')
         );
         resolve(rows);
       },
@@ -162,45 +413,73 @@ function loadSheet(url) {
   });
 }
 
-// Load & merge all sheet URLs
+// Load every configured source; one failing sheet doesn't stop the rest.
+// Returns the names of the sources that could not be loaded.
 async function loadAllSheets() {
-  const promises = SHEET_URLS.map((u) => loadSheet(u));
-  const sheetsArrays = await Promise.all(promises);
-  allDataRows = sheetsArrays.flat();
+  await Promise.all(sheetSources.map((source) => loadSheetSource(source)));
+  allDataRows = sheetSources.flatMap((s) => sheetSourceRows[s.id] || []);
   console.log('Loaded rows:', allDataRows.length, allDataRows);
+  return sheetSources.filter((s) => sheetSourceErrors[s.id]).map((s) => s.name);
 }
 
-// Build sheetPoints array
+// Build sheetPoints array, keeping track of which source each row came from.
+// Rejected and suspicious rows are recorded for the data-quality panel.
 function buildSheetPoints() {
-  if (!allDataRows || !allDataRows.length) return;
+  removeDataQualityReports((key) => key.startsWith('sheet:'));
+
+  sheetPoints = sheetSources.flatMap((source) => {
+    const checks = [];
+    const points = [];
+    const utm = sheetCoordType(source) === 'utm';
+
+    (sheetSourceRows[source.id] || []).forEach((row, i) => {
+      const check = {
+        row,
+        rowNumber: sheetRowNumbers.get(row) || i + 2,
+        label: sheetRowValue(row, source, 'location') || '',
+        reasons: [],
+      };
+      checks.push(check);
 
-  sheetPoints = allDataRows
-    .map((row) => {
-      const e = parseFloat(row['Easting']);
-      const n = parseFloat(row['Northing']);
-      if (!Number.isFinite(e) || !Number.isFinite(n)) return null;
+      const xRaw = sheetRowValue(row, source, utm ? 'easting' : 'longitude');
+      const yRaw = sheetRowValue(row, source, utm ? 'northing' : 'latitude');
+      if (!checkRowCoordinates(check, xRaw, yRaw)) return;
 
-      const { lat, lng } = utm32620ToLatLng(e, n);
+      const x = parseFloat(xRaw);
+      const y = parseFloat(yRaw);
+      const { lat, lng } = utm ? utm32620ToLatLng(x, y) : { lat: y, lng: x };
+      if (!isInsideTT(lat, lng)) {
+        check.reasons.push(OUTSIDE_TT_REASON);
+      }
+      check.coordKey = `${x}|${y}`;
 
-      const locationName =
-        row['Location'] ||
-        row['location'] ||
-        row['Site'] ||
-        row['Name'] ||
-        '';
+      const countRaw = sheetRowValue(row, source, 'complaints');
+      if (source.symbology.mode === 'classes') {
+        const countIssue = complaintCountIssue(countRaw);
+        if (countIssue) check.reasons.push(countIssue);
+      }
 
-      const complaintsRaw =
-        row['Number of Complaints'] ??
-        row['Complaints'] ??
-        row['No_of_Complaints'] ??
-        row['Number_of_Complaints'];
+      const when = sheetRowDate(row, source);
+      check.dateKey = when.date ? String(when.date.getTime()) : '';
+
+      points.push({
+        lat,
+        lng,
+        location: check.label,
+        complaints: Number(countRaw) || 0,
+        category: '',
+        ...when,
+        sourceId: source.id,
+        row,
+      });
+    });
 
-      const complaints = Number(complaintsRaw) || 0;
-      const category = complaintsToCategory(complaints);
+    flagDuplicateRows(checks);
+    setDataQualityReport(`sheet:${source.id}`, source.name, checks);
+    return points;
+  });
 
-      return { lat, lng, location: locationName, complaints, category };
-    })
-    .filter(Boolean);
+  applyComplaintClassification();
 }
 
 // Initialise circle markers + heatmap from sheetPoints
@@ -210,48 +489,164 @@ function initSheetLayers() {
     return;
   }
 
-  // Circle markers
-  sheetMarkerLayer = L.layerGroup();
+  sheetMarkerLayer = buildSheetMarkerLayer();
+
+  sheetHeatLayer = L.heatLayer(
+    sheetHeatData(),
+    heatLayerOptions(sheetHeatSettings)
+  );
+
+  updateSheetLayerVisibility();
+}
+
+// Points that pass the active filters (time range, attribute query)
+function getVisibleSheetPoints() {
+  return (sheetPoints || []).filter(
+    (p) =>
+      passesSheetSourceFilter(p) &&
+      passesSheetTimeFilter(p) &&
+      passesSheetAttributeFilter(p)
+  );
+}
+
+function sheetHeatData() {
+  return complaintSheetPoints(getVisibleSheetPoints()).map((p) => [
+    p.lat,
+    p.lng,
+    Math.max(p.complaints, 1),
+  ]);
+}
+
+// Re-apply filters to both the markers and the heat layer
+function refreshSheetLayers() {
+  if (!sheetMarkerLayer || !sheetHeatLayer) return;
+  sheetHeatLayer.setLatLngs(sheetHeatData());
+  rebuildSheetMarkers();
+  refreshAttributeTable('sheet');
+  refreshPointDetail();
+}
+
+// Shared cluster bubble: count on a disc in the given colour
+function buildClusterIcon(count, color) {
+  const size = count < 10 ? 30 : count < 100 ? 36 : 44;
+  return L.divIcon({
+    html: `<div class="point-cluster-inner" style="background:${color}"><span>${count}</span></div>`,
+    className: 'point-cluster',
+    iconSize: L.point(size, size),
+  });
+}
+
+// Clusters take the colour of the highest complaint class they contain
+function complaintClusterIcon(cluster) {
+  let worst = 0;
+  cluster.getAllChildMarkers().forEach((m) => {
+    if (m._complaintClass > worst) worst = m._complaintClass;
+  });
+  const cls = complaintClasses[worst];
+  return buildClusterIcon(
+    cluster.getChildCount(),
+    cls ? cls.color : '#e5e7eb'
+  );
+}
+
+function createPointGroup(clustered, iconCreateFunction, pane) {
+  if (!clustered || typeof L.markerClusterGroup !== 'function') {
+    return L.layerGroup();
+  }
+  return L.markerClusterGroup({
+    showCoverageOnHover: false,
+    spiderfyOnMaxZoom: true,
+    spiderfyDistanceMultiplier: 1.5,
+    maxClusterRadius: 45,
+    iconCreateFunction,
+    ...(pane ? { clusterPane: pane } : {}),
+  });
+}
+
+// Popup content as DOM nodes: names and cell values come straight from
+// the published sheet, so none of them may be read as HTML
+function buildSheetPopup(p, source, usesClasses) {
+  const el = document.createElement('div');
+  const addLine = (text) => {
+    el.appendChild(document.createTextNode(text));
+    el.appendChild(document.createElement('br'));
+  };
+
+  const title = document.createElement('strong');
+  title.textContent = p.location || 'Location';
+  el.appendChild(title);
+  el.appendChild(document.createElement('br'));
+
+  addLine(source.name);
+  if (usesClasses) addLine(`Complaints: ${p.complaints}`);
+  (sheetMappingForSource(source).popup || [])
+    .filter((field) => !isBlankValue(p.row[field]))
+    .forEach((field) => addLine(`${field}: ${p.row[field]}`));
+
+  return el;
+}
+
+// Circle markers, plain or clustered depending on sheetClusterOn
+function buildSheetMarkerLayer() {
+  const group = createPointGroup(sheetClusterOn, complaintClusterIcon);
+  const highlight = sheetHighlightActive();
+
   sheetPoints.forEach((p) => {
-    const fillColor = COMPLAINT_CATEGORY_COLORS[p.category] || '#e5e7eb';
+    p.marker = null;
+  });
+
+  getVisibleSheetPoints().forEach((p) => {
+    const source = sheetSourceById(p.sourceId);
+    const usesClasses = sheetSourceUsesClasses(p.sourceId);
+    const fillColor = usesClasses
+      ? complaintCategoryColor(p.category)
+      : source.symbology.color;
+    const isMatch =
+      highlight && matchesAttributeFilter('sheet', sheetPointProperties(p));
 
     const marker = L.circleMarker([p.lat, p.lng], {
-      radius: 6,
-      color: '#6b7280',
-      weight: 1,
+      radius: usesClasses ? sheetMarkerRadius(p.complaints) : 6,
+      color: isMatch ? QUERY_HIGHLIGHT_STYLE.color : '#6b7280',
+      weight: isMatch ? QUERY_HIGHLIGHT_STYLE.weight : 1,
       fillColor,
-      fillOpacity: 0.9,
+      fillOpacity: highlight && !isMatch ? 0.25 : 0.9,
+      opacity: highlight && !isMatch ? 0.4 : 1,
     });
 
-    const popupHtml = `
-      <strong>${p.location || 'Location'}</strong><br/>
-      Complaints: ${p.complaints}
-    `;
-    marker.bindPopup(popupHtml.trim());
+    marker.bindPopup(() => buildSheetPopup(p, source, usesClasses));
 
     marker._locationName = p.location || '';
     marker._complaints = p.complaints;
     marker._complaintCategory = p.category;
+    marker._complaintClass = p.classIndex;
+
+    bindAnalysisPick(marker, p.location);
+    marker.on('click', () => {
+      if (isAnalysisPickActive()) return;
+      selectTableRowByKey('sheet', p);
+      openPointDetail(p);
+    });
+    p.marker = marker;
 
-    sheetMarkerLayer.addLayer(marker);
+    group.addLayer(marker);
   });
 
-  // Heatmap
-  const heatData = sheetPoints.map((p) => [
-    p.lat,
-    p.lng,
-    Math.max(p.complaints, 1),
-  ]);
+  return group;
+}
 
-  sheetHeatLayer = L.heatLayer(heatData, {
-    radius: 25,
-    blur: 15,
-    maxZoom: 17,
-  });
+function rebuildSheetMarkers() {
+  if (!sheetMarkerLayer) return;
 
+  if (map.hasLayer(sheetMarkerLayer)) map.removeLayer(sheetMarkerLayer);
+  sheetMarkerLayer = buildSheetMarkerLayer();
   updateSheetLayerVisibility();
 }
 
+function setSheetClusterMode(clustered) {
+  sheetClusterOn = clustered;
+  rebuildSheetMarkers();
+}
+
 // Wire up controls from static HTML
 function initSheetControls() {
   const panel = document.querySelector('.sheet-controls');
@@ -263,6 +658,7 @@ function initSheetControls() {
   sheetControls.container = panel;
   sheetControls.pointsCheckbox = panel.querySelector('#sheet-toggle-points');
   sheetControls.labelsCheckbox = panel.querySelector('#sheet-toggle-labels');
+  sheetControls.clusterCheckbox = panel.querySelector('#sheet-toggle-cluster');
   sheetControls.displayRadios = panel.querySelectorAll(
     'input[name="sheet-display-mode"]'
   );
@@ -281,6 +677,12 @@ function initSheetControls() {
     });
   }
 
+  if (sheetControls.clusterCheckbox) {
+    sheetControls.clusterCheckbox.addEventListener('change', () => {
+      setSheetClusterMode(sheetControls.clusterCheckbox.checked);
+    });
+  }
+
   sheetControls.displayRadios.forEach((radio) => {
     radio.addEventListener('change', () => {
       if (!radio.checked) return;
@@ -292,35 +694,38 @@ function initSheetControls() {
   });
 }
 
+// One legend group per visible source
 function updateSheetLegendCategories() {
-  setLegendGroup('complaints', {
-    title: 'Complaint Points',
-    items: [
-      {
-        label: 'High (7+ complaints)',
-        color: COMPLAINT_CATEGORY_COLORS.High,
-      },
-      {
-        label: 'Medium (2–6 complaints)',
-        color: COMPLAINT_CATEGORY_COLORS.Medium,
-      },
-      {
-        label: 'Low (0–1 complaints)',
-        color: COMPLAINT_CATEGORY_COLORS.Low,
-      },
-    ],
-  });
+  clearSheetLegend();
+  sheetSources
+    .filter((source) => source.visible)
+    .forEach((source) => {
+      setLegendGroup(`sheet:${source.id}`, {
+        title: source.name,
+        items:
+          source.symbology.mode === 'classes'
+            ? complaintClasses
+                .map((cls) => ({
+                  label: `${cls.name} (${complaintClassRangeLabel(cls)} complaints)`,
+                  color: cls.color,
+                }))
+                .reverse()
+            : [{ label: source.name, color: source.symbology.color }],
+      });
+    });
+}
+
+function clearSheetLegend() {
+  Object.keys(legendGroups)
+    .filter((key) => key === 'complaints' || key.startsWith('sheet:'))
+    .forEach((key) => setLegendGroup(key, null));
 }
 
 function updateSheetLegendHeatmap() {
+  clearSheetLegend();
   setLegendGroup('complaints', {
     title: 'Complaints (Heatmap)',
-    items: [
-      {
-        label: 'Low → High intensity',
-        color: '#fb923c',
-      },
-    ],
+    items: [heatLegendItem('Low → High intensity', sheetHeatSettings)],
   });
 }
 
@@ -330,7 +735,10 @@ function updateSheetLayerVisibility() {
   if (!sheetPointsVisible) {
     if (map.hasLayer(sheetMarkerLayer)) map.removeLayer(sheetMarkerLayer);
     if (map.hasLayer(sheetHeatLayer)) map.removeLayer(sheetHeatLayer);
-    setLegendGroup('complaints', null);
+    clearSheetLegend();
+    updateSheetChangeRings();
+    updatePointDetailHighlight();
+    updatePointDetailNav();
     return;
   }
 
@@ -345,6 +753,9 @@ function updateSheetLayerVisibility() {
   }
 
   updateSheetLabels();
+  updateSheetChangeRings();
+  updatePointDetailHighlight();
+  updatePointDetailNav();
 }
 
 function updateSheetLabels() {
@@ -360,7 +771,9 @@ function updateSheetLabels() {
     }
 
     if (sheetPointsVisible && sheetLabelsOn) {
-      marker.bindTooltip(locName, {
+      const labelEl = document.createElement('span');
+      labelEl.textContent = locName;
+      marker.bindTooltip(labelEl, {
         permanent: true,
         direction: 'top',
         className: 'sheet-point-label',
@@ -371,1205 +784,6015 @@ function updateSheetLabels() {
 }
 
 /****************************************************
- * USER UPLOAD: CSV / GeoJSON / Shapefile
+ * SHEET SOURCES (published CSVs managed from the UI)
  ****************************************************/
 
-// Colour schemes for uploaded layers
-const UPLOAD_COLOR_SCHEMES = {
-  pastel: ['#bfdbfe', '#a7f3d0', '#fde68a', '#fecaca', '#ddd6fe', '#f9a8d4'],
-  vibrant: ['#f97316', '#22c55e', '#3b82f6', '#e11d48', '#a855f7', '#10b981'],
-  blue: ['#bfdbfe', '#93c5fd', '#60a5fa', '#3b82f6', '#1d4ed8', '#1e40af'],
-};
+const SHEET_SOURCES_STORAGE_KEY = 'display-map-sheet-sources';
 
-function reprojectGeoJSONFrom32620ToWgs84(geojson) {
-  if (!geojson) return geojson;
+// Colours handed to new single-colour sources in turn
+const SHEET_SOURCE_COLORS = ['#38bdf8', '#a78bfa', '#34d399', '#f472b6', '#fbbf24', '#f87171'];
 
-  function reprojectCoord(c) {
-    const x = c[0];
-    const y = c[1];
-    const [lng, lat] = proj4(EPSG32620, 'EPSG:4326', [x, y]);
-    return [lng, lat];
-  }
+// id -> parsed rows / load error message
+const sheetSourceRows = {};
+const sheetSourceErrors = {};
 
-  function walkCoords(coords) {
-    // Single coordinate [x, y]
-    if (typeof coords[0] === 'number' && typeof coords[1] === 'number') {
-      return reprojectCoord(coords);
-    }
-    // Nested arrays
-    return coords.map(walkCoords);
-  }
+let sheetSources = loadSheetSources();
 
-  function reprojectGeometry(geom) {
-    if (!geom || !geom.coordinates) return geom;
-    return {
-      ...geom,
-      coordinates: walkCoords(geom.coordinates),
-    };
-  }
+// Source being edited in the modal (null when adding)
+let sheetSourceEditingId = null;
 
-  function reprojectFeature(feature) {
-    if (!feature) return feature;
-    if (feature.type === 'Feature') {
-      return {
-        ...feature,
-        geometry: reprojectGeometry(feature.geometry),
-      };
-    }
-    return feature;
-  }
+function defaultSheetSources() {
+  return SHEET_URLS.map((url, i) => ({
+    id: i === 0 ? 'complaints' : `sheet_${i}`,
+    name: i === 0 ? 'Complaints' : `Sheet ${i + 1}`,
+    url,
+    visible: true,
+    symbology: { mode: 'classes', color: SHEET_SOURCE_COLORS[0] },
+  }));
+}
 
-  if (geojson.type === 'FeatureCollection') {
-    return {
-      ...geojson,
-      features: geojson.features.map(reprojectFeature),
-    };
+function loadSheetSources() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SHEET_SOURCES_STORAGE_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch (err) {
+    console.warn('Could not read saved sheet sources', err);
   }
+  return defaultSheetSources();
+}
 
-  if (geojson.type === 'Feature') {
-    return reprojectFeature(geojson);
+function saveSheetSources() {
+  try {
+    localStorage.setItem(SHEET_SOURCES_STORAGE_KEY, JSON.stringify(sheetSources));
+  } catch (err) {
+    console.warn('Could not save sheet sources', err);
   }
+}
 
-  if (geojson.type && geojson.coordinates) {
-    return reprojectGeometry(geojson);
+function sheetSourceById(id) {
+  return sheetSources.find((s) => s.id === id) || null;
+}
+
+function sheetSourceUsesClasses(id) {
+  const source = sheetSourceById(id);
+  return !source || source.symbology.mode === 'classes';
+}
+
+// Points whose counts are complaints: only sources symbolised by
+// complaint class, not events or monitoring visits
+function complaintSheetPoints(points) {
+  return (points || []).filter((p) => sheetSourceUsesClasses(p.sourceId));
+}
+
+// Every header seen across the loaded sources
+function sheetHeaders(sourceId) {
+  const headers = new Set();
+  sheetSources
+    .filter((s) => !sourceId || s.id === sourceId)
+    .forEach((s) => {
+      (sheetSourceRows[s.id] || []).forEach((row) =>
+        Object.keys(row).forEach((h) => headers.add(h))
+      );
+    });
+  return Array.from(headers);
+}
+
+async function loadSheetSource(source) {
+  try {
+    sheetSourceRows[source.id] = await loadSheet(source.url);
+    delete sheetSourceErrors[source.id];
+  } catch (err) {
+    console.error(`Error loading sheet "${source.name}"`, err);
+    // Keep the last good rows so a failed refresh doesn't empty the map
+    sheetSourceRows[source.id] = sheetSourceRows[source.id] || [];
+    sheetSourceErrors[source.id] = 'Could not load this sheet';
   }
+}
 
-  return geojson;
+function passesSheetSourceFilter(p) {
+  const source = sheetSourceById(p.sourceId);
+  return !!source && source.visible;
 }
 
-let uploadLayerCounter = 0;
-const uploadedLayers = [];
-let uploadConfigState = null;
+// Rebuild points, markers, heat layer and timeline after sources change
+function rebuildSheetData() {
+  allDataRows = sheetSources.flatMap((s) => sheetSourceRows[s.id] || []);
+  initTimelineFields();
+  buildSheetPoints();
+  rebuildTimelineMonths();
 
-function refreshUploadedLayersUI() {
-  const listEl = document.getElementById('upload-layers-list');
-  const clearAllBtn = document.getElementById('upload-clear-all-btn');
-  if (!listEl || !clearAllBtn) return;
+  if (!sheetMarkerLayer) initSheetLayers();
+  else refreshSheetLayers();
+
+  updateTimelineCount();
+  renderSheetSourcesList();
+}
+
+function setSheetSourceVisible(source, visible) {
+  source.visible = visible;
+  saveSheetSources();
+  // Also redraws the legend groups via updateSheetLayerVisibility
+  refreshSheetLayers();
+  updateTimelineCount();
+}
+
+function removeSheetSource(source) {
+  sheetSources = sheetSources.filter((s) => s.id !== source.id);
+  delete sheetSourceRows[source.id];
+  delete sheetSourceErrors[source.id];
+  saveSheetSources();
+  rebuildSheetData();
+}
 
+function renderSheetSourcesList() {
+  const listEl = document.getElementById('sheet-sources-list');
+  if (!listEl) return;
   listEl.innerHTML = '';
 
-  if (!uploadedLayers.length) {
+  if (!sheetSources.length) {
     const empty = document.createElement('div');
     empty.className = 'upload-layers-empty';
-    empty.textContent = 'No uploaded layers';
+    empty.textContent = 'No sheet sources';
     listEl.appendChild(empty);
-
-    clearAllBtn.disabled = true;
     return;
   }
 
-  clearAllBtn.disabled = false;
-
-  uploadedLayers.forEach((info) => {
+  sheetSources.forEach((source) => {
     const row = document.createElement('div');
-    row.className = 'upload-layers-item';
-
-    const nameSpan = document.createElement('span');
-    nameSpan.className = 'upload-layer-name';
-    nameSpan.textContent = info.name;
-
-    const removeBtn = document.createElement('button');
-    removeBtn.type = 'button';
-    removeBtn.className = 'upload-layer-remove-btn';
-    removeBtn.textContent = 'Remove';
+    row.className = 'sheet-source-row';
 
-    removeBtn.addEventListener('click', () => {
-      if (map.hasLayer(info.layer)) {
-        map.removeLayer(info.layer);
-      }
-      setLegendGroup(info.id, null);
+    const label = document.createElement('label');
+    label.className = 'sheet-source-label';
 
-      const idx = uploadedLayers.findIndex((l) => l.id === info.id);
-      if (idx !== -1) {
-        uploadedLayers.splice(idx, 1);
-      }
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = source.visible;
+    checkbox.addEventListener('change', () =>
+      setSheetSourceVisible(source, checkbox.checked)
+    );
 
-      refreshUploadedLayersUI();
-    });
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.background =
+      source.symbology.mode === 'classes'
+        ? heatGradientCss({
+            0: COMPLAINT_CATEGORY_COLORS.Low,
+            0.5: COMPLAINT_CATEGORY_COLORS.Medium,
+            1: COMPLAINT_CATEGORY_COLORS.High,
+          })
+        : source.symbology.color;
+
+    const name = document.createElement('span');
+    name.className = 'sheet-source-name';
+    name.textContent = source.name;
+
+    const count = document.createElement('span');
+    count.className = 'sheet-source-count';
+    const nPoints = (sheetPoints || []).filter(
+      (p) => p.sourceId === source.id
+    ).length;
+    const nIssues = dataQualityIssueCount(`sheet:${source.id}`);
+    count.textContent =
+      sheetSourceErrors[source.id] ||
+      `${nPoints} pts` + (nIssues ? ` · ${nIssues} issues` : '');
+    if (sheetSourceErrors[source.id]) count.classList.add('is-error');
+
+    label.append(checkbox, swatch, name, count);
+
+    const actions = document.createElement('div');
+    actions.className = 'upload-layer-actions';
+    actions.appendChild(
+      createUploadActionButton('Edit', 'Name, URL and symbols', () =>
+        openSheetSourceModal(source.id)
+      )
+    );
+    actions.appendChild(
+      createUploadActionButton(
+        'Columns',
+        'Choose which columns hold the location, coordinates, count and date',
+        () => openSheetMappingModal(source.id)
+      )
+    );
+    actions.appendChild(
+      createUploadActionButton('Remove', 'Remove this sheet source', () =>
+        removeSheetSource(source)
+      )
+    );
 
-    row.appendChild(nameSpan);
-    row.appendChild(removeBtn);
+    row.append(label, actions);
     listEl.appendChild(row);
   });
 }
 
-function clearAllUploadedLayers() {
-  if (!uploadedLayers.length) return;
+function updateSheetSourceSymbologyUI() {
+  const mode =
+    document.querySelector('input[name="sheet-source-symbology"]:checked')
+      ?.value || 'classes';
+  const colorRow = document.getElementById('sheet-source-color-row');
+  if (colorRow) colorRow.style.display = mode === 'single' ? '' : 'none';
+}
 
-  uploadedLayers.forEach((info) => {
-    if (map.hasLayer(info.layer)) {
-      map.removeLayer(info.layer);
-    }
-    setLegendGroup(info.id, null);
-  });
+function openSheetSourceModal(sourceId) {
+  const modal = document.getElementById('sheet-source-modal');
+  if (!modal) return;
+
+  sheetSourceEditingId = sourceId || null;
+  const source = sourceId ? sheetSourceById(sourceId) : null;
+
+  document.getElementById('sheet-source-title').textContent = source
+    ? 'Edit sheet source'
+    : 'Add sheet source';
+  document.getElementById('sheet-source-name').value = source ? source.name : '';
+  document.getElementById('sheet-source-url').value = source ? source.url : '';
+  document.getElementById('sheet-source-color').value = source
+    ? source.symbology.color
+    : SHEET_SOURCE_COLORS[sheetSources.length % SHEET_SOURCE_COLORS.length];
+
+  const mode = source ? source.symbology.mode : 'single';
+  document
+    .querySelectorAll('input[name="sheet-source-symbology"]')
+    .forEach((r) => (r.checked = r.value === mode));
+  updateSheetSourceSymbologyUI();
+  setSheetSourceStatus('');
+
+  modal.classList.remove('hidden');
+}
 
-  uploadedLayers.length = 0;
-  refreshUploadedLayersUI();
+function closeSheetSourceModal() {
+  document.getElementById('sheet-source-modal')?.classList.add('hidden');
+  sheetSourceEditingId = null;
 }
 
-function detectGeometryType(features) {
-  if (!features || !features.length) return 'point';
-  for (const f of features) {
-    if (!f || !f.geometry) continue;
-    const t = f.geometry.type;
-    if (!t) continue;
-    if (t.includes('Point')) return 'point';
-    if (t.includes('Polygon')) return 'polygon';
-    if (t.includes('Line')) return 'line';
+function setSheetSourceStatus(text) {
+  const el = document.getElementById('sheet-source-status');
+  if (el) {
+    el.textContent = text;
+    el.style.display = text ? '' : 'none';
   }
-  return 'point';
 }
 
-function initUploadButtonAndModal() {
-  const uploadBtn = document.getElementById('sheet-upload-btn');
-  const fileInput = document.getElementById('user-upload-input');
-  const modalEl = document.getElementById('upload-config-modal');
-  const clearAllBtn = document.getElementById('upload-clear-all-btn');
-
-  if (!uploadBtn || !fileInput || !modalEl) {
-    console.warn('Upload button or modal elements not found.');
+async function saveSheetSourceFromModal() {
+  const name = document.getElementById('sheet-source-name').value.trim();
+  const url = document.getElementById('sheet-source-url').value.trim();
+  if (!url) {
+    setSheetSourceStatus('Enter the published CSV link.');
     return;
   }
 
-  uploadBtn.addEventListener('click', () => {
-    fileInput.value = '';
-    fileInput.click();
-  });
+  const symbology = {
+    mode:
+      document.querySelector('input[name="sheet-source-symbology"]:checked')
+        ?.value || 'single',
+    color: document.getElementById('sheet-source-color').value,
+  };
 
-  if (clearAllBtn) {
-    clearAllBtn.addEventListener('click', () => {
-      clearAllUploadedLayers();
-    });
+  let source = sheetSourceEditingId ? sheetSourceById(sheetSourceEditingId) : null;
+  const urlChanged = !source || source.url !== url;
+
+  if (source) {
+    Object.assign(source, { name: name || source.name, url, symbology });
+  } else {
+    source = {
+      id: `sheet_${Date.now().toString(36)}`,
+      name: name || `Sheet ${sheetSources.length + 1}`,
+      url,
+      visible: true,
+      symbology,
+    };
+    sheetSources.push(source);
   }
+  saveSheetSources();
+  closeSheetSourceModal();
 
-  // Render initial empty state for uploaded layers list
-  refreshUploadedLayersUI();
+  if (urlChanged) await loadSheetSource(source);
+  rebuildSheetData();
 
-  fileInput.addEventListener('change', (e) => {
-    const file = e.target.files && e.target.files[0];
-    if (!file) return;
-    handleUserFileSelected(file);
-  });
+  // Rows came in but none could be placed: the columns need mapping
+  const placed = sheetPoints.some((p) => p.sourceId === source.id);
+  if (urlChanged && !placed && (sheetSourceRows[source.id] || []).length) {
+    openSheetMappingModal(source.id);
+  }
+}
 
-  const closeBtn = document.getElementById('upload-config-close');
-  const cancelBtn = document.getElementById('upload-config-cancel');
-  const applyBtn = document.getElementById('upload-config-apply');
+function initSheetSources() {
+  document
+    .getElementById('sheet-source-add-btn')
+    ?.addEventListener('click', () => openSheetSourceModal(null));
+  document
+    .getElementById('sheet-source-close')
+    ?.addEventListener('click', () => closeSheetSourceModal());
+  document
+    .getElementById('sheet-source-cancel')
+    ?.addEventListener('click', () => closeSheetSourceModal());
+  document
+    .getElementById('sheet-source-save')
+    ?.addEventListener('click', () => saveSheetSourceFromModal());
+  document
+    .querySelectorAll('input[name="sheet-source-symbology"]')
+    .forEach((r) => r.addEventListener('change', updateSheetSourceSymbologyUI));
+
+  renderSheetSourcesList();
+}
 
-  if (closeBtn) {
-    closeBtn.addEventListener('click', () => closeUploadConfigModal());
-  }
-  if (cancelBtn) {
-    cancelBtn.addEventListener('click', () => closeUploadConfigModal());
+/****************************************************
+ * SHEET COLUMN MAPPING (saved per sheet URL)
+ ****************************************************/
+
+const SHEET_MAPPINGS_STORAGE_KEY = 'display-map-sheet-mappings';
+
+// Header names tried, in order, for anything the mapping leaves unset
+const SHEET_COLUMN_ALIASES = {
+  location: ['Location', 'location', 'Site', 'Name'],
+  easting: ['Easting'],
+  northing: ['Northing'],
+  latitude: ['Latitude', 'latitude', 'Lat', 'lat'],
+  longitude: ['Longitude', 'longitude', 'Lon', 'lon', 'Lng', 'lng', 'Long'],
+  complaints: [
+    'Number of Complaints',
+    'Complaints',
+    'No_of_Complaints',
+    'Number_of_Complaints',
+  ],
+  date: [],
+};
+
+// What a header can be used as on the mapping screen
+const SHEET_COLUMN_ROLES = [
+  { key: 'location', label: 'Location name' },
+  { key: 'easting', label: 'Easting (EPSG:32620)', coordType: 'utm' },
+  { key: 'northing', label: 'Northing (EPSG:32620)', coordType: 'utm' },
+  { key: 'latitude', label: 'Latitude', coordType: 'latlng' },
+  { key: 'longitude', label: 'Longitude', coordType: 'latlng' },
+  { key: 'complaints', label: 'Complaint count' },
+  { key: 'date', label: 'Date' },
+  { key: 'popup', label: 'Show in popup' },
+];
+
+// url -> { coordType, location, easting, ..., date, popup: [] }
+let sheetColumnMappings = loadSheetColumnMappings();
+
+// Source and headers shown on the mapping screen
+const sheetMappingState = { sourceId: null, headers: [], rows: [] };
+
+function loadSheetColumnMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(SHEET_MAPPINGS_STORAGE_KEY)) || {};
+  } catch (err) {
+    console.warn('Could not read saved column mappings', err);
+    return {};
   }
-  if (applyBtn) {
-    applyBtn.addEventListener('click', () => applyUploadConfig());
+}
+
+function saveSheetColumnMappings() {
+  try {
+    localStorage.setItem(
+      SHEET_MAPPINGS_STORAGE_KEY,
+      JSON.stringify(sheetColumnMappings)
+    );
+  } catch (err) {
+    console.warn('Could not save column mappings', err);
   }
+}
 
-  modalEl.addEventListener('click', (e) => {
-    if (e.target === modalEl) {
-      closeUploadConfigModal();
-    }
-  });
+function sheetMappingForSource(source) {
+  return (source && sheetColumnMappings[source.url]) || {};
 }
 
-function handleUserFileSelected(file) {
-  const name = file.name || 'Uploaded layer';
-  const ext = name.toLowerCase().split('.').pop();
+// Header used for a role: the saved choice, else the first alias present
+function sheetMappedHeader(mapping, key, headers) {
+  if (mapping[key]) return mapping[key];
+  return SHEET_COLUMN_ALIASES[key].find((h) => headers.includes(h)) || '';
+}
 
-  if (ext === 'csv') {
-    parseUploadedCsv(file);
-  } else if (ext === 'geojson' || ext === 'json') {
-    parseUploadedGeoJson(file);
-  } else if (ext === 'zip') {
-    parseUploadedShapefile(file);
-  } else if (ext === 'shp') {
-    alert(
-      'Please upload a zipped shapefile (.zip) containing .shp, .shx, .dbf (and optionally .prj).'
-    );
-  } else {
-    alert('Unsupported file type. Use CSV, GeoJSON, or zipped shapefile (.zip).');
-  }
+// Value of a mapped column, falling back to the usual header names
+function sheetRowValue(row, source, key) {
+  const field = sheetMappingForSource(source)[key];
+  if (field) return row[field];
+  const alias = SHEET_COLUMN_ALIASES[key].find(
+    (h) => row[h] !== undefined && row[h] !== ''
+  );
+  return alias ? row[alias] : undefined;
 }
 
-// CSV
-function parseUploadedCsv(file) {
-  Papa.parse(file, {
-    header: true,
-    dynamicTyping: false,
-    complete: (results) => {
-      const rows = results.data.filter(
-        (r) => r && Object.values(r).some((v) => v !== null && v !== '')
-      );
-      const headers = results.meta && results.meta.fields
-        ? results.meta.fields
-        : rows.length
-        ? Object.keys(rows[0])
-        : [];
+// 'utm' or 'latlng': saved choice, else whichever columns the sheet has
+function sheetCoordType(source) {
+  const mapping = sheetMappingForSource(source);
+  if (mapping.coordType) return mapping.coordType;
 
-      if (!rows.length || !headers.length) {
-        alert('No usable rows found in CSV.');
-        return;
-      }
+  const headers = sheetHeaders(source.id);
+  const hasUtm = ['easting', 'northing'].every((k) =>
+    sheetMappedHeader(mapping, k, headers)
+  );
+  const hasLatLng = ['latitude', 'longitude'].every((k) =>
+    sheetMappedHeader(mapping, k, headers)
+  );
+  return !hasUtm && hasLatLng ? 'latlng' : 'utm';
+}
 
-      uploadConfigState = {
-        type: 'csv',
-        fileName: file.name,
-        rows,
-        headers,
-        geometryType: 'point',
-      };
+function sheetMappingCoordType() {
+  return (
+    document.querySelector('input[name="sheet-mapping-coords"]:checked')
+      ?.value || 'utm'
+  );
+}
 
-      openUploadConfigModal();
-    },
-    error: (err) => {
-      console.error('Error parsing CSV:', err);
-      alert('Error reading CSV file.');
-    },
-  });
+function sheetColumnSample(header) {
+  const row = sheetMappingState.rows.find((r) => !isBlankValue(r[header]));
+  return row ? String(row[header]) : '';
 }
 
-// GeoJSON
-function parseUploadedGeoJson(file) {
-  const reader = new FileReader();
-  reader.onload = (e) => {
-    try {
-      const text = e.target.result;
-      const geojson = JSON.parse(text);
-      let featureCollection = null;
+// One row per detected header with an example value and a role picker
+function renderSheetMappingTable(mapping) {
+  const tbody = document.getElementById('sheet-mapping-rows');
+  if (!tbody) return;
+  tbody.innerHTML = '';
+
+  const coordType = sheetMappingCoordType();
+  const { headers } = sheetMappingState;
+  const roleOf = {};
+  SHEET_COLUMN_ROLES.forEach(({ key, coordType: roleCoords }) => {
+    if (key === 'popup' || (roleCoords && roleCoords !== coordType)) return;
+    const header = sheetMappedHeader(mapping, key, headers);
+    if (header) roleOf[header] = key;
+  });
+  (mapping.popup || []).forEach((h) => {
+    if (!roleOf[h]) roleOf[h] = 'popup';
+  });
 
-      if (geojson.type === 'FeatureCollection') {
-        featureCollection = geojson;
-      } else if (geojson.type === 'Feature') {
-        featureCollection = { type: 'FeatureCollection', features: [geojson] };
-      } else if (geojson.type && geojson.coordinates) {
-        featureCollection = {
-          type: 'FeatureCollection',
-          features: [{ type: 'Feature', geometry: geojson, properties: {} }],
-        };
-      }
+  headers.forEach((header) => {
+    const tr = document.createElement('tr');
+
+    const nameTd = document.createElement('td');
+    nameTd.textContent = header;
+
+    const sampleTd = document.createElement('td');
+    sampleTd.className = 'sheet-mapping-sample';
+    sampleTd.textContent = sheetColumnSample(header);
+
+    const roleTd = document.createElement('td');
+    const select = document.createElement('select');
+    select.dataset.header = header;
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'Not used';
+    select.appendChild(none);
+    SHEET_COLUMN_ROLES.filter(
+      (r) => !r.coordType || r.coordType === coordType
+    ).forEach((role) => {
+      const opt = document.createElement('option');
+      opt.value = role.key;
+      opt.textContent = role.label;
+      select.appendChild(opt);
+    });
+    select.value = roleOf[header] || '';
 
-      if (!featureCollection || !featureCollection.features.length) {
-        alert('No features found in GeoJSON.');
-        return;
-      }
+    // Apart from popup fields, each role belongs to one header
+    select.addEventListener('change', () => {
+      if (!select.value || select.value === 'popup') return;
+      tbody.querySelectorAll('select').forEach((other) => {
+        if (other !== select && other.value === select.value) other.value = '';
+      });
+    });
 
-      const features = featureCollection.features;
-      const firstProps = features[0].properties || {};
-      const headers = Object.keys(firstProps);
-      const geometryType = detectGeometryType(features);
+    roleTd.appendChild(select);
+    tr.append(nameTd, sampleTd, roleTd);
+    tbody.appendChild(tr);
+  });
+}
 
-      uploadConfigState = {
-        type: 'geojson',
-        fileName: file.name,
-        featureCollection,
-        headers,
-        geometryType,
-      };
+function readSheetMappingFromModal() {
+  const mapping = { coordType: sheetMappingCoordType(), popup: [] };
+  document.querySelectorAll('#sheet-mapping-rows select').forEach((select) => {
+    if (!select.value) return;
+    if (select.value === 'popup') mapping.popup.push(select.dataset.header);
+    else mapping[select.value] = select.dataset.header;
+  });
+  return mapping;
+}
 
-      openUploadConfigModal();
+function setSheetMappingStatus(text) {
+  const el = document.getElementById('sheet-mapping-status');
+  if (el) {
+    el.textContent = text;
+    el.style.display = text ? '' : 'none';
+  }
+}
+
+async function openSheetMappingModal(sourceId) {
+  const modal = document.getElementById('sheet-mapping-modal');
+  const source = sheetSourceById(sourceId);
+  if (!modal || !source) return;
+
+  sheetMappingState.sourceId = sourceId;
+  sheetMappingState.rows = sheetSourceRows[sourceId] || [];
+  document.getElementById('sheet-mapping-title').textContent =
+    `Columns: ${source.name}`;
+  document.getElementById('sheet-mapping-rows').innerHTML = '';
+  modal.classList.remove('hidden');
+
+  // The sheet may not have loaded yet (or failed earlier); try again
+  if (!sheetMappingState.rows.length) {
+    setSheetMappingStatus('Reading columns…');
+    try {
+      sheetMappingState.rows = await loadSheet(source.url);
     } catch (err) {
-      console.error('Error parsing GeoJSON:', err);
-      alert('Error reading GeoJSON file.');
+      console.error('Could not read sheet columns', err);
+      setSheetMappingStatus(
+        'Could not read this sheet. Is it published as CSV?'
+      );
+      return;
     }
-  };
-  reader.readAsText(file);
+  }
+
+  sheetMappingState.headers = Array.from(
+    new Set(sheetMappingState.rows.flatMap((r) => Object.keys(r)))
+  );
+  setSheetMappingStatus(
+    `${sheetMappingState.headers.length} columns, ${sheetMappingState.rows.length} rows. ` +
+      'Unassigned roles fall back to the usual column names.'
+  );
+
+  const mapping = sheetMappingForSource(source);
+  const coordType = sheetColumnMappings[source.url]
+    ? mapping.coordType || 'utm'
+    : sheetCoordType(source);
+  document
+    .querySelectorAll('input[name="sheet-mapping-coords"]')
+    .forEach((r) => (r.checked = r.value === coordType));
+  renderSheetMappingTable(mapping);
 }
 
-// Shapefile (zipped) – requires shpjs loaded in index.html
-function parseUploadedShapefile(file) {
-  if (typeof shp === 'undefined') {
-    alert(
-      'Shapefile support requires shpjs. Please include shp.min.js from unpkg in index.html.'
-    );
+function closeSheetMappingModal() {
+  document.getElementById('sheet-mapping-modal')?.classList.add('hidden');
+  sheetMappingState.sourceId = null;
+}
+
+function saveSheetMappingFromModal() {
+  const source = sheetSourceById(sheetMappingState.sourceId);
+  if (!source) return;
+
+  const mapping = readSheetMappingFromModal();
+  const needed =
+    mapping.coordType === 'latlng'
+      ? ['latitude', 'longitude']
+      : ['easting', 'northing'];
+  if (needed.some((k) => !mapping[k])) {
+    setSheetMappingStatus('Please choose both coordinate columns.');
     return;
   }
 
-  const reader = new FileReader();
-  reader.onload = async (e) => {
-    try {
-      const arrayBuffer = e.target.result;
-      const geojson = await shp(arrayBuffer);
+  sheetColumnMappings[source.url] = mapping;
+  saveSheetColumnMappings();
+  if (!sheetSourceRows[source.id] || !sheetSourceRows[source.id].length) {
+    sheetSourceRows[source.id] = sheetMappingState.rows;
+    delete sheetSourceErrors[source.id];
+  }
+  closeSheetMappingModal();
+  rebuildSheetData();
+}
 
-      let featureCollection = null;
+function resetSheetMapping() {
+  const source = sheetSourceById(sheetMappingState.sourceId);
+  if (!source) return;
+  delete sheetColumnMappings[source.url];
+  saveSheetColumnMappings();
+  closeSheetMappingModal();
+  rebuildSheetData();
+}
 
-      if (geojson.type === 'FeatureCollection') {
-        featureCollection = geojson;
-      } else if (typeof geojson === 'object') {
-        const firstKey = Object.keys(geojson)[0];
-        featureCollection = geojson[firstKey];
-      }
+function initSheetColumnMapping() {
+  document
+    .getElementById('sheet-mapping-close')
+    ?.addEventListener('click', () => closeSheetMappingModal());
+  document
+    .getElementById('sheet-mapping-cancel')
+    ?.addEventListener('click', () => closeSheetMappingModal());
+  document
+    .getElementById('sheet-mapping-save')
+    ?.addEventListener('click', () => saveSheetMappingFromModal());
+  document
+    .getElementById('sheet-mapping-reset')
+    ?.addEventListener('click', () => resetSheetMapping());
+  document.querySelectorAll('input[name="sheet-mapping-coords"]').forEach((r) =>
+    r.addEventListener('change', () =>
+      renderSheetMappingTable(readSheetMappingFromModal())
+    )
+  );
+}
 
-      if (!featureCollection || !featureCollection.features.length) {
-        alert('No features found in shapefile.');
-        return;
-      }
+/****************************************************
+ * SHEET AUTO-REFRESH & CHANGE HIGHLIGHTING
+ ****************************************************/
 
-      const features = featureCollection.features;
-      const firstProps = features[0].properties || {};
-      const headers = Object.keys(firstProps);
-      const geometryType = detectGeometryType(features);
+const SHEET_REFRESH_STORAGE_KEY = 'display-map-sheet-refresh';
 
-      uploadConfigState = {
-        type: 'geojson',
-        fileName: file.name,
-        featureCollection,
-        headers,
-        geometryType,
-      };
+// Polling choices in minutes (0 = off)
+const SHEET_REFRESH_INTERVALS = [0, 1, 5, 15, 30];
 
-      openUploadConfigModal();
-    } catch (err) {
-      console.error('Error reading shapefile:', err);
-      alert('Error reading shapefile (.zip).');
-    }
-  };
-  reader.readAsArrayBuffer(file);
+function loadSheetRefreshMinutes() {
+  try {
+    return Number(localStorage.getItem(SHEET_REFRESH_STORAGE_KEY)) || 0;
+  } catch (err) {
+    console.warn('Could not read the saved refresh interval', err);
+    return 0;
+  }
 }
 
-// Open / populate config modal
-function openUploadConfigModal() {
-  const modalEl = document.getElementById('upload-config-modal');
-  if (!modalEl || !uploadConfigState) return;
+const sheetRefresh = {
+  minutes: loadSheetRefreshMinutes(),
+  timerId: null,
+  inFlight: false,
+  lastRefreshed: null,
+  failedSources: [], // names of sources the last refresh could not load
+  newComplaints: 0,
+  newLocations: 0,
+  changedLocations: 0,
+};
 
-  const nameInput = document.getElementById('upload-layer-name');
-  const labelFieldSel = document.getElementById('upload-label-field');
-  const styleFieldSel = document.getElementById('upload-style-field');
-  const colorSchemeSel = document.getElementById('upload-color-scheme');
-  const geomRowCsv = document.getElementById('upload-geom-row-csv');
-  const latFieldSel = document.getElementById('upload-lat-field');
-  const lngFieldSel = document.getElementById('upload-lng-field');
-  const pointOptions = document.getElementById('upload-point-options');
-  const polyOptions = document.getElementById('upload-polygon-options');
-  const crsSel = document.getElementById('upload-crs');
+let sheetChangeLayer = null;
 
-  const baseName =
-    uploadConfigState.fileName?.replace(/\.[^.]+$/, '') || 'Uploaded layer';
-  if (nameInput) nameInput.value = baseName;
+// Same venue in the same source, whatever row it sits on
+function sheetPointKey(p) {
+  return [
+    p.sourceId,
+    p.lat.toFixed(5),
+    p.lng.toFixed(5),
+    String(p.location).trim().toLowerCase(),
+  ].join('|');
+}
 
-  const headers = uploadConfigState.headers || [];
+function snapshotSheetPoints() {
+  const snapshot = new Map();
+  (sheetPoints || []).forEach((p) => {
+    const key = sheetPointKey(p);
+    const prev = snapshot.get(key) || { complaints: 0, rows: [] };
+    prev.complaints += p.complaints;
+    prev.rows.push(JSON.stringify(p.row));
+    snapshot.set(key, prev);
+  });
+  return snapshot;
+}
 
-  function fillSelect(selectEl, options, includeEmpty) {
-    if (!selectEl) return;
-    selectEl.innerHTML = '';
-    if (includeEmpty) {
-      const opt = document.createElement('option');
-      opt.value = '';
-      opt.textContent = 'None';
-      selectEl.appendChild(opt);
+// Tag points as 'new' or 'changed' against the previous snapshot and
+// total up the complaints added since then
+function flagSheetChanges(previous) {
+  const current = snapshotSheetPoints();
+  const changedKeys = new Map();
+  let newComplaints = 0;
+
+  current.forEach((entry, key) => {
+    const before = previous.get(key);
+    if (!before) {
+      changedKeys.set(key, 'new');
+      newComplaints += entry.complaints;
+    } else if (
+      before.complaints !== entry.complaints ||
+      before.rows.join('\n') !== entry.rows.join('\n')
+    ) {
+      changedKeys.set(key, 'changed');
+      newComplaints += Math.max(0, entry.complaints - before.complaints);
     }
-    options.forEach((h) => {
-      const opt = document.createElement('option');
-      opt.value = h;
-      opt.textContent = h;
-      selectEl.appendChild(opt);
-    });
-  }
+  });
 
-  if (labelFieldSel) fillSelect(labelFieldSel, headers, false);
-  if (styleFieldSel) fillSelect(styleFieldSel, headers, true);
+  (sheetPoints || []).forEach((p) => {
+    p.changeKind = changedKeys.get(sheetPointKey(p)) || null;
+  });
 
-  if (geomRowCsv && latFieldSel && lngFieldSel) {
-    if (uploadConfigState.type === 'csv') {
-      geomRowCsv.style.display = 'flex';
-      fillSelect(latFieldSel, headers, false);
-      fillSelect(lngFieldSel, headers, false);
-
-      const latGuess =
-        headers.find((h) => /lat/i.test(h)) || headers[0];
-      const lngGuess =
-        headers.find((h) => /lon|lng|long/i.test(h)) || headers[1] || headers[0];
-      latFieldSel.value = latGuess;
-      lngFieldSel.value = lngGuess;
-    } else {
-      geomRowCsv.style.display = 'none';
-    }
-  }
+  const kinds = Array.from(changedKeys.values());
+  sheetRefresh.newLocations = kinds.filter((k) => k === 'new').length;
+  sheetRefresh.changedLocations = kinds.filter((k) => k === 'changed').length;
+  sheetRefresh.newComplaints = newComplaints;
+}
 
-  if (pointOptions && polyOptions) {
-    const gType = uploadConfigState.geometryType || 'point';
-    if (gType === 'point') {
-      pointOptions.style.display = 'flex';
-      polyOptions.style.display = 'none';
-    } else {
-      pointOptions.style.display = 'none';
-      polyOptions.style.display = 'flex';
-    }
+// Pulsing rings around new / changed locations, shown with the points
+function updateSheetChangeRings() {
+  if (sheetChangeLayer && map.hasLayer(sheetChangeLayer)) {
+    map.removeLayer(sheetChangeLayer);
   }
+  sheetChangeLayer = L.layerGroup();
+
+  getVisibleSheetPoints()
+    .filter((p) => p.changeKind)
+    .forEach((p) => {
+      L.marker([p.lat, p.lng], {
+        icon: L.divIcon({
+          // Leaflet positions the icon with a transform, so the pulse
+          // animates an inner element
+          className: `sheet-change-ring sheet-change-ring--${p.changeKind}`,
+          html: '<span class="sheet-change-ring-pulse"></span>',
+          iconSize: [30, 30],
+        }),
+        interactive: false,
+        keyboard: false,
+      }).addTo(sheetChangeLayer);
+    });
 
-  if (colorSchemeSel && !colorSchemeSel.value) {
-    colorSchemeSel.value = 'pastel';
+  if (sheetPointsVisible) sheetChangeLayer.addTo(map);
+}
+
+function clearSheetChanges() {
+  (sheetPoints || []).forEach((p) => {
+    p.changeKind = null;
+  });
+  sheetRefresh.newComplaints = 0;
+  sheetRefresh.newLocations = 0;
+  sheetRefresh.changedLocations = 0;
+  updateSheetChangeRings();
+  updateSheetRefreshStatus();
+}
+
+function updateSheetRefreshStatus() {
+  const statusEl = document.getElementById('sheet-refresh-status');
+  if (statusEl) {
+    const updated = sheetRefresh.lastRefreshed
+      ? `Updated ${sheetRefresh.lastRefreshed.toLocaleTimeString('en-TT', {
+          hour: '2-digit',
+          minute: '2-digit',
+        })}`
+      : '';
+    const failed = sheetRefresh.failedSources.length
+      ? `Could not load ${sheetRefresh.failedSources.join(', ')}`
+      : '';
+    statusEl.textContent = sheetRefresh.inFlight
+      ? 'Refreshing…'
+      : [failed, updated].filter(Boolean).join(' · ');
+    statusEl.classList.toggle('is-error', !!failed);
   }
-  if (crsSel && !crsSel.value) {
-    // Default to EPSG:32620 because that's what you're using
-    crsSel.value = 'epsg32620';
+
+  const badge = document.getElementById('sheet-change-badge');
+  if (!badge) return;
+
+  const { newComplaints, newLocations, changedLocations } = sheetRefresh;
+  if (!newLocations && !changedLocations) {
+    badge.classList.add('hidden');
+    return;
   }
 
-  modalEl.classList.remove('hidden');
+  const parts = [];
+  if (newLocations) parts.push(`${newLocations} new`);
+  if (changedLocations) parts.push(`${changedLocations} changed`);
+  badge.textContent =
+    `${newComplaints} new complaint${newComplaints === 1 ? '' : 's'}` +
+    ` (${parts.join(', ')} location${newLocations + changedLocations === 1 ? '' : 's'})`;
+  badge.title = 'Click to clear the highlights';
+  badge.classList.remove('hidden');
 }
 
-function closeUploadConfigModal() {
-  const modalEl = document.getElementById('upload-config-modal');
-  if (!modalEl) return;
-  modalEl.classList.add('hidden');
-  uploadConfigState = null;
+// Reload every source and rebuild the points in place; toggles, filters
+// and the map view are left as they are
+async function refreshSheetData() {
+  if (sheetRefresh.inFlight) return;
+  sheetRefresh.inFlight = true;
+  updateSheetRefreshStatus();
+
+  const previous = snapshotSheetPoints();
+  const hadPoints = previous.size > 0;
+
+  try {
+    sheetRefresh.failedSources = await loadAllSheets();
+    rebuildSheetData();
+    if (hadPoints) flagSheetChanges(previous);
+    updateSheetChangeRings();
+    // The update time only moves forward when every sheet came in
+    if (!sheetRefresh.failedSources.length) {
+      sheetRefresh.lastRefreshed = new Date();
+    }
+  } catch (err) {
+    console.error('Error refreshing sheet data', err);
+  } finally {
+    sheetRefresh.inFlight = false;
+    updateSheetRefreshStatus();
+  }
 }
 
-// Build colour map for uploaded layer
-function buildUploadColorMap(fieldName, records, paletteName) {
-  const palette =
-    UPLOAD_COLOR_SCHEMES[paletteName] || UPLOAD_COLOR_SCHEMES.pastel;
-  const values = [];
+function setSheetRefreshInterval(minutes) {
+  sheetRefresh.minutes = minutes;
+  try {
+    localStorage.setItem(SHEET_REFRESH_STORAGE_KEY, String(minutes));
+  } catch (err) {
+    console.warn('Could not save the refresh interval', err);
+  }
 
-  records.forEach((r) => {
-    const v = r[fieldName];
-    if (v !== null && v !== undefined && String(v).trim() !== '') {
-      values.push(String(v));
-    }
-  });
+  if (sheetRefresh.timerId) clearInterval(sheetRefresh.timerId);
+  sheetRefresh.timerId = null;
+  if (!minutes) return;
 
-  const unique = Array.from(new Set(values));
-  if (!unique.length) {
-    return { defaultColor: palette[0], map: {} };
+  sheetRefresh.timerId = setInterval(() => {
+    // No point polling a background tab or with no connection
+    if (document.hidden || !navigator.onLine) return;
+    refreshSheetData();
+  }, minutes * 60 * 1000);
+}
+
+function initSheetRefresh() {
+  const intervalSel = document.getElementById('sheet-refresh-interval');
+  if (intervalSel) {
+    SHEET_REFRESH_INTERVALS.forEach((minutes) => {
+      const opt = document.createElement('option');
+      opt.value = String(minutes);
+      opt.textContent = minutes ? `Every ${minutes} min` : 'Off';
+      intervalSel.appendChild(opt);
+    });
+    if (!SHEET_REFRESH_INTERVALS.includes(sheetRefresh.minutes)) {
+      sheetRefresh.minutes = 0;
+    }
+    intervalSel.value = String(sheetRefresh.minutes);
+    intervalSel.addEventListener('change', () =>
+      setSheetRefreshInterval(Number(intervalSel.value))
+    );
   }
 
-  const map = {};
-  unique.forEach((val, idx) => {
-    map[val] = palette[idx % palette.length];
-  });
+  document
+    .getElementById('sheet-refresh-btn')
+    ?.addEventListener('click', () => refreshSheetData());
+  document
+    .getElementById('sheet-change-badge')
+    ?.addEventListener('click', () => clearSheetChanges());
 
-  return { defaultColor: palette[0], map };
+  setSheetRefreshInterval(sheetRefresh.minutes);
 }
 
-// Apply config and add layer
-function applyUploadConfig() {
-  if (!uploadConfigState) return;
+/****************************************************
+ * DATA QUALITY (rejected and suspicious import rows)
+ ****************************************************/
 
-  const nameInput = document.getElementById('upload-layer-name');
-  const labelFieldSel = document.getElementById('upload-label-field');
-  const styleFieldSel = document.getElementById('upload-style-field');
-  const colorSchemeSel = document.getElementById('upload-color-scheme');
-  const latFieldSel = document.getElementById('upload-lat-field');
-  const lngFieldSel = document.getElementById('upload-lng-field');
-  const pointStyleRadios = document.querySelectorAll(
-    'input[name="upload-point-style"]'
-  );
-  const lineWidthSel = document.getElementById('upload-line-width');
-  const outlineStyleSel = document.getElementById('upload-outline-style');
-  const crsSel = document.getElementById('upload-crs');
+const OUTSIDE_TT_REASON = 'Coordinates outside Trinidad and Tobago';
+const DATA_QUALITY_MAX_ROWS = 300;
 
-  const layerName =
-    (nameInput && nameInput.value.trim()) || 'Uploaded layer';
-  const labelField = labelFieldSel?.value || '';
-  const styleField = styleFieldSel?.value || '';
-  const colorScheme = colorSchemeSel?.value || 'pastel';
-  const latField = latFieldSel?.value || '';
-  const lngField = lngFieldSel?.value || '';
-  const dataCRS = crsSel?.value || 'epsg32620';
+// targetId ('sheet:<sourceId>' or an upload id) -> { name, total, checks }
+const dataQualityReports = {};
 
-  let pointStyle = 'circle';
-  pointStyleRadios.forEach((r) => {
-    if (r.checked) pointStyle = r.value;
-  });
+let dataQualityTarget = null;
 
-  const lineWidth = lineWidthSel ? Number(lineWidthSel.value) || 2 : 2;
-  const outlineStyle = outlineStyleSel?.value || 'solid';
+function isBlankValue(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
 
-  let layer = null;
-  let legendItems = [];
+// { reason, rejected } for a pair of raw coordinate values, or null if fine
+function coordinateIssue(xRaw, yRaw) {
+  if (isBlankValue(xRaw) || isBlankValue(yRaw)) {
+    return { reason: 'Missing coordinates', rejected: true };
+  }
+  const x = parseFloat(xRaw);
+  const y = parseFloat(yRaw);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    return {
+      reason: `Non-numeric coordinates (${xRaw}, ${yRaw})`,
+      rejected: true,
+    };
+  }
+  // parseFloat reads "658000m" as 658000; plotted, but worth fixing
+  if (
+    !Number.isFinite(Number(String(xRaw).trim())) ||
+    !Number.isFinite(Number(String(yRaw).trim()))
+  ) {
+    return {
+      reason: `Coordinates contain extra characters (${xRaw}, ${yRaw})`,
+      rejected: false,
+    };
+  }
+  return null;
+}
 
-  if (uploadConfigState.type === 'csv') {
-    const rows = uploadConfigState.rows || [];
-    const { defaultColor, map: colorMap } = styleField
-      ? buildUploadColorMap(
-          styleField,
-          rows.map((r) => ({ [styleField]: r[styleField] })),
-          colorScheme
-        )
-      : { defaultColor: UPLOAD_COLOR_SCHEMES[colorScheme][0], map: {} };
+function complaintCountIssue(raw) {
+  if (isBlankValue(raw)) return 'No complaint count (counted as 0)';
+  if (!Number.isFinite(Number(String(raw).trim()))) {
+    return `Complaint count "${raw}" is not a number (counted as 0)`;
+  }
+  return null;
+}
 
-    const group = L.layerGroup();
-    const legendCategories = new Set();
+// Check a row's coordinates, recording the problem on the check.
+// Returns false when the row can't be plotted.
+function checkRowCoordinates(check, xRaw, yRaw) {
+  const issue = coordinateIssue(xRaw, yRaw);
+  if (!issue) return true;
+  check.reasons.push(issue.reason);
+  if (issue.rejected) check.rejected = true;
+  return !issue.rejected;
+}
 
-    rows.forEach((row) => {
-      // Interpret chosen fields depending on CRS
-      let latLng;
+// Later rows repeating an earlier row's coordinates, location name and
+// date (when the row has one). Several rows for one venue are normal in
+// a complaint log, so a shared venue alone is not flagged.
+function flagDuplicateRows(checks) {
+  const seen = new Map();
+
+  checks.forEach((check) => {
+    if (!check.coordKey) return;
+    const key = [
+      check.coordKey,
+      String(check.label || '').trim().toLowerCase(),
+      check.dateKey || '',
+    ].join('|');
+
+    const first = seen.get(key);
+    if (first) check.reasons.push(`Duplicate of row ${first.rowNumber}`);
+    else seen.set(key, check);
+  });
+}
 
-      if (dataCRS === 'epsg32620') {
-        // Treat selected fields as UTM (Easting / Northing)
-        const easting = parseFloat(row[latField]);   // X (Easting)
-        const northing = parseFloat(row[lngField]);  // Y (Northing)
-        if (!Number.isFinite(easting) || !Number.isFinite(northing)) return;
+function setDataQualityReport(targetId, name, checks) {
+  dataQualityReports[targetId] = {
+    name,
+    total: checks.length,
+    checks: checks.filter((c) => c.reasons.length),
+  };
+  if (isDataQualityPanelOpen()) renderDataQualityPanel();
+}
 
-        const { lat, lng } = utm32620ToLatLng(easting, northing);
-        latLng = [lat, lng];
-      } else {
-        // Treat selected fields as normal Lat / Lng in degrees
-        const lat = parseFloat(row[latField]);
-        const lng = parseFloat(row[lngField]);
-        if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
-        latLng = [lat, lng];
-      }
+function removeDataQualityReports(predicate) {
+  Object.keys(dataQualityReports)
+    .filter(predicate)
+    .forEach((key) => delete dataQualityReports[key]);
+  if (isDataQualityPanelOpen()) renderDataQualityPanel();
+}
 
-      const styleVal = styleField ? row[styleField] : null;
-      const styleKey =
-        styleVal !== null && styleVal !== undefined
-          ? String(styleVal)
-          : 'default';
-      const color = styleField
-        ? colorMap[styleKey] || defaultColor
-        : defaultColor;
+function dataQualityIssueCount(targetId) {
+  const report = dataQualityReports[targetId];
+  return report ? report.checks.length : 0;
+}
 
-      const labelText = labelField ? row[labelField] : layerName;
+function isDataQualityPanelOpen() {
+  const panel = document.getElementById('data-quality-panel');
+  return !!panel && !panel.classList.contains('hidden');
+}
 
-      let m;
-      if (pointStyle === 'pin') {
-        m = L.marker(latLng, { riseOnHover: true });
-      } else {
-        m = L.circleMarker(latLng, {
-          radius: 6,
-          color: '#6b7280',
-          weight: 1,
-          fillColor: color,
-          fillOpacity: 0.9,
-        });
-      }
+function renderDataQualityPanel() {
+  const targetSel = document.getElementById('data-quality-target');
+  const summaryEl = document.getElementById('data-quality-summary');
+  const bodyEl = document.getElementById('data-quality-body');
+  const downloadBtn = document.getElementById('data-quality-download');
+  if (!targetSel || !summaryEl || !bodyEl) return;
+
+  const ids = Object.keys(dataQualityReports);
+  if (!ids.includes(dataQualityTarget)) {
+    // Start on whichever import has the most problems
+    dataQualityTarget =
+      ids.sort((a, b) => dataQualityIssueCount(b) - dataQualityIssueCount(a))[0] ||
+      null;
+  }
 
-      m._uploadLabelText = labelText;
-      if (labelText) {
-        m.bindTooltip(labelText, {
-          permanent: true,
-          direction: 'top',
-          className: 'sheet-point-label',
-        });
+  targetSel.innerHTML = '';
+  ids.forEach((id) => {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = `${dataQualityReports[id].name} (${dataQualityIssueCount(id)})`;
+    targetSel.appendChild(opt);
+  });
+  targetSel.value = dataQualityTarget || '';
+
+  bodyEl.innerHTML = '';
+  const report = dataQualityReports[dataQualityTarget];
+  if (!report) {
+    summaryEl.textContent = 'No sheet or CSV data loaded.';
+    if (downloadBtn) downloadBtn.disabled = true;
+    return;
+  }
+
+  const rejected = report.checks.filter((c) => c.rejected).length;
+  const suspicious = report.checks.length - rejected;
+  summaryEl.textContent = report.checks.length
+    ? `${rejected} rejected and ${suspicious} suspicious of ${report.total} rows`
+    : `All ${report.total} rows look fine`;
+  if (downloadBtn) downloadBtn.disabled = !report.checks.length;
+  if (!report.checks.length) return;
+
+  const table = document.createElement('table');
+  table.className = 'data-quality-table';
+  table.innerHTML =
+    '<thead><tr><th>Row</th><th>Location</th><th>Problem</th></tr></thead>';
+  const tbody = document.createElement('tbody');
+
+  report.checks.slice(0, DATA_QUALITY_MAX_ROWS).forEach((check) => {
+    const tr = document.createElement('tr');
+    if (check.rejected) tr.classList.add('is-rejected');
+    [check.rowNumber, check.label || '—', check.reasons.join('; ')].forEach(
+      (value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
       }
+    );
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  bodyEl.appendChild(table);
+
+  if (report.checks.length > DATA_QUALITY_MAX_ROWS) {
+    const more = document.createElement('div');
+    more.className = 'map-panel-subtitle';
+    more.textContent = `Showing the first ${DATA_QUALITY_MAX_ROWS}; the download has all ${report.checks.length}.`;
+    bodyEl.appendChild(more);
+  }
+}
 
-      const popupHtml =
-        `<strong>${labelText}</strong><br/>` +
-        (styleField ? `${styleField}: ${styleVal}<br/>` : '') +
-        Object.entries(row)
-          .map(([k, v]) => `${k}: ${v}`)
-          .join('<br/>');
+function downloadDataQualityCsv() {
+  const report = dataQualityReports[dataQualityTarget];
+  if (!report || !report.checks.length) return;
 
-      m.bindPopup(popupHtml);
+  // Rows as arrays so a sheet column named like a report column cannot
+  // overwrite it
+  const headers = Array.from(
+    new Set(report.checks.flatMap((check) => Object.keys(check.row || {})))
+  );
+  const csv = Papa.unparse({
+    fields: ['Report row', 'Report status', 'Report problem', ...headers],
+    data: report.checks.map((check) => [
+      check.rowNumber,
+      check.rejected ? 'Rejected' : 'Suspicious',
+      check.reasons.join('; '),
+      ...headers.map((h) => (check.row || {})[h] ?? ''),
+    ]),
+  });
+  downloadBlob(
+    new Blob([csv], { type: 'text/csv;charset=utf-8' }),
+    `${exportFileBaseName(report.name)}-problem-rows.csv`
+  );
+}
 
-      group.addLayer(m);
+function openDataQualityPanel() {
+  const panel = document.getElementById('data-quality-panel');
+  if (!panel) return;
+  panel.classList.remove('hidden');
+  renderDataQualityPanel();
+}
 
-      if (styleField && styleKey !== 'default') {
-        legendCategories.add(styleKey);
-      }
+function initDataQualityPanel() {
+  document
+    .getElementById('data-quality-open-btn')
+    ?.addEventListener('click', () => openDataQualityPanel());
+  document.getElementById('data-quality-close')?.addEventListener('click', () => {
+    document.getElementById('data-quality-panel')?.classList.add('hidden');
+  });
+  document
+    .getElementById('data-quality-target')
+    ?.addEventListener('change', (e) => {
+      dataQualityTarget = e.target.value;
+      renderDataQualityPanel();
     });
+  document
+    .getElementById('data-quality-download')
+    ?.addEventListener('click', () => downloadDataQualityCsv());
+}
 
-    if (!group.getLayers().length) {
-      alert(
-        dataCRS === 'epsg32620'
-          ? 'No valid coordinate rows found (check Easting / Northing fields).'
-          : 'No valid coordinate rows found (check Lat / Lng columns).'
-      );
-      return;
-    }
+/****************************************************
+ * COMPLAINT POINT DETAIL PANEL
+ ****************************************************/
 
-    layer = group;
+const DETAIL_URL_PATTERN = /https?:\/\/[^\s,;<>"]+/g;
+const DETAIL_IMAGE_PATTERN = /\.(jpe?g|png|gif|webp|bmp|svg)(\?|#|$)/i;
 
-    if (styleField && legendCategories.size) {
-      const palette =
-        UPLOAD_COLOR_SCHEMES[colorScheme] || UPLOAD_COLOR_SCHEMES.pastel;
-      const catsArray = Array.from(legendCategories);
-      const tmpColorMap = {};
-      catsArray.forEach((cat, idx) => {
-        tmpColorMap[cat] = palette[idx % palette.length];
-      });
-      legendItems = catsArray.map((cat) => ({
-        label: `${styleField}: ${cat}`,
-        color: tmpColorMap[cat],
-      }));
-    } else {
-      legendItems = [
-        {
-          label: layerName,
-          color: UPLOAD_COLOR_SCHEMES[colorScheme][0],
-        },
-      ];
-    }
-  } else if (uploadConfigState.type === 'geojson') {
-    let fc = uploadConfigState.featureCollection;
+const pointDetail = {
+  point: null,
+  highlight: null,
+};
 
-    if (dataCRS === 'epsg32620') {
-      fc = reprojectGeoJSONFrom32620ToWgs84(fc);
-    }
+// Thumbnail URL for links that look like images (including Drive files)
+function detailImageSrc(url) {
+  const drive =
+    url.match(/drive\.google\.com\/file\/d\/([\w-]+)/) ||
+    url.match(/drive\.google\.com\/(?:open|uc)\?(?:.*&)?id=([\w-]+)/);
+  if (drive) return `https://drive.google.com/thumbnail?id=${drive[1]}&sz=w400`;
+  return DETAIL_IMAGE_PATTERN.test(url) ? url : null;
+}
 
-    const features = (fc && fc.features) || [];
-    if (!features.length) {
-      alert('No features to display.');
-      return;
-    }
+function formatDetailDate(date, hasTime) {
+  return date.toLocaleString('en-TT', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    ...(hasTime ? { hour: '2-digit', minute: '2-digit' } : {}),
+  });
+}
 
-    const geometryType = uploadConfigState.geometryType || 'point';
-    const colorInput = styleField
-      ? features.map((f) => ({
-          [styleField]: f.properties?.[styleField],
-        }))
-      : [];
+// Cell value as DOM: links clickable, image links also as thumbnails
+function formatDetailValue(value) {
+  const wrap = document.createElement('div');
+  const text = String(value ?? '').trim();
+  if (!text) {
+    wrap.textContent = '—';
+    wrap.className = 'map-panel-empty';
+    return wrap;
+  }
 
-    const { defaultColor, map: colorMap } = styleField
-      ? buildUploadColorMap(styleField, colorInput, colorScheme)
-      : { defaultColor: UPLOAD_COLOR_SCHEMES[colorScheme][0], map: {} };
+  const urls = text.match(DETAIL_URL_PATTERN);
+  if (!urls) {
+    wrap.textContent = text;
+    return wrap;
+  }
 
-    const legendCategories = new Set();
+  const thumbs = document.createElement('div');
+  thumbs.className = 'point-detail-thumbs';
+
+  text.split(DETAIL_URL_PATTERN).forEach((part, i) => {
+    if (part.trim()) wrap.appendChild(document.createTextNode(part));
+    const url = urls[i];
+    if (!url) return;
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = url.replace(/^https?:\/\/(www\.)?/, '');
+    wrap.appendChild(link);
+
+    const src = detailImageSrc(url);
+    if (src) {
+      const thumbLink = link.cloneNode(false);
+      const img = document.createElement('img');
+      img.src = src;
+      img.alt = '';
+      img.loading = 'lazy';
+      // Not an image after all (or not shared publicly): keep just the link
+      img.addEventListener('error', () => thumbLink.remove());
+      thumbLink.appendChild(img);
+      thumbs.appendChild(thumbLink);
+    }
+  });
 
-    if (geometryType === 'point') {
-      layer = L.geoJSON(fc, {
-        pointToLayer: (feature, latlng) => {
-          const props = feature.properties || {};
-          const styleVal = styleField ? props[styleField] : null;
-          const styleKey =
-            styleVal !== null && styleVal !== undefined
-              ? String(styleVal)
-              : 'default';
-          const color = styleField
-            ? colorMap[styleKey] || defaultColor
-            : defaultColor;
+  if (thumbs.children.length) wrap.appendChild(thumbs);
+  return wrap;
+}
 
-          let m;
-          if (pointStyle === 'pin') {
-            m = L.marker(latlng, { riseOnHover: true });
-          } else {
-            m = L.circleMarker(latlng, {
-              radius: 6,
-              color: '#6b7280',
-              weight: 1,
-              fillColor: color,
-              fillOpacity: 0.9,
-            });
-          }
+function appendDetailSection(body, titleText, entries) {
+  if (!entries.length) return;
+
+  const section = document.createElement('div');
+  section.className = 'map-panel-section';
+  const title = document.createElement('div');
+  title.className = 'map-panel-section-title';
+  title.textContent = titleText;
+  section.appendChild(title);
+
+  const dl = document.createElement('dl');
+  dl.className = 'point-detail-fields';
+  entries.forEach(([label, valueEl]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.appendChild(valueEl);
+    dl.append(dt, dd);
+  });
+  section.appendChild(dl);
+  body.appendChild(section);
+}
 
-          if (styleField && styleKey !== 'default') {
-            legendCategories.add(styleKey);
-          }
+function textValue(text) {
+  const el = document.createElement('div');
+  el.textContent = text;
+  return el;
+}
 
-          return m;
-        },
-        onEachFeature: (feature, lyr) => {
-          const props = feature.properties || {};
-          const labelText = labelField
-            ? props[labelField]
-            : layerName;
+function renderPointDetail() {
+  const p = pointDetail.point;
+  const titleEl = document.getElementById('point-detail-title');
+  const body = document.getElementById('point-detail-body');
+  if (!p || !titleEl || !body) return;
+
+  const source = sheetSourceById(p.sourceId);
+  const row = p.row || {};
+  const headers = Object.keys(row);
+  const mapping = sheetMappingForSource(source);
+  const utm = sheetCoordType(source) === 'utm';
+
+  titleEl.textContent = p.location || 'Location';
+  body.innerHTML = '';
+
+  // Mapped fields first, in a fixed order
+  const shown = new Set();
+  const mapped = [];
+  const mappedHeader = (key) => {
+    const h = sheetMappedHeader(mapping, key, headers);
+    if (h) shown.add(h);
+    return h;
+  };
 
-          if (labelText) {
-            lyr.bindTooltip(String(labelText), {
-              permanent: true,
-              direction: 'top',
-              className: 'sheet-point-label',
-            });
-          }
+  mappedHeader('location');
+  mapped.push(['Source', textValue(source ? source.name : '')]);
+
+  if (sheetSourceUsesClasses(p.sourceId)) {
+    mappedHeader('complaints');
+    const countEl = textValue(`${p.complaints} (${p.category})`);
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.backgroundColor = complaintCategoryColor(p.category);
+    countEl.prepend(swatch);
+    countEl.classList.add('point-detail-count');
+    mapped.push(['Complaints', countEl]);
+  }
 
-          const popupHtml =
-            `<strong>${labelText || layerName}</strong><br/>` +
-            Object.entries(props)
-              .map(([k, v]) => `${k}: ${v}`)
-              .join('<br/>');
+  const dateHeader = mapping.date || sheetTimeSettings.dateField;
+  if (dateHeader) shown.add(dateHeader);
+  if (sheetTimeSettings.timeField) shown.add(sheetTimeSettings.timeField);
+  if (p.date) mapped.push(['Date', textValue(formatDetailDate(p.date, p.hasTime))]);
+
+  const xKey = utm ? 'easting' : 'longitude';
+  const yKey = utm ? 'northing' : 'latitude';
+  const xHeader = mappedHeader(xKey);
+  const yHeader = mappedHeader(yKey);
+  mapped.push([
+    'Coordinates',
+    textValue(
+      `${p.lat.toFixed(5)}, ${p.lng.toFixed(5)}` +
+        (utm && xHeader && yHeader ? ` (E ${row[xHeader]}, N ${row[yHeader]})` : '')
+    ),
+  ]);
 
-          lyr.bindPopup(popupHtml);
-        },
-      });
-    } else {
-      layer = L.geoJSON(fc, {
-        style: (feature) => {
-          const props = feature.properties || {};
-          const styleVal = styleField ? props[styleField] : null;
-          const styleKey =
-            styleVal !== null && styleVal !== undefined
-              ? String(styleVal)
-              : 'default';
-          const color = styleField
-            ? colorMap[styleKey] || defaultColor
-            : defaultColor;
+  (mapping.popup || []).forEach((h) => {
+    shown.add(h);
+    mapped.push([h, formatDetailValue(row[h])]);
+  });
 
-          if (styleField && styleKey !== 'default') {
-            legendCategories.add(styleKey);
-          }
+  appendDetailSection(body, 'Details', mapped);
 
-          return {
-            color,
-            weight: lineWidth,
-            dashArray: outlineStyle === 'dashed' ? '4 4' : null,
-            fillColor: color,
-            fillOpacity:
-              uploadConfigState.geometryType === 'polygon' ? 0.25 : 0,
-          };
-        },
-        onEachFeature: (feature, lyr) => {
-          const props = feature.properties || {};
-          const labelText = labelField
-            ? props[labelField]
-            : layerName;
+  appendDetailSection(
+    body,
+    'Other columns',
+    headers
+      .filter((h) => !shown.has(h) && !isBlankValue(row[h]))
+      .map((h) => [h, formatDetailValue(row[h])])
+  );
 
-          if (labelText) {
-            lyr.bindTooltip(String(labelText), {
-              direction: 'center',
-              className: 'sheet-point-label',
-            });
-          }
+  updatePointDetailNav();
+}
 
-          const popupHtml =
-            `<strong>${labelText || layerName}</strong><br/>` +
-            Object.entries(props)
-              .map(([k, v]) => `${k}: ${v}`)
-              .join('<br/>');
+function updatePointDetailNav() {
+  if (!pointDetail.point) return;
+  const visible = getVisibleSheetPoints();
+  const index = visible.indexOf(pointDetail.point);
+  const positionEl = document.getElementById('point-detail-position');
+  if (positionEl) {
+    positionEl.textContent = !sheetPointsVisible
+      ? 'Complaint points are turned off'
+      : index === -1
+      ? `Hidden by filters (${visible.length} shown)`
+      : `${index + 1} of ${visible.length}`;
+  }
+  // Nothing to step through while the points are off the map
+  ['point-detail-prev', 'point-detail-next'].forEach((id) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = !sheetPointsVisible || !visible.length;
+  });
+}
 
-          lyr.bindPopup(popupHtml);
-        },
-      });
-    }
+// Ring around the open point, shown only while sheet points are on
+function updatePointDetailHighlight() {
+  const p = sheetPointsVisible ? pointDetail.point : null;
+  if (pointDetail.highlight) map.removeLayer(pointDetail.highlight);
+  pointDetail.highlight = p
+    ? L.circleMarker([p.lat, p.lng], {
+        radius: 14,
+        color: QUERY_HIGHLIGHT_STYLE.color,
+        weight: QUERY_HIGHLIGHT_STYLE.weight,
+        fill: false,
+        interactive: false,
+      }).addTo(map)
+    : null;
+}
 
-    if (!layer || !layer.getLayers().length) {
-      alert('No features to display from uploaded GeoJSON.');
-      return;
-    }
+function openPointDetail(p) {
+  const panel = document.getElementById('point-detail-panel');
+  if (!panel || !p) return;
+  pointDetail.point = p;
+  updatePointDetailHighlight();
+  renderPointDetail();
+  panel.classList.remove('hidden');
+}
 
-    if (styleField && legendCategories.size) {
-      const palette =
-        UPLOAD_COLOR_SCHEMES[colorScheme] || UPLOAD_COLOR_SCHEMES.pastel;
-      const catsArray = Array.from(legendCategories);
-      const tmpColorMap = {};
-      catsArray.forEach((cat, idx) => {
-        tmpColorMap[cat] = palette[idx % palette.length];
-      });
-      legendItems = catsArray.map((cat) => ({
-        label: `${styleField}: ${cat}`,
-        color: tmpColorMap[cat],
-      }));
-    } else {
-      legendItems = [
-        {
-          label: layerName,
-          color: defaultColor,
-        },
-      ];
-    }
+function closePointDetail() {
+  document.getElementById('point-detail-panel')?.classList.add('hidden');
+  pointDetail.point = null;
+  updatePointDetailHighlight();
+}
+
+// Previous / next through the points currently shown on the map
+function stepPointDetail(delta) {
+  const visible = getVisibleSheetPoints();
+  if (!sheetPointsVisible || !visible.length) return;
+
+  const index = visible.indexOf(pointDetail.point);
+  const next =
+    index === -1
+      ? visible[0]
+      : visible[(index + delta + visible.length) % visible.length];
+
+  openPointDetail(next);
+
+  // Clustered markers may be hidden inside a cluster; the heat layer has
+  // no markers to open. zoomToShowLayer needs the cluster group on the map.
+  const marker = next.marker;
+  const markersShown = sheetMarkerLayer && map.hasLayer(sheetMarkerLayer);
+  if (marker && markersShown && sheetClusterOn) {
+    sheetMarkerLayer.zoomToShowLayer(marker, () => marker.openPopup());
+    return;
   }
+  if (!map.getBounds().contains([next.lat, next.lng])) {
+    map.panTo([next.lat, next.lng]);
+  }
+  if (marker && markersShown) marker.openPopup();
+}
 
-  if (!layer) return;
+// Sheet data was rebuilt: follow the same row to its new point object.
+// Several rows can share a venue, so match the row, not the location.
+function refreshPointDetail() {
+  const current = pointDetail.point;
+  if (!current) return;
+  const rowNumber = sheetRowNumbers.get(current.row);
+  const p = (sheetPoints || []).find(
+    (q) =>
+      q.row === current.row ||
+      (q.sourceId === current.sourceId &&
+        rowNumber !== undefined &&
+        sheetRowNumbers.get(q.row) === rowNumber)
+  );
+  if (!p) {
+    closePointDetail();
+    return;
+  }
+  pointDetail.point = p;
+  updatePointDetailHighlight();
+  renderPointDetail();
+}
 
-  layer.addTo(map);
+function initPointDetailPanel() {
+  document
+    .getElementById('point-detail-close')
+    ?.addEventListener('click', () => closePointDetail());
+  document
+    .getElementById('point-detail-prev')
+    ?.addEventListener('click', () => stepPointDetail(-1));
+  document
+    .getElementById('point-detail-next')
+    ?.addEventListener('click', () => stepPointDetail(1));
+}
 
-  if (typeof layer.getBounds === 'function') {
-    const b = layer.getBounds();
-    if (b && typeof b.isValid === 'function' && b.isValid()) {
-      map.fitBounds(b, { padding: [20, 20] });
-    }
-  }
+/****************************************************
+ * HEATMAP SETTINGS
+ ****************************************************/
 
-  const legendKey = `upload_${++uploadLayerCounter}`;
-  if (legendItems.length) {
-    setLegendGroup(legendKey, {
-      title: layerName,
-      items: legendItems,
-    });
-  }
+// Colour gradients offered for heat layers (leaflet.heat stop format)
+const HEATMAP_GRADIENTS = {
+  classic: {
+    label: 'Blue – red (classic)',
+    stops: { 0.4: '#0000ff', 0.6: '#00ffff', 0.7: '#00ff00', 0.8: '#ffff00', 1: '#ff0000' },
+  },
+  ylorrd: {
+    label: 'Yellow – red',
+    stops: { 0.2: '#ffffb2', 0.5: '#fd8d3c', 0.8: '#f03b20', 1: '#bd0026' },
+  },
+  viridis: {
+    label: 'Viridis',
+    stops: { 0.1: '#440154', 0.4: '#31688e', 0.7: '#35b779', 1: '#fde725' },
+  },
+  purple: {
+    label: 'Blue – purple',
+    stops: { 0.2: '#bfdbfe', 0.5: '#60a5fa', 0.8: '#7c3aed', 1: '#4c1d95' },
+  },
+};
 
-  uploadedLayers.push({
-    id: legendKey,
-    name: layerName,
-    layer,
-    type: uploadConfigState.type,
-  });
+const DEFAULT_HEATMAP_SETTINGS = {
+  radius: 25,
+  blur: 15,
+  max: 1,
+  gradient: 'classic',
+};
 
-  // Update uploaded-layers UI list
-  refreshUploadedLayersUI();
+let sheetHeatSettings = { ...DEFAULT_HEATMAP_SETTINGS };
 
-  closeUploadConfigModal();
+// Which heat layer the settings panel is editing: 'sheet' or an upload id
+let heatPanelTarget = 'sheet';
+
+function heatGradientStops(settings) {
+  return (HEATMAP_GRADIENTS[settings.gradient] || HEATMAP_GRADIENTS.classic)
+    .stops;
 }
 
-/****************************************************
- * GEOCODER
- ****************************************************/
+function heatLayerOptions(settings, pane) {
+  return {
+    radius: settings.radius,
+    blur: settings.blur,
+    max: settings.max,
+    maxZoom: 17,
+    gradient: heatGradientStops(settings),
+    ...(pane ? { pane } : {}),
+  };
+}
 
-const TT_BBOX = [-61.95, 10.0, -60.5, 11.5];
-let geocoder = null;
+// CSS linear-gradient for a stop map, used by the legend bar
+function heatGradientCss(stops) {
+  const parts = Object.keys(stops)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((pos) => `${stops[pos]} ${Math.round(pos * 100)}%`);
+  return `linear-gradient(to right, ${parts.join(', ')})`;
+}
 
-if (L.Control && (L.Control.Geocoder || L.Control.geocoder)) {
-  // Only create the control if the plugin is actually available
-  geocoder = L.Control.geocoder({
-    position: 'topright',
-    defaultMarkGeocode: false,
-    geocoder: L.Control.Geocoder && L.Control.Geocoder.nominatim
-      ? L.Control.Geocoder.nominatim({
-          geocodingQueryParams: {
-            countrycodes: 'tt',
-            viewbox: `${TT_BBOX[0]},${TT_BBOX[3]},${TT_BBOX[2]},${TT_BBOX[1]}`,
-            bounded: 1,
-          },
-        })
-      : undefined,
-  })
-    .on('markgeocode', (e) => {
-      const { center, bbox, name } = e.geocode;
+// n colours sampled along a stop map (for exports without CSS gradients)
+function sampleHeatGradient(stops, n) {
+  const positions = Object.keys(stops)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const rgb = positions.map((pos) => cssColorToRgb(stops[pos]));
+  const toHex = (v) => Math.round(v).toString(16).padStart(2, '0');
+
+  return Array.from({ length: n }, (_, i) => {
+    const t = n === 1 ? 1 : i / (n - 1);
+    let j = positions.findIndex((pos) => pos >= t);
+    if (j <= 0) j = j === 0 ? 0 : positions.length - 1;
+    const lo = Math.max(j - 1, 0);
+    const span = positions[j] - positions[lo];
+    const f = span > 0 ? Math.min(Math.max((t - positions[lo]) / span, 0), 1) : 0;
+    const c = rgb[lo].map((v, k) => v + (rgb[j][k] - v) * f);
+    return `#${c.map(toHex).join('')}`;
+  });
+}
 
-      if (searchMarker) {
-        map.removeLayer(searchMarker);
-      }
+function heatLegendItem(label, settings) {
+  return {
+    label,
+    shape: 'gradient',
+    gradient: heatGradientStops(settings),
+    color: sampleHeatGradient(heatGradientStops(settings), 1)[0],
+  };
+}
 
-      searchMarker = L.marker(center)
-        .addTo(map)
-        .bindPopup(`<strong>${name}</strong>`)
-        .openPopup();
+// Uploaded points shown as a heatmap. The point markers stay in the group
+// (so filters, the attribute table and exports see them) but are never
+// drawn; a heat layer is rebuilt from whichever markers are present.
+const UploadHeatGroup = L.LayerGroup.extend({
+  initialize(layers, options) {
+    L.setOptions(this, options);
+    this._layers = {};
+    this._heat = L.heatLayer([], heatLayerOptions(this.options.settings));
+    (layers || []).forEach((lyr) => this.addLayer(lyr));
+  },
 
-      map.fitBounds(bbox);
-    })
-    .addTo(map);
+  onAdd(map) {
+    this._heat.addTo(map);
+    // leaflet.heat always draws into overlayPane; move it to our pane so
+    // the layer's z-order and opacity apply
+    const pane = this.options.pane && map.getPane(this.options.pane);
+    if (pane && this._heat._canvas) pane.appendChild(this._heat._canvas);
+  },
 
-  // Only wire up the DOM if geocoder exists
-  const geocoderContainer = geocoder._container;
-  const geocoderInput = geocoderContainer.querySelector(
-    '.leaflet-control-geocoder-form input'
-  );
+  onRemove(map) {
+    // ...and put it back, since leaflet.heat removes it from overlayPane
+    if (this._heat._canvas) map.getPane('overlayPane').appendChild(this._heat._canvas);
+    map.removeLayer(this._heat);
+  },
 
-  if (geocoderInput) {
-    geocoderInput.setAttribute('type', 'search');
-    geocoderInput.setAttribute('placeholder', 'Search for a place...');
+  addLayer(layer) {
+    this._layers[this.getLayerId(layer)] = layer;
+    this._redrawHeat();
+    return this;
+  },
 
-    geocoderInput.addEventListener('search', () => {
-      if (geocoderInput.value === '') {
-        clearGeocoderResult(geocoderInput);
-      }
-    });
+  removeLayer(layer) {
+    const id = layer in this._layers ? layer : this.getLayerId(layer);
+    delete this._layers[id];
+    this._redrawHeat();
+    return this;
+  },
 
-    geocoderInput.addEventListener('input', () => {
-      if (geocoderInput.value.trim() === '') {
-        clearGeocoderResult(geocoderInput);
-      }
-    });
-  }
+  getBounds() {
+    const bounds = L.latLngBounds([]);
+    this.eachLayer((lyr) => bounds.extend(lyr.getLatLng()));
+    return bounds;
+  },
 
-  const customClearBtn = document.createElement('button');
-  customClearBtn.type = 'button';
-  customClearBtn.className = 'geocoder-clear-btn';
-  customClearBtn.setAttribute(
-    'aria-label',
-    'Clear search and remove marker'
-  );
-  customClearBtn.textContent = '×';
+  setHeatSettings(settings) {
+    this.options.settings = settings;
+    this._heat.setOptions(heatLayerOptions(settings));
+  },
 
-  const formEl = geocoderContainer.querySelector(
-    '.leaflet-control-geocoder-form'
-  );
-  if (formEl) {
-    formEl.style.position = 'relative';
-    formEl.appendChild(customClearBtn);
-    customClearBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      clearGeocoderResult(geocoderInput);
-      geocoderInput && geocoderInput.focus();
+  _redrawHeat() {
+    const latLngs = this.getLayers().map((lyr) => {
+      const ll = lyr.getLatLng();
+      return [ll.lat, ll.lng, lyr._heatWeight ?? 1];
     });
+    this._heat.setLatLngs(latLngs);
+  },
+});
+
+// Range of the "max intensity" slider for a heat target
+function heatIntensityRange(targetId) {
+  if (targetId === 'sheet') {
+    const counts = complaintSheetPoints(sheetPoints).map((p) => p.complaints);
+    const top = Math.max(2, numericExtent(counts)[1]);
+    return { min: 1, max: top, step: 1 };
   }
-} else {
-  console.warn(
-    'leaflet-control-geocoder plugin not available; search box disabled.'
-  );
+  // Uploaded weights are scaled to 0–1
+  return { min: 0.05, max: 1, step: 0.05 };
 }
 
-/**********************
- * INSET MAP
- **********************/
+function uploadedHeatLayers() {
+  return uploadedLayers.filter((info) => info.layer instanceof UploadHeatGroup);
+}
 
-function boundsAtZoom(center, zoom) {
-  const size = map.getSize();
-  const half = size.divideBy(2);
-  const centerPx = map.project(center, zoom);
-  const sw = map.unproject(centerPx.subtract(half), zoom);
-  const ne = map.unproject(centerPx.add(half), zoom);
-  return L.latLngBounds(sw, ne);
+function heatSettingsForTarget(targetId) {
+  if (targetId === 'sheet') return sheetHeatSettings;
+  const info = uploadedLayers.find((l) => l.id === targetId);
+  return info ? info.config.heatSettings : null;
 }
 
-const BOUNDS_TRINIDAD = L.latLngBounds([9.95, -61.95], [10.95, -60.45]);
-const BOUNDS_TOBAGO = L.latLngBounds([11.05, -60.95], [11.4, -60.4]);
+function applyHeatSettings(targetId, settings) {
+  if (targetId === 'sheet') {
+    sheetHeatSettings = settings;
+    if (sheetHeatLayer) sheetHeatLayer.setOptions(heatLayerOptions(settings));
+    if (sheetPointsVisible && sheetDisplayMode === 'heatmap') {
+      updateSheetLegendHeatmap();
+    }
+    return;
+  }
 
-const InsetControl = L.Control.extend({
-  options: { position: 'bottomright' },
+  const info = uploadedLayers.find((l) => l.id === targetId);
+  if (!info || !(info.layer instanceof UploadHeatGroup)) return;
 
-  onAdd: function () {
-    const container = L.DomUtil.create(
-      'div',
-      'inset-container leaflet-bar'
-    );
-    container.innerHTML = '<div id="insetMap" class="inset-map"></div>';
+  info.config.heatSettings = settings;
+  info.layer.setHeatSettings(settings);
+  info.legendItems = [uploadHeatLegendItem(info.config)];
+  updateUploadedLayerLegend(info);
+  if (info.persisted) persistUploadedLayer(info);
+}
 
-    L.DomEvent.disableClickPropagation(container);
-    L.DomEvent.disableScrollPropagation(container);
+function uploadHeatLegendItem(config) {
+  return heatLegendItem(
+    config.heatWeightField
+      ? `Low → High ${config.heatWeightField}`
+      : 'Low → High density',
+    config.heatSettings || DEFAULT_HEATMAP_SETTINGS
+  );
+}
 
-    return container;
-  },
+function renderHeatPanel() {
+  const targetSel = document.getElementById('heat-target');
+  if (!targetSel) return;
 
-  onRemove: function () {},
-});
+  const targets = [{ id: 'sheet', name: 'Complaint points' }].concat(
+    uploadedHeatLayers().map((info) => ({ id: info.id, name: info.name }))
+  );
+  if (!targets.some((t) => t.id === heatPanelTarget)) heatPanelTarget = 'sheet';
+
+  targetSel.innerHTML = '';
+  targets.forEach((t) => {
+    const opt = document.createElement('option');
+    opt.value = t.id;
+    opt.textContent = t.name;
+    targetSel.appendChild(opt);
+  });
+  targetSel.value = heatPanelTarget;
+
+  const settings = heatSettingsForTarget(heatPanelTarget) || DEFAULT_HEATMAP_SETTINGS;
+  const range = heatIntensityRange(heatPanelTarget);
+  const maxInput = document.getElementById('heat-max');
+  if (maxInput) {
+    maxInput.min = range.min;
+    maxInput.max = range.max;
+    maxInput.step = range.step;
+  }
 
-map.addControl(new InsetControl());
+  ['radius', 'blur', 'max'].forEach((key) => {
+    const input = document.getElementById(`heat-${key}`);
+    const valueEl = document.getElementById(`heat-${key}-value`);
+    if (input) input.value = settings[key];
+    if (valueEl) valueEl.textContent = settings[key];
+  });
 
-const insetMap = L.map('insetMap', {
-  attributionControl: false,
-  zoomControl: false,
-  dragging: false,
-  scrollWheelZoom: false,
-  touchZoom: false,
-  doubleClickZoom: false,
-  boxZoom: false,
-  keyboard: false,
-  zoomSnap: 0,
-  inertia: false,
-});
+  const gradientSel = document.getElementById('heat-gradient');
+  if (gradientSel) gradientSel.value = settings.gradient;
+  updateHeatPanelPreview(settings);
+}
 
-const insetTiles = L.tileLayer(
-  'https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}{r}.png',
-  { subdomains: 'abcd', maxZoom: 19 }
-).addTo(insetMap);
+function updateHeatPanelPreview(settings) {
+  const bar = document.getElementById('heat-gradient-preview');
+  if (bar) bar.style.background = heatGradientCss(heatGradientStops(settings));
+}
 
-const viewRect = L.rectangle(map.getBounds(), {
-  color: 'red',
-  weight: 2,
-  fill: false,
-  className: 'inset-viewport-rect',
-}).addTo(insetMap);
+function readHeatPanelSettings() {
+  const num = (id) => Number(document.getElementById(id)?.value);
+  return {
+    radius: num('heat-radius'),
+    blur: num('heat-blur'),
+    max: num('heat-max'),
+    gradient: document.getElementById('heat-gradient')?.value || 'classic',
+  };
+}
 
-function islandForCenter(centerLatLng) {
-  return BOUNDS_TOBAGO.contains(centerLatLng) ? 'TOBAGO' : 'TRINIDAD';
+function openHeatPanel(targetId) {
+  const panel = document.getElementById('heat-panel');
+  if (!panel) return;
+  if (targetId) heatPanelTarget = targetId;
+  renderHeatPanel();
+  panel.classList.remove('hidden');
 }
 
-function updateInset() {
-  const center = map.getCenter();
-  const currentZoom = map.getZoom();
+function initHeatmapControls() {
+  const gradientSel = document.getElementById('heat-gradient');
+  if (gradientSel) {
+    Object.entries(HEATMAP_GRADIENTS).forEach(([value, g]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = g.label;
+      gradientSel.appendChild(opt);
+    });
+  }
 
-  const island = islandForCenter(center);
-  const targetBounds =
-    island === 'TOBAGO' ? BOUNDS_TOBAGO : BOUNDS_TRINIDAD;
+  document
+    .getElementById('sheet-heat-settings-btn')
+    ?.addEventListener('click', () => openHeatPanel('sheet'));
 
-  insetMap.fitBounds(targetBounds, { animate: false, padding: [0, 0] });
+  document.getElementById('heat-close')?.addEventListener('click', () => {
+    document.getElementById('heat-panel')?.classList.add('hidden');
+  });
 
-  let rectBounds;
-  if (currentZoom <= 14) {
-    rectBounds = map.getBounds();
-  } else {
-    rectBounds = boundsAtZoom(center, 14);
-  }
+  document.getElementById('heat-target')?.addEventListener('change', (e) => {
+    heatPanelTarget = e.target.value;
+    renderHeatPanel();
+  });
 
-  viewRect.setBounds(rectBounds);
+  // Sliders apply live while dragging
+  ['heat-radius', 'heat-blur', 'heat-max', 'heat-gradient'].forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener(el.tagName === 'SELECT' ? 'change' : 'input', () => {
+      const settings = readHeatPanelSettings();
+      ['radius', 'blur', 'max'].forEach((key) => {
+        const valueEl = document.getElementById(`heat-${key}-value`);
+        if (valueEl) valueEl.textContent = settings[key];
+      });
+      updateHeatPanelPreview(settings);
+      applyHeatSettings(heatPanelTarget, settings);
+    });
+  });
+
+  document.getElementById('heat-reset')?.addEventListener('click', () => {
+    applyHeatSettings(heatPanelTarget, { ...DEFAULT_HEATMAP_SETTINGS });
+    renderHeatPanel();
+  });
 }
 
-map.whenReady(updateInset);
-map.on('moveend zoomend', updateInset);
+/****************************************************
+ * COMPLAINT CLASSIFICATION PANEL
+ ****************************************************/
 
-/**********************
- * LEGEND
- **********************/
+// Working copy edited in the modal; committed on Apply
+let classificationDraft = null;
+
+function readClassificationDraftFromModal() {
+  const countSel = document.getElementById('classification-count');
+  const methodSel = document.getElementById('classification-method');
+  const breaksInput = document.getElementById('classification-breaks');
+  const scaleCheckbox = document.getElementById('classification-scale-radius');
+
+  classificationDraft.classCount = Number(countSel?.value) || 3;
+  classificationDraft.method = methodSel?.value || 'manual';
+  classificationDraft.manualBreaks = String(breaksInput?.value || '')
+    .split(/[\s,;]+/)
+    .map((v) => parseFloat(v))
+    .filter(Number.isFinite);
+  classificationDraft.scaleRadius = !!scaleCheckbox?.checked;
+}
 
-const legendGroups = {};
-let legendBodyEl = null;
+function renderClassificationPreview() {
+  const colorsEl = document.getElementById('classification-colors');
+  const breaksRow = document.getElementById('classification-breaks-row');
+  if (!colorsEl || !classificationDraft) return;
 
-const LegendControl = L.Control.extend({
-  options: { position: 'topright' },
+  if (breaksRow) {
+    breaksRow.style.display =
+      classificationDraft.method === 'manual' ? 'flex' : 'none';
+  }
 
-  onAdd: function () {
-    const container = L.DomUtil.create(
-      'div',
-      'legend-container leaflet-bar'
-    );
-    container.innerHTML = `
-      <div class="legend-inner">
-        <div class="legend-header">Legend</div>
-        <div class="legend-body"></div>
-      </div>
-    `;
+  // Same points as applyComplaintClassification, so the preview matches
+  const values = complaintSheetPoints(sheetPoints).map((p) => p.complaints);
+  const classes = buildComplaintClasses(values, classificationDraft);
 
-    L.DomEvent.disableClickPropagation(container);
-    L.DomEvent.disableScrollPropagation(container);
+  // Keep one colour per resulting class
+  if (classificationDraft.colors.length !== classes.length) {
+    classificationDraft.colors = defaultComplaintColors(classes.length);
+  }
 
-    legendBodyEl = container.querySelector('.legend-body');
-    refreshLegend();
+  colorsEl.innerHTML = '';
+  classes.forEach((cls, i) => {
+    const row = document.createElement('label');
+    row.className = 'classification-color-row';
 
-    return container;
-  },
-});
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = classificationDraft.colors[i];
+    input.addEventListener('input', () => {
+      classificationDraft.colors[i] = input.value;
+    });
 
-function refreshLegend() {
-  if (!legendBodyEl) return;
+    const count = values.filter(
+      (v) => v >= cls.min && v <= cls.max
+    ).length;
 
-  legendBodyEl.innerHTML = '';
+    const text = document.createElement('span');
+    text.textContent = `${cls.name}: ${complaintClassRangeLabel(
+      cls
+    )} complaints (${count} points)`;
 
-  const entries = Object.entries(legendGroups);
-  if (!entries.length) {
-    const empty = document.createElement('div');
-    empty.className = 'legend-empty';
-    empty.textContent = 'No layers visible';
-    legendBodyEl.appendChild(empty);
-    return;
+    row.appendChild(input);
+    row.appendChild(text);
+    colorsEl.appendChild(row);
+  });
+}
+
+function openClassificationModal() {
+  const modalEl = document.getElementById('classification-modal');
+  if (!modalEl) return;
+
+  classificationDraft = {
+    ...complaintClassification,
+    manualBreaks: complaintClassification.manualBreaks.slice(),
+    colors: complaintClasses.map((c) => c.color),
+  };
+
+  const countSel = document.getElementById('classification-count');
+  const methodSel = document.getElementById('classification-method');
+  const breaksInput = document.getElementById('classification-breaks');
+  const scaleCheckbox = document.getElementById('classification-scale-radius');
+
+  if (countSel) countSel.value = String(classificationDraft.classCount);
+  if (methodSel) methodSel.value = classificationDraft.method;
+  if (breaksInput) {
+    breaksInput.value = complaintClasses
+      .slice(0, -1)
+      .map((c) => c.breakValue)
+      .join(', ');
   }
+  if (scaleCheckbox) scaleCheckbox.checked = classificationDraft.scaleRadius;
 
-  entries.forEach(([layerKey, group]) => {
-    if (!group || !group.items || !group.items.length) return;
+  renderClassificationPreview();
+  modalEl.classList.remove('hidden');
+}
 
-    const groupEl = document.createElement('div');
-    groupEl.className = 'legend-group';
+function closeClassificationModal() {
+  const modalEl = document.getElementById('classification-modal');
+  if (modalEl) modalEl.classList.add('hidden');
+  classificationDraft = null;
+}
 
-    if (group.title) {
-      const titleEl = document.createElement('div');
-      titleEl.className = 'legend-group-title';
-      titleEl.textContent = group.title;
-      groupEl.appendChild(titleEl);
-    }
+function applyClassificationModal() {
+  if (!classificationDraft) return;
+  readClassificationDraftFromModal();
 
-    group.items.forEach((item) => {
-      const itemEl = document.createElement('div');
-      itemEl.className = 'legend-item';
+  Object.assign(complaintClassification, classificationDraft);
+  applyComplaintClassification();
+  rebuildSheetMarkers();
 
-      const swatch = document.createElement('span');
-      swatch.className = 'legend-swatch';
-      if (item.color) {
-        swatch.style.backgroundColor = item.color;
-      }
+  if (sheetPointsVisible && sheetDisplayMode !== 'heatmap') {
+    updateSheetLegendCategories();
+  }
 
-      const labelEl = document.createElement('span');
-      labelEl.className = 'legend-label';
-      labelEl.textContent = item.label;
+  closeClassificationModal();
+}
 
-      itemEl.appendChild(swatch);
-      itemEl.appendChild(labelEl);
-      groupEl.appendChild(itemEl);
-    });
+function initClassificationPanel() {
+  const openBtn = document.getElementById('sheet-classification-btn');
+  const modalEl = document.getElementById('classification-modal');
+  if (!openBtn || !modalEl) return;
 
-    legendBodyEl.appendChild(groupEl);
+  openBtn.addEventListener('click', () => openClassificationModal());
+
+  ['classification-count', 'classification-method'].forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener('change', () => {
+      readClassificationDraftFromModal();
+      classificationDraft.colors = [];
+      renderClassificationPreview();
+    });
   });
-}
 
-function setLegendGroup(key, group) {
-  if (group) {
-    legendGroups[key] = group;
-  } else {
-    delete legendGroups[key];
+  const breaksInput = document.getElementById('classification-breaks');
+  if (breaksInput) {
+    breaksInput.addEventListener('change', () => {
+      readClassificationDraftFromModal();
+      renderClassificationPreview();
+    });
   }
-  refreshLegend();
-}
 
-map.addControl(new LegendControl());
+  const closeBtn = document.getElementById('classification-close');
+  const cancelBtn = document.getElementById('classification-cancel');
+  const applyBtn = document.getElementById('classification-apply');
 
-/**********************
- * PREDEFINED OVERLAY LAYERS
- **********************/
+  if (closeBtn) closeBtn.addEventListener('click', closeClassificationModal);
+  if (cancelBtn) cancelBtn.addEventListener('click', closeClassificationModal);
+  if (applyBtn) applyBtn.addEventListener('click', applyClassificationModal);
 
-function createLayerToggleRow(
-  layerId,
-  labelText,
-  defaultOpacity = 0.7,
-  defaultVisible = true
-) {
-  const container = document.getElementById('layer-toggle-container');
-  if (!container) return null;
+  modalEl.addEventListener('click', (e) => {
+    if (e.target === modalEl) closeClassificationModal();
+  });
+}
 
-  const row = document.createElement('div');
-  row.className = 'layer-toggle-row';
+/****************************************************
+ * COMPLAINT TIMELINE: DATE FILTER & ANIMATION
+ ****************************************************/
 
-  const mainRow = document.createElement('div');
-  mainRow.className = 'layer-toggle-row-main';
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIMELINE_FRAME_MS = 1200;
 
-  const checkbox = document.createElement('input');
-  checkbox.type = 'checkbox';
-  checkbox.id = `layer-toggle-${layerId}`;
-  checkbox.checked = defaultVisible;
+const sheetTimeSettings = {
+  dateField: '',
+  timeField: '',
+  dateOrder: 'dmy', // how to read ambiguous 03/04/2026: 'dmy' or 'mdy'
+};
 
-  const label = document.createElement('label');
-  label.setAttribute('for', checkbox.id);
-  label.textContent = labelText;
+const sheetTimeFilter = {
+  enabled: false,
+  from: null, // Date (inclusive, start of day)
+  to: null, // Date (inclusive, end of day)
+  weekdays: new Set([0, 1, 2, 3, 4, 5, 6]),
+  hourFrom: 0,
+  hourTo: 23,
+  month: null, // 'YYYY-MM' while animating / scrubbing
+};
 
-  mainRow.appendChild(label);
-  mainRow.appendChild(checkbox);
-  row.appendChild(mainRow);
+let timelineMonths = [];
+let timelineTimer = null;
+
+// Sets hours/minutes on date from "14:05", "2:05 PM", "14:05:33".
+// Returns false when value holds no time.
+function applySheetTime(date, value) {
+  const m = String(value || '').match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?/i);
+  if (!m) return false;
+  let hours = Number(m[1]);
+  const suffix = (m[4] || '').toLowerCase().replace(/\./g, '');
+  if (suffix === 'pm' && hours < 12) hours += 12;
+  if (suffix === 'am' && hours === 12) hours = 0;
+  date.setHours(hours, Number(m[2]), Number(m[3] || 0), 0);
+  return true;
+}
 
-  const sliderRow = document.createElement('div');
-  sliderRow.className = 'layer-toggle-slider-row';
+// Local midnight, or null when the parts overflow (31/02 is not 3 March)
+function localCalendarDate(year, month, day) {
+  const d = new Date(year, month - 1, day);
+  return d.getFullYear() === year &&
+    d.getMonth() === month - 1 &&
+    d.getDate() === day
+    ? d
+    : null;
+}
 
-  const sliderLabel = document.createElement('span');
-  sliderLabel.textContent = 'Opacity';
+// { date, hasTime } from ISO dates, 19/10/2026-style dates (read in
+// sheetTimeSettings.dateOrder unless only one order is valid), or anything
+// else Date parses
+function parseSheetDate(value) {
+  const str = String(value ?? '').trim();
+  if (!str) return null;
+
+  // Date-only ISO strings are UTC to Date(), which puts them on the
+  // previous day here
+  const iso = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    const date = localCalendarDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+    return date ? { date, hasTime: false } : null;
+  }
 
-  const slider = document.createElement('input');
-  slider.type = 'range';
-  slider.min = 0;
-  slider.max = 1;
-  slider.step = 0.05;
-  slider.value = defaultOpacity;
+  const m = str.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:[\sT,]+(.+))?$/);
+  if (m) {
+    let [day, month] = [Number(m[1]), Number(m[2])];
+    if (sheetTimeSettings.dateOrder === 'mdy') [day, month] = [month, day];
+    let year = Number(m[3]);
+    if (year < 100) year += 2000;
+    if (month > 12 && day <= 12) {
+      [day, month] = [month, day];
+    }
+    const date = localCalendarDate(year, month, day);
+    if (!date) return null;
+    const hasTime = m[4] ? applySheetTime(date, m[4]) : false;
+    return { date, hasTime };
+  }
 
-  sliderRow.appendChild(sliderLabel);
-  sliderRow.appendChild(slider);
-  row.appendChild(sliderRow);
+  const date = new Date(str);
+  return Number.isNaN(date.getTime())
+    ? null
+    : { date, hasTime: /\d:\d{2}/.test(str) };
+}
 
-  container.appendChild(row);
+// { date, hasTime } for a row. A source's mapped date column wins over
+// the timeline's date column.
+function sheetRowDate(row, source) {
+  const dateField =
+    (source && sheetMappingForSource(source).date) ||
+    sheetTimeSettings.dateField;
+  const parsed = dateField ? parseSheetDate(row[dateField]) : null;
+  if (!parsed) return { date: null, hasTime: false };
+  if (sheetTimeSettings.timeField) {
+    parsed.hasTime =
+      applySheetTime(parsed.date, row[sheetTimeSettings.timeField]) ||
+      parsed.hasTime;
+  }
+  return parsed;
+}
 
-  return {
-    checkbox,
-    slider,
-  };
+function guessSheetDateFields(headers) {
+  if (!sheetTimeSettings.dateField) {
+    sheetTimeSettings.dateField =
+      headers.find((h) => /date|timestamp/i.test(h)) || '';
+  }
+  if (!sheetTimeSettings.timeField) {
+    sheetTimeSettings.timeField =
+      headers.find(
+        (h) => /time/i.test(h) && !/stamp/i.test(h) && h !== sheetTimeSettings.dateField
+      ) || '';
+  }
 }
 
-/**********************
- * SIDEBAR TOGGLE & COLLAPSIBLE SECTIONS
- **********************/
+function monthKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
 
-function initSidebarToggle() {
-  const appEl = document.querySelector('.app');
-  const sidebarToggleBtn = document.getElementById('sidebar-toggle');
-  if (!appEl || !sidebarToggleBtn) return;
+function formatMonthKey(key) {
+  const [y, m] = key.split('-').map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString('en-TT', {
+    month: 'short',
+    year: 'numeric',
+  });
+}
 
-  sidebarToggleBtn.addEventListener('click', () => {
-    const isCollapsed = appEl.classList.toggle('sidebar-collapsed');
+function passesSheetTimeFilter(p) {
+  const f = sheetTimeFilter;
+  if (!f.enabled && !f.month) return true;
+  if (!p.date) return false;
 
-    // Update arrow and aria label/state
-    if (isCollapsed) {
-      sidebarToggleBtn.innerHTML = '&raquo;';
-      sidebarToggleBtn.setAttribute('aria-label', 'Show sidebar');
-      sidebarToggleBtn.setAttribute('aria-expanded', 'false');
-    } else {
-      sidebarToggleBtn.innerHTML = '&laquo;';
-      sidebarToggleBtn.setAttribute('aria-label', 'Hide sidebar');
-      sidebarToggleBtn.setAttribute('aria-expanded', 'true');
-    }
+  if (f.month && monthKey(p.date) !== f.month) return false;
+  if (!f.enabled) return true;
 
-    // Resize map so it fills the available space
-    if (typeof map !== 'undefined' && map.invalidateSize) {
-      setTimeout(() => map.invalidateSize(), 200);
-    }
-  });
-}
+  if (f.from && p.date < f.from) return false;
+  if (f.to && p.date > f.to) return false;
+  if (!f.weekdays.has(p.date.getDay())) return false;
 
-function initCollapsibleSections() {
-  const sections = document.querySelectorAll('.collapsible-section');
+  // Rows with a date but no time cannot be placed in an hour window
+  if (!p.hasTime) return true;
 
-  sections.forEach((section) => {
-    const header = section.querySelector('.section-header');
-    const body = section.querySelector('.section-body');
-    if (!header || !body) return;
+  const hour = p.date.getHours();
+  if (f.hourFrom <= f.hourTo) {
+    if (hour < f.hourFrom || hour > f.hourTo) return false;
+  } else if (hour < f.hourFrom && hour > f.hourTo) {
+    // Overnight window, e.g. 22:00 – 04:00
+    return false;
+  }
 
-    // Ensure we have a chevron span for rotation styling
-    let chevron = header.querySelector('.section-chevron');
-    if (!chevron) {
-      chevron = document.createElement('span');
-      chevron.className = 'section-chevron';
-      chevron.textContent = '▾';
-      header.appendChild(chevron);
-    }
+  return true;
+}
 
-    header.addEventListener('click', () => {
-      const nowCollapsed = section.classList.toggle('collapsed');
-      header.setAttribute('aria-expanded', String(!nowCollapsed));
-      // CSS already handles .collapsible-section.collapsed .section-body
-    });
+function updateTimelineCount() {
+  const countEl = document.getElementById('timeline-count');
+  if (!countEl) return;
+  const visible = getVisibleSheetPoints().length;
+  const dated = (sheetPoints || []).filter((p) => p.date).length;
+  countEl.textContent = `Showing ${visible} of ${sheetPoints.length} points (${dated} dated)`;
+}
 
-    // Initialise ARIA state as expanded
-    header.setAttribute('aria-expanded', 'true');
+function applyTimelineFilter() {
+  refreshSheetLayers();
+  updateTimelineCount();
+}
+
+function fillTimelineFieldSelect(selectEl, headers, value) {
+  if (!selectEl) return;
+  selectEl.innerHTML = '';
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = 'None';
+  selectEl.appendChild(none);
+  headers.forEach((h) => {
+    const opt = document.createElement('option');
+    opt.value = h;
+    opt.textContent = h;
+    selectEl.appendChild(opt);
   });
+  selectEl.value = value || '';
 }
 
-/**********************
- * GEOJSON OVERLAYS
- **********************/
+function rebuildTimelineMonths() {
+  const keys = new Set();
+  (sheetPoints || []).forEach((p) => {
+    if (p.date) keys.add(monthKey(p.date));
+  });
+  timelineMonths = Array.from(keys).sort();
 
-const GEOJSON_LAYERS_CONFIG = [
+  // Keep the selected month across data refreshes when it still exists
+  const index = timelineMonths.indexOf(sheetTimeFilter.month) + 1;
+
+  const slider = document.getElementById('timeline-month-slider');
+  if (slider) {
+    slider.max = String(timelineMonths.length);
+    slider.value = String(index);
+    slider.disabled = !timelineMonths.length;
+  }
+  sheetTimeFilter.month = index > 0 ? sheetTimeFilter.month : null;
+  updateTimelineMonthLabel();
+}
+
+function updateTimelineMonthLabel() {
+  const label = document.getElementById('timeline-month-label');
+  if (!label) return;
+  label.textContent = sheetTimeFilter.month
+    ? formatMonthKey(sheetTimeFilter.month)
+    : 'All months';
+}
+
+function setTimelineMonthIndex(index) {
+  const slider = document.getElementById('timeline-month-slider');
+  if (slider) slider.value = String(index);
+  sheetTimeFilter.month = index > 0 ? timelineMonths[index - 1] : null;
+  updateTimelineMonthLabel();
+  applyTimelineFilter();
+}
+
+function stopTimelineAnimation() {
+  if (timelineTimer) {
+    clearInterval(timelineTimer);
+    timelineTimer = null;
+  }
+  const playBtn = document.getElementById('timeline-play-btn');
+  if (playBtn) playBtn.textContent = '▶ Play';
+}
+
+// Steps month by month through the dated complaints, then stops
+function startTimelineAnimation() {
+  if (!timelineMonths.length) return;
+
+  if (!sheetPointsVisible && sheetControls.pointsCheckbox) {
+    sheetControls.pointsCheckbox.checked = true;
+    sheetControls.pointsCheckbox.dispatchEvent(new Event('change'));
+  }
+
+  const slider = document.getElementById('timeline-month-slider');
+  let index = slider ? Number(slider.value) : 0;
+  if (index >= timelineMonths.length) index = 0;
+
+  const playBtn = document.getElementById('timeline-play-btn');
+  if (playBtn) playBtn.textContent = '❚❚ Pause';
+
+  setTimelineMonthIndex(index + 1);
+  timelineTimer = setInterval(() => {
+    const current = Number(
+      document.getElementById('timeline-month-slider')?.value || 0
+    );
+    if (current >= timelineMonths.length) {
+      stopTimelineAnimation();
+      return;
+    }
+    setTimelineMonthIndex(current + 1);
+  }, TIMELINE_FRAME_MS);
+}
+
+function readTimelineFilterInputs() {
+  const enabledCb = document.getElementById('timeline-enabled');
+  const fromInput = document.getElementById('timeline-from');
+  const toInput = document.getElementById('timeline-to');
+  const hourFrom = document.getElementById('timeline-hour-from');
+  const hourTo = document.getElementById('timeline-hour-to');
+
+  sheetTimeFilter.enabled = !!enabledCb?.checked;
+  sheetTimeFilter.from = fromInput?.value
+    ? new Date(`${fromInput.value}T00:00:00`)
+    : null;
+  sheetTimeFilter.to = toInput?.value
+    ? new Date(`${toInput.value}T23:59:59`)
+    : null;
+  sheetTimeFilter.hourFrom = Math.min(23, Math.max(0, Number(hourFrom?.value) || 0));
+  sheetTimeFilter.hourTo = Math.min(
+    23,
+    Math.max(0, hourTo && hourTo.value !== '' ? Number(hourTo.value) : 23)
+  );
+
+  sheetTimeFilter.weekdays = new Set();
+  document
+    .querySelectorAll('#timeline-weekdays input[type="checkbox"]')
+    .forEach((cb) => {
+      if (cb.checked) sheetTimeFilter.weekdays.add(Number(cb.value));
+    });
+}
+
+// Re-read date/time columns after the user picks different ones
+function reparseSheetDates() {
+  (sheetPoints || []).forEach((p) => {
+    Object.assign(p, sheetRowDate(p.row || {}, sheetSourceById(p.sourceId)));
+  });
+  rebuildTimelineMonths();
+  applyTimelineFilter();
+}
+
+// Called once sheet rows are loaded so the column pickers list headers
+function initTimelineFields() {
+  const headers = sheetHeaders();
+  guessSheetDateFields(headers);
+
+  fillTimelineFieldSelect(
+    document.getElementById('timeline-date-field'),
+    headers,
+    sheetTimeSettings.dateField
+  );
+  fillTimelineFieldSelect(
+    document.getElementById('timeline-time-field'),
+    headers,
+    sheetTimeSettings.timeField
+  );
+}
+
+function initTimelineControls() {
+  const weekdaysEl = document.getElementById('timeline-weekdays');
+  if (weekdaysEl) {
+    // Monday-first, as on local calendars
+    [1, 2, 3, 4, 5, 6, 0].forEach((day) => {
+      const label = document.createElement('label');
+      label.className = 'sheet-toggle-item';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.value = String(day);
+      cb.checked = true;
+      const span = document.createElement('span');
+      span.textContent = WEEKDAY_LABELS[day];
+      label.appendChild(cb);
+      label.appendChild(span);
+      weekdaysEl.appendChild(label);
+    });
+  }
+
+  const panel = document.getElementById('timeline-controls');
+  if (!panel) return;
+
+  panel.addEventListener('change', (e) => {
+    const id = e.target && e.target.id;
+
+    if (
+      id === 'timeline-date-field' ||
+      id === 'timeline-time-field' ||
+      id === 'timeline-date-order'
+    ) {
+      sheetTimeSettings.dateField =
+        document.getElementById('timeline-date-field')?.value || '';
+      sheetTimeSettings.timeField =
+        document.getElementById('timeline-time-field')?.value || '';
+      sheetTimeSettings.dateOrder =
+        document.getElementById('timeline-date-order')?.value || 'dmy';
+      reparseSheetDates();
+      return;
+    }
+
+    if (id === 'timeline-month-slider') return;
+
+    readTimelineFilterInputs();
+    applyTimelineFilter();
+  });
+
+  const slider = document.getElementById('timeline-month-slider');
+  if (slider) {
+    slider.addEventListener('input', () => {
+      stopTimelineAnimation();
+      setTimelineMonthIndex(Number(slider.value));
+    });
+  }
+
+  const playBtn = document.getElementById('timeline-play-btn');
+  if (playBtn) {
+    playBtn.addEventListener('click', () => {
+      if (timelineTimer) {
+        stopTimelineAnimation();
+      } else {
+        startTimelineAnimation();
+      }
+    });
+  }
+}
+
+/****************************************************
+ * ATTRIBUTE QUERY BUILDER
+ ****************************************************/
+
+const QUERY_OPERATORS = {
+  equals: 'equals',
+  not_equals: 'does not equal',
+  contains: 'contains',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤',
+  between: 'between',
+  in: 'is one of',
+};
+
+const QUERY_HIGHLIGHT_STYLE = {
+  color: '#facc15',
+  weight: 3,
+};
+
+// targetId -> { combinator, mode, conditions: [{ field, op, value, value2 }] }
+const attributeFilters = {};
+
+function sheetPointProperties(p) {
+  const source = sheetSourceById(p.sourceId);
+  return {
+    ...(p.row || {}),
+    Category: p.category,
+    Source: source ? source.name : '',
+  };
+}
+
+// Every feature-bearing leaf layer inside an uploaded layer (plain group,
+// GeoJSON or cluster group), with the group that owns it.
+function collectFeatureLayers(layer, parent, out = []) {
+  if (layer.feature) {
+    out.push({ layer, parent });
+  } else if (typeof layer.eachLayer === 'function') {
+    layer.eachLayer((child) => collectFeatureLayers(child, layer, out));
+  }
+  return out;
+}
+
+function uploadedFeatureLayers(info) {
+  // Remember the full set once so isolated features can be restored
+  if (!info.featureLayers) {
+    info.featureLayers = collectFeatureLayers(info.layer, null);
+  }
+  return info.featureLayers;
+}
+
+// [{ id, name }] of everything the query builder can filter
+function listQueryTargets() {
+  const targets = [];
+  if (sheetPoints && sheetPoints.length) {
+    targets.push({ id: 'sheet', name: 'Complaint points' });
+  }
+  uploadedLayers.forEach((info) => {
+    if (info.type === 'drawing') return;
+    targets.push({ id: info.id, name: info.name });
+  });
+  return targets;
+}
+
+function queryTargetRecords(targetId) {
+  if (targetId === 'sheet') {
+    return (sheetPoints || []).map((p) => sheetPointProperties(p));
+  }
+  const info = uploadedLayers.find((l) => l.id === targetId);
+  if (!info) return [];
+  return uploadedFeatureLayers(info).map(
+    (entry) => entry.layer.feature.properties || {}
+  );
+}
+
+function queryTargetFields(targetId) {
+  const fields = new Set();
+  queryTargetRecords(targetId)
+    .slice(0, 500)
+    .forEach((props) => Object.keys(props).forEach((k) => fields.add(k)));
+  return Array.from(fields);
+}
+
+function evaluateCondition(props, cond) {
+  const raw = props[cond.field];
+  const str = raw === null || raw === undefined ? '' : String(raw).trim();
+  const lower = str.toLowerCase();
+  const target = String(cond.value ?? '').trim();
+  const targetLower = target.toLowerCase();
+  const num = parseFloat(str);
+  const a = parseFloat(target);
+  const b = parseFloat(cond.value2);
+
+  switch (cond.op) {
+    case 'equals':
+      return Number.isFinite(num) && Number.isFinite(a) && target !== ''
+        ? num === a
+        : lower === targetLower;
+    case 'not_equals':
+      return Number.isFinite(num) && Number.isFinite(a) && target !== ''
+        ? num !== a
+        : lower !== targetLower;
+    case 'contains':
+      return lower.includes(targetLower);
+    case 'gt':
+      return Number.isFinite(num) && num > a;
+    case 'gte':
+      return Number.isFinite(num) && num >= a;
+    case 'lt':
+      return Number.isFinite(num) && num < a;
+    case 'lte':
+      return Number.isFinite(num) && num <= a;
+    case 'between':
+      return (
+        Number.isFinite(num) &&
+        num >= Math.min(a, b) &&
+        num <= Math.max(a, b)
+      );
+    case 'in':
+      return target
+        .split(',')
+        .map((v) => v.trim().toLowerCase())
+        .filter(Boolean)
+        .includes(lower);
+    default:
+      return true;
+  }
+}
+
+function activeConditions(filter) {
+  return filter
+    ? filter.conditions.filter((c) => c.field && c.op)
+    : [];
+}
+
+function isQueryFilterActive(targetId) {
+  return activeConditions(attributeFilters[targetId]).length > 0;
+}
+
+function matchesAttributeFilter(targetId, props) {
+  const filter = attributeFilters[targetId];
+  const conditions = activeConditions(filter);
+  if (!conditions.length) return true;
+
+  return filter.combinator === 'or'
+    ? conditions.some((c) => evaluateCondition(props, c))
+    : conditions.every((c) => evaluateCondition(props, c));
+}
+
+// Used by getVisibleSheetPoints: only "isolate" hides points
+function passesSheetAttributeFilter(p) {
+  const filter = attributeFilters.sheet;
+  if (!filter || filter.mode !== 'isolate') return true;
+  return matchesAttributeFilter('sheet', sheetPointProperties(p));
+}
+
+function sheetHighlightActive() {
+  return (
+    isQueryFilterActive('sheet') && attributeFilters.sheet.mode === 'highlight'
+  );
+}
+
+function styleFeatureForQuery(lyr, state) {
+  // state: 'match' | 'dim' | 'normal'
+  if (typeof lyr.setStyle === 'function') {
+    if (!lyr._queryBaseStyle) {
+      lyr._queryBaseStyle = {
+        color: lyr.options.color,
+        weight: lyr.options.weight,
+        opacity: lyr.options.opacity,
+        fillOpacity: lyr.options.fillOpacity,
+      };
+    }
+    const base = lyr._queryBaseStyle;
+    if (state === 'match') {
+      lyr.setStyle({ ...base, ...QUERY_HIGHLIGHT_STYLE });
+    } else if (state === 'dim') {
+      lyr.setStyle({
+        ...base,
+        opacity: 0.3,
+        fillOpacity: Math.min(base.fillOpacity ?? 0.2, 0.15),
+      });
+    } else {
+      lyr.setStyle(base);
+    }
+  } else if (typeof lyr.setOpacity === 'function') {
+    lyr.setOpacity(state === 'dim' ? 0.35 : 1);
+  }
+}
+
+function applyUploadedLayerFilter(info) {
+  const active = isQueryFilterActive(info.id);
+  const mode = active ? attributeFilters[info.id].mode : null;
+  let matched = 0;
+
+  uploadedFeatureLayers(info).forEach(({ layer: lyr, parent }) => {
+    const isMatch =
+      !active || matchesAttributeFilter(info.id, lyr.feature.properties || {});
+    if (isMatch) matched++;
+
+    const owner = parent || info.layer;
+    if (mode === 'isolate' && !isMatch) {
+      if (owner.hasLayer(lyr)) owner.removeLayer(lyr);
+    } else if (!owner.hasLayer(lyr)) {
+      owner.addLayer(lyr);
+    }
+
+    styleFeatureForQuery(
+      lyr,
+      mode === 'highlight' ? (isMatch ? 'match' : 'dim') : 'normal'
+    );
+  });
+
+  return matched;
+}
+
+// Applies the filter for one target and returns { matched, total }
+function applyQueryFilter(targetId) {
+  if (targetId === 'sheet') {
+    refreshSheetLayers();
+    const total = (sheetPoints || []).length;
+    const matched = (sheetPoints || []).filter((p) =>
+      matchesAttributeFilter('sheet', sheetPointProperties(p))
+    ).length;
+    return { matched, total };
+  }
+
+  const info = uploadedLayers.find((l) => l.id === targetId);
+  if (!info) return { matched: 0, total: 0 };
+  const matched = applyUploadedLayerFilter(info);
+  refreshAttributeTable(targetId);
+  return { matched, total: uploadedFeatureLayers(info).length };
+}
+
+/* ---- Query panel UI ---- */
+
+let queryPanelTarget = null;
+// Typing in a value box waits for a pause before re-filtering, since a
+// sheet filter rebuilds every marker
+let queryInputTimer = null;
+
+function ensureQueryFilter(targetId) {
+  if (!attributeFilters[targetId]) {
+    attributeFilters[targetId] = {
+      combinator: 'and',
+      mode: 'highlight',
+      conditions: [{ field: '', op: 'equals', value: '', value2: '' }],
+    };
+  }
+  return attributeFilters[targetId];
+}
+
+function distinctFieldValues(targetId, field, limit = 50) {
+  const values = new Set();
+  for (const props of queryTargetRecords(targetId)) {
+    const v = props[field];
+    if (v !== null && v !== undefined && String(v).trim() !== '') {
+      values.add(String(v));
+      if (values.size >= limit) break;
+    }
+  }
+  return Array.from(values).sort();
+}
+
+function renderQueryTargets() {
+  const targetSel = document.getElementById('query-target');
+  if (!targetSel) return;
+
+  const targets = listQueryTargets();
+  targetSel.innerHTML = '';
+  targets.forEach((t) => {
+    const opt = document.createElement('option');
+    opt.value = t.id;
+    opt.textContent = isQueryFilterActive(t.id) ? `${t.name} (filtered)` : t.name;
+    targetSel.appendChild(opt);
+  });
+
+  if (!targets.some((t) => t.id === queryPanelTarget)) {
+    queryPanelTarget = targets.length ? targets[0].id : null;
+  }
+  if (queryPanelTarget) targetSel.value = queryPanelTarget;
+}
+
+function renderQueryConditions() {
+  const listEl = document.getElementById('query-conditions');
+  const combinatorSel = document.getElementById('query-combinator');
+  if (!listEl) return;
+
+  listEl.innerHTML = '';
+  if (!queryPanelTarget) {
+    listEl.innerHTML =
+      '<div class="map-panel-empty">Load complaint points or upload a layer to filter.</div>';
+    return;
+  }
+
+  const filter = ensureQueryFilter(queryPanelTarget);
+  const fields = queryTargetFields(queryPanelTarget);
+
+  if (combinatorSel) combinatorSel.value = filter.combinator;
+  document
+    .querySelectorAll('input[name="query-mode"]')
+    .forEach((r) => (r.checked = r.value === filter.mode));
+
+  filter.conditions.forEach((cond, idx) => {
+    const row = document.createElement('div');
+    row.className = 'query-condition-row';
+
+    const fieldSel = document.createElement('select');
+    fieldSel.innerHTML = '<option value="">Field…</option>';
+    fields.forEach((f) => {
+      const opt = document.createElement('option');
+      opt.value = f;
+      opt.textContent = f;
+      fieldSel.appendChild(opt);
+    });
+    fieldSel.value = cond.field;
+
+    const opSel = document.createElement('select');
+    Object.entries(QUERY_OPERATORS).forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      opSel.appendChild(opt);
+    });
+    opSel.value = cond.op;
+
+    const listId = `query-values-${idx}`;
+    const datalist = document.createElement('datalist');
+    datalist.id = listId;
+    if (cond.field) {
+      distinctFieldValues(queryPanelTarget, cond.field).forEach((v) => {
+        const opt = document.createElement('option');
+        opt.value = v;
+        datalist.appendChild(opt);
+      });
+    }
+
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.placeholder = cond.op === 'in' ? 'a, b, c' : 'Value';
+    valueInput.value = cond.value;
+    valueInput.setAttribute('list', listId);
+
+    const value2Input = document.createElement('input');
+    value2Input.type = 'text';
+    value2Input.placeholder = 'and';
+    value2Input.value = cond.value2;
+    value2Input.style.display = cond.op === 'between' ? '' : 'none';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'upload-config-close-btn';
+    removeBtn.setAttribute('aria-label', 'Remove condition');
+    removeBtn.textContent = '×';
+
+    fieldSel.addEventListener('change', () => {
+      cond.field = fieldSel.value;
+      renderQueryConditions();
+      runQueryFromPanel();
+    });
+    opSel.addEventListener('change', () => {
+      cond.op = opSel.value;
+      renderQueryConditions();
+      runQueryFromPanel();
+    });
+    valueInput.addEventListener('input', () => {
+      cond.value = valueInput.value;
+      scheduleQueryFromPanel();
+    });
+    value2Input.addEventListener('input', () => {
+      cond.value2 = value2Input.value;
+      scheduleQueryFromPanel();
+    });
+    removeBtn.addEventListener('click', () => {
+      filter.conditions.splice(idx, 1);
+      renderQueryConditions();
+      runQueryFromPanel();
+    });
+
+    row.appendChild(fieldSel);
+    row.appendChild(opSel);
+    row.appendChild(valueInput);
+    row.appendChild(value2Input);
+    row.appendChild(datalist);
+    row.appendChild(removeBtn);
+    listEl.appendChild(row);
+  });
+}
+
+function scheduleQueryFromPanel() {
+  if (queryInputTimer) clearTimeout(queryInputTimer);
+  queryInputTimer = setTimeout(runQueryFromPanel, 300);
+}
+
+function runQueryFromPanel() {
+  if (queryInputTimer) clearTimeout(queryInputTimer);
+  queryInputTimer = null;
+  const countEl = document.getElementById('query-count');
+  if (!queryPanelTarget) {
+    if (countEl) countEl.textContent = '';
+    return;
+  }
+
+  const { matched, total } = applyQueryFilter(queryPanelTarget);
+  if (countEl) {
+    countEl.textContent = isQueryFilterActive(queryPanelTarget)
+      ? `${matched} of ${total} features match`
+      : `${total} features (no filter)`;
+  }
+}
+
+function clearQueryFilter(targetId) {
+  delete attributeFilters[targetId];
+  applyQueryFilter(targetId);
+}
+
+function openQueryPanel() {
+  const panel = document.getElementById('query-panel');
+  if (!panel) return;
+  renderQueryTargets();
+  renderQueryConditions();
+  runQueryFromPanel();
+  panel.classList.remove('hidden');
+}
+
+function initQueryBuilder() {
+  const openBtn = document.getElementById('query-open-btn');
+  if (openBtn) openBtn.addEventListener('click', () => openQueryPanel());
+
+  const closeBtn = document.getElementById('query-close');
+  if (closeBtn) {
+    closeBtn.addEventListener('click', () => {
+      document.getElementById('query-panel')?.classList.add('hidden');
+    });
+  }
+
+  const targetSel = document.getElementById('query-target');
+  if (targetSel) {
+    targetSel.addEventListener('change', () => {
+      queryPanelTarget = targetSel.value;
+      renderQueryConditions();
+      runQueryFromPanel();
+    });
+  }
+
+  const combinatorSel = document.getElementById('query-combinator');
+  if (combinatorSel) {
+    combinatorSel.addEventListener('change', () => {
+      if (!queryPanelTarget) return;
+      ensureQueryFilter(queryPanelTarget).combinator = combinatorSel.value;
+      runQueryFromPanel();
+    });
+  }
+
+  document.querySelectorAll('input[name="query-mode"]').forEach((radio) => {
+    radio.addEventListener('change', () => {
+      if (!radio.checked || !queryPanelTarget) return;
+      ensureQueryFilter(queryPanelTarget).mode = radio.value;
+      runQueryFromPanel();
+    });
+  });
+
+  const addBtn = document.getElementById('query-add-condition');
+  if (addBtn) {
+    addBtn.addEventListener('click', () => {
+      if (!queryPanelTarget) return;
+      ensureQueryFilter(queryPanelTarget).conditions.push({
+        field: '',
+        op: 'equals',
+        value: '',
+        value2: '',
+      });
+      renderQueryConditions();
+    });
+  }
+
+  const clearBtn = document.getElementById('query-clear');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      if (!queryPanelTarget) return;
+      clearQueryFilter(queryPanelTarget);
+      renderQueryTargets();
+      renderQueryConditions();
+      runQueryFromPanel();
+    });
+  }
+}
+
+/****************************************************
+ * ATTRIBUTE TABLE
+ ****************************************************/
+
+const ATTRIBUTE_TABLE_MAX_ROWS = 1000;
+
+const TABLE_SELECTION_STYLE = {
+  color: '#facc15',
+  weight: 4,
+  fillOpacity: 0.1,
+};
+
+const attributeTable = {
+  targetId: null,
+  records: [],
+  fields: [],
+  hiddenFields: new Set(),
+  sortField: null,
+  sortDir: 1,
+  search: '',
+  selectedKey: null,
+  layer: null, // uploaded layer the rows were read from
+};
+
+let tableSelectionLayer = null;
+
+// Predefined polygon overlays by config id (filled in createPolygonOverlay)
+const overlayLayers = {};
+
+function isAttributeTableOpen() {
+  const panel = document.getElementById('attribute-table-panel');
+  return !!panel && !panel.classList.contains('hidden');
+}
+
+// [{ id, name }] of everything that can be shown in the table
+function listTableTargets() {
+  const targets = [];
+  if (sheetPoints && sheetPoints.length) {
+    targets.push({ id: 'sheet', name: 'Complaint points' });
+  }
+  uploadedLayers.forEach((info) => {
+    if (info.type === 'drawing') return;
+    targets.push({ id: info.id, name: info.name });
+  });
+  GEOJSON_LAYERS_CONFIG.forEach((cfg) => {
+    if (overlayLayers[cfg.id]) {
+      targets.push({ id: `overlay:${cfg.id}`, name: cfg.name });
+    }
+  });
+  return targets;
+}
+
+// [{ key, props, layer }] for a target. `key` identifies the row when the
+// matching feature is clicked on the map (sheet rows key on the point).
+function tableRecordsForTarget(targetId) {
+  if (targetId === 'sheet') {
+    return getVisibleSheetPoints().map((p) => ({
+      key: p,
+      props: sheetPointProperties(p),
+      layer: p.marker || null,
+    }));
+  }
+
+  if (targetId && targetId.startsWith('overlay:')) {
+    const layer = overlayLayers[targetId.slice('overlay:'.length)];
+    if (!layer) return [];
+    return collectFeatureLayers(layer, null).map(({ layer: lyr }) => ({
+      key: lyr,
+      props: lyr.feature.properties || {},
+      layer: lyr,
+    }));
+  }
+
+  const info = uploadedLayers.find((l) => l.id === targetId);
+  if (!info) return [];
+  return uploadedFeatureLayers(info)
+    // Features hidden by an "isolate" attribute filter are left out
+    .filter(({ layer: lyr, parent }) => (parent || info.layer).hasLayer(lyr))
+    .map(({ layer: lyr }) => ({
+      key: lyr,
+      props: lyr.feature.properties || {},
+      layer: lyr,
+    }));
+}
+
+function compareTableValues(a, b) {
+  const na = parseFloat(a);
+  const nb = parseFloat(b);
+  if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+
+  const sa = a === null || a === undefined ? '' : String(a);
+  const sb = b === null || b === undefined ? '' : String(b);
+  return sa.localeCompare(sb, undefined, { numeric: true });
+}
+
+function visibleTableFields() {
+  return attributeTable.fields.filter(
+    (f) => !attributeTable.hiddenFields.has(f)
+  );
+}
+
+function filteredTableRecords() {
+  const fields = visibleTableFields();
+  const term = attributeTable.search.trim().toLowerCase();
+
+  let rows = attributeTable.records;
+  if (term) {
+    rows = rows.filter((rec) =>
+      fields.some((f) =>
+        String(rec.props[f] ?? '').toLowerCase().includes(term)
+      )
+    );
+  }
+
+  if (attributeTable.sortField) {
+    const field = attributeTable.sortField;
+    rows = rows
+      .slice()
+      .sort(
+        (a, b) =>
+          attributeTable.sortDir *
+          compareTableValues(a.props[field], b.props[field])
+      );
+  }
+
+  return rows;
+}
+
+function bindTableFeatureClick(targetId, rec) {
+  const lyr = rec.layer;
+  if (!lyr || lyr._tableClickBound) return;
+  lyr._tableClickBound = true;
+  lyr.on('click', () => selectTableRowByKey(targetId, rec.key));
+}
+
+function loadAttributeTable(targetId) {
+  attributeTable.targetId = targetId;
+  attributeTable.records = targetId ? tableRecordsForTarget(targetId) : [];
+  attributeTable.selectedKey = null;
+  const info = uploadedLayers.find((l) => l.id === targetId);
+  attributeTable.layer = info ? info.layer : null;
+
+  const fields = new Set();
+  attributeTable.records.forEach((rec) =>
+    Object.keys(rec.props).forEach((k) => fields.add(k))
+  );
+  const nextFields = Array.from(fields);
+
+  // Keep sort / hidden columns when reloading the same target
+  if (nextFields.join('|') !== attributeTable.fields.join('|')) {
+    attributeTable.hiddenFields.clear();
+    attributeTable.sortField = null;
+    attributeTable.sortDir = 1;
+  }
+  attributeTable.fields = nextFields;
+
+  // Sheet markers are rebuilt often and bind their own click handler
+  if (targetId !== 'sheet') {
+    attributeTable.records.forEach((rec) => bindTableFeatureClick(targetId, rec));
+  }
+  clearTableSelection();
+}
+
+function renderAttributeTableTargets() {
+  const targetSel = document.getElementById('attribute-table-target');
+  if (!targetSel) return;
+
+  const targets = listTableTargets();
+  targetSel.innerHTML = '';
+  targets.forEach((t) => {
+    const opt = document.createElement('option');
+    opt.value = t.id;
+    opt.textContent = t.name;
+    targetSel.appendChild(opt);
+  });
+
+  if (!targets.some((t) => t.id === attributeTable.targetId)) {
+    attributeTable.targetId = targets.length ? targets[0].id : null;
+  }
+  if (attributeTable.targetId) targetSel.value = attributeTable.targetId;
+}
+
+function renderAttributeTableColumns() {
+  const listEl = document.getElementById('attribute-table-columns');
+  if (!listEl) return;
+
+  listEl.innerHTML = '';
+  attributeTable.fields.forEach((field) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !attributeTable.hiddenFields.has(field);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) attributeTable.hiddenFields.delete(field);
+      else attributeTable.hiddenFields.add(field);
+      renderAttributeTableRows();
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${field}`));
+    listEl.appendChild(label);
+  });
+}
+
+function renderAttributeTableRows() {
+  const tableEl = document.getElementById('attribute-table');
+  const countEl = document.getElementById('attribute-table-count');
+  if (!tableEl) return;
+
+  tableEl.innerHTML = '';
+
+  if (!attributeTable.targetId) {
+    if (countEl) countEl.textContent = 'No layers loaded yet';
+    return;
+  }
+
+  const fields = visibleTableFields();
+  const rows = filteredTableRecords();
+  const shown = rows.slice(0, ATTRIBUTE_TABLE_MAX_ROWS);
+
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  fields.forEach((field) => {
+    const th = document.createElement('th');
+    th.textContent = field;
+    th.title = 'Sort by this column';
+    if (attributeTable.sortField === field) {
+      th.classList.add(attributeTable.sortDir > 0 ? 'sort-asc' : 'sort-desc');
+    }
+    th.addEventListener('click', () => {
+      if (attributeTable.sortField === field) {
+        attributeTable.sortDir = -attributeTable.sortDir;
+      } else {
+        attributeTable.sortField = field;
+        attributeTable.sortDir = 1;
+      }
+      renderAttributeTableRows();
+    });
+    headRow.appendChild(th);
+  });
+  thead.appendChild(headRow);
+  tableEl.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  shown.forEach((rec) => {
+    const tr = document.createElement('tr');
+    if (rec.key === attributeTable.selectedKey) tr.classList.add('selected');
+    fields.forEach((field) => {
+      const td = document.createElement('td');
+      const v = rec.props[field];
+      td.textContent = v === null || v === undefined ? '' : String(v);
+      tr.appendChild(td);
+    });
+    tr.addEventListener('click', () => {
+      selectTableRecord(rec, { zoom: true });
+    });
+    rec.rowEl = tr;
+    tbody.appendChild(tr);
+  });
+  tableEl.appendChild(tbody);
+
+  if (countEl) {
+    const total = attributeTable.records.length;
+    let text =
+      rows.length === total
+        ? `${total} features`
+        : `${rows.length} of ${total} features match`;
+    if (rows.length > shown.length) {
+      text += ` (showing first ${shown.length})`;
+    }
+    countEl.textContent = text;
+  }
+}
+
+function clearTableSelection() {
+  if (tableSelectionLayer) {
+    map.removeLayer(tableSelectionLayer);
+    tableSelectionLayer = null;
+  }
+}
+
+function recordLatLngBounds(rec) {
+  if (attributeTable.targetId === 'sheet') {
+    const ll = L.latLng(rec.key.lat, rec.key.lng);
+    return L.latLngBounds(ll, ll);
+  }
+  const lyr = rec.layer;
+  if (typeof lyr.getBounds === 'function') return lyr.getBounds();
+  if (typeof lyr.getLatLng === 'function') {
+    const ll = lyr.getLatLng();
+    return L.latLngBounds(ll, ll);
+  }
+  return null;
+}
+
+function highlightTableRecord(rec) {
+  clearTableSelection();
+
+  const geojson =
+    attributeTable.targetId === 'sheet'
+      ? {
+          type: 'Feature',
+          properties: {},
+          geometry: { type: 'Point', coordinates: [rec.key.lng, rec.key.lat] },
+        }
+      : rec.layer.toGeoJSON();
+
+  tableSelectionLayer = L.geoJSON(geojson, {
+    interactive: false,
+    style: () => TABLE_SELECTION_STYLE,
+    pointToLayer: (feature, latlng) =>
+      L.circleMarker(latlng, {
+        ...TABLE_SELECTION_STYLE,
+        radius: 12,
+        fillOpacity: 0,
+      }),
+  }).addTo(map);
+}
+
+function selectTableRecord(rec, { zoom = false } = {}) {
+  attributeTable.selectedKey = rec.key;
+
+  document
+    .querySelectorAll('#attribute-table tr.selected')
+    .forEach((tr) => tr.classList.remove('selected'));
+  if (rec.rowEl) {
+    rec.rowEl.classList.add('selected');
+    rec.rowEl.scrollIntoView({ block: 'nearest' });
+  }
+
+  highlightTableRecord(rec);
+
+  if (zoom) {
+    const bounds = recordLatLngBounds(rec);
+    if (bounds && bounds.isValid()) {
+      map.fitBounds(bounds, { padding: [40, 40], maxZoom: 16 });
+    }
+  }
+}
+
+// Feature clicked on the map: select its row if the table is showing it
+function selectTableRowByKey(targetId, key) {
+  if (!isAttributeTableOpen() || attributeTable.targetId !== targetId) return;
+
+  const rec = attributeTable.records.find((r) => r.key === key);
+  if (!rec) return;
+
+  // Make sure the row is rendered even if search or paging hid it
+  if (!rec.rowEl || !rec.rowEl.isConnected) {
+    attributeTable.search = '';
+    const searchInput = document.getElementById('attribute-table-search');
+    if (searchInput) searchInput.value = '';
+    attributeTable.selectedKey = key;
+    renderAttributeTableRows();
+  }
+  selectTableRecord(rec);
+}
+
+function showAttributeTable(targetId) {
+  loadAttributeTable(targetId);
+  renderAttributeTableColumns();
+  renderAttributeTableRows();
+}
+
+// The target's features changed (filters, timeline, refresh): reload its
+// rows if they differ, keeping the selected feature when still present
+function refreshAttributeTable(targetId) {
+  if (!isAttributeTableOpen() || attributeTable.targetId !== targetId) return;
+
+  const next = tableRecordsForTarget(targetId);
+  const current = attributeTable.records;
+  if (
+    next.length === current.length &&
+    next.every((rec, i) => rec.key === current[i].key)
+  ) {
+    return;
+  }
+
+  const selectedKey = attributeTable.selectedKey;
+  showAttributeTable(targetId);
+  const rec = attributeTable.records.find((r) => r.key === selectedKey);
+  if (rec) selectTableRecord(rec);
+}
+
+// The uploaded layer list changed: update the picker, and reload rows
+// only when the table's own layer was removed or rebuilt
+function syncAttributeTableTargets() {
+  if (!isAttributeTableOpen()) return;
+
+  const previous = attributeTable.targetId;
+  renderAttributeTableTargets();
+  const info = uploadedLayers.find((l) => l.id === attributeTable.targetId);
+  if (
+    attributeTable.targetId !== previous ||
+    (info && info.layer !== attributeTable.layer)
+  ) {
+    showAttributeTable(attributeTable.targetId);
+  }
+}
+
+function openAttributeTable(targetId) {
+  const panel = document.getElementById('attribute-table-panel');
+  if (!panel) return;
+
+  if (targetId) attributeTable.targetId = targetId;
+  panel.classList.remove('hidden');
+  renderAttributeTableTargets();
+  showAttributeTable(attributeTable.targetId);
+}
+
+function closeAttributeTable() {
+  document.getElementById('attribute-table-panel')?.classList.add('hidden');
+  clearTableSelection();
+}
+
+function initAttributeTable() {
+  document
+    .getElementById('attribute-table-open-btn')
+    ?.addEventListener('click', () => openAttributeTable());
+  document
+    .getElementById('attribute-table-close')
+    ?.addEventListener('click', () => closeAttributeTable());
+
+  const targetSel = document.getElementById('attribute-table-target');
+  if (targetSel) {
+    targetSel.addEventListener('change', () => {
+      attributeTable.search = '';
+      const searchInput = document.getElementById('attribute-table-search');
+      if (searchInput) searchInput.value = '';
+      showAttributeTable(targetSel.value);
+    });
+  }
+
+  const searchInput = document.getElementById('attribute-table-search');
+  if (searchInput) {
+    searchInput.addEventListener('input', () => {
+      attributeTable.search = searchInput.value;
+      renderAttributeTableRows();
+    });
+  }
+}
+
+/****************************************************
+ * USER UPLOAD: CSV / GeoJSON / Shapefile
+ ****************************************************/
+
+// Colour schemes for uploaded layers
+const UPLOAD_COLOR_SCHEMES = {
+  pastel: ['#bfdbfe', '#a7f3d0', '#fde68a', '#fecaca', '#ddd6fe', '#f9a8d4'],
+  vibrant: ['#f97316', '#22c55e', '#3b82f6', '#e11d48', '#a855f7', '#10b981'],
+  blue: ['#bfdbfe', '#93c5fd', '#60a5fa', '#3b82f6', '#1d4ed8', '#1e40af'],
+};
+
+// Coordinate systems offered for uploads. `def` is a proj4 string; keys
+// are stable ids stored on the upload state.
+const UPLOAD_CRS_OPTIONS = [
+  {
+    key: 'epsg32620',
+    code: 'EPSG:32620',
+    name: 'WGS 84 / UTM zone 20N',
+    def: EPSG32620,
+  },
+  {
+    key: 'wgs84',
+    code: 'EPSG:4326',
+    name: 'WGS 84 (latitude / longitude)',
+    def: 'EPSG:4326',
+  },
+  {
+    key: 'epsg32621',
+    code: 'EPSG:32621',
+    name: 'WGS 84 / UTM zone 21N (eastern Tobago)',
+    def: '+proj=utm +zone=21 +datum=WGS84 +units=m +no_defs +type=crs',
+  },
+  {
+    key: 'epsg2067',
+    code: 'EPSG:2067',
+    name: 'Naparima 1955 / UTM zone 20N',
+    def: '+proj=utm +zone=20 +ellps=intl +towgs84=-0.465,372.095,171.736,0,0,0,0 +units=m +no_defs +type=crs',
+  },
+  {
+    key: 'epsg27120',
+    code: 'EPSG:27120',
+    name: 'Naparima 1972 / UTM zone 20N',
+    def: '+proj=utm +zone=20 +ellps=intl +towgs84=-10,375,165,0,0,0,0 +units=m +no_defs +type=crs',
+  },
+  {
+    key: 'epsg30200',
+    code: 'EPSG:30200',
+    name: 'Trinidad 1903 / Trinidad Grid (Clarke links)',
+    def: '+proj=cass +lat_0=10.4416666666667 +lon_0=-61.3333333333333 +x_0=86501.46392052 +y_0=65379.0134283 +a=6378293.64520876 +b=6356617.98767984 +towgs84=-61.702,284.488,472.052,0,0,0,0 +to_meter=0.201166195164 +no_defs +type=crs',
+  },
+  {
+    key: 'epsg2314',
+    code: 'EPSG:2314',
+    name: 'Trinidad 1903 / Trinidad Grid (Clarke feet)',
+    def: '+proj=cass +lat_0=10.4416666666667 +lon_0=-61.3333333333333 +x_0=86501.46392052 +y_0=65379.0134283 +a=6378293.64520876 +b=6356617.98767984 +towgs84=-61.702,284.488,472.052,0,0,0,0 +to_meter=0.3047972654 +no_defs +type=crs',
+  },
+  {
+    key: 'epsg2066',
+    code: 'EPSG:2066',
+    name: 'Mount Dillon / Tobago Grid',
+    def: '+proj=cass +lat_0=11.2521786111111 +lon_0=-60.6860088888889 +x_0=37718.66159325 +y_0=36209.91512952 +a=6378293.64520876 +b=6356617.98767984 +to_meter=0.201166195164 +no_defs +type=crs',
+  },
+  {
+    key: 'epsg3857',
+    code: 'EPSG:3857',
+    name: 'WGS 84 / Pseudo-Mercator (web maps)',
+    def: 'EPSG:3857',
+  },
+  {
+    key: 'custom',
+    code: 'Custom',
+    name: 'Custom proj4 string or WKT',
+    def: null,
+  },
+];
+
+// .prj WKT fragments (lower-case, underscores as spaces) -> CRS key
+const PRJ_CRS_PATTERNS = [
+  { key: 'epsg2067', test: /naparima 1955/ },
+  { key: 'epsg27120', test: /naparima 1972/ },
+  { key: 'epsg2066', test: /tobago grid|mount dillon/ },
+  { key: 'epsg2314', test: /trinidad (1903|grid).*(foot|feet)/ },
+  { key: 'epsg30200', test: /trinidad 1903|trinidad grid/ },
+  { key: 'epsg3857', test: /pseudo mercator|web mercator|popular visualisation/ },
+  { key: 'epsg32620', test: /wgs 1984 utm zone 20n|wgs 84 \/ utm zone 20n/ },
+  { key: 'epsg32621', test: /wgs 1984 utm zone 21n|wgs 84 \/ utm zone 21n/ },
+];
+
+function uploadCrsOption(key) {
+  return UPLOAD_CRS_OPTIONS.find((o) => o.key === key) || null;
+}
+
+function crsKeyFromPrj(prjText) {
+  const text = String(prjText || '')
+    .toLowerCase()
+    .replace(/_/g, ' ');
+  if (!text.trim()) return null;
+
+  const match = PRJ_CRS_PATTERNS.find((p) => p.test.test(text));
+  if (match) return match.key;
+
+  // Plain geographic WGS84 (no PROJCS)
+  if (!text.includes('projcs') && /wgs 1984|wgs 84|wgs84/.test(text)) {
+    return 'wgs84';
+  }
+  return null;
+}
+
+// e.g. "EPSG:32620" or "urn:ogc:def:crs:EPSG::32620" from a GeoJSON crs member
+function crsKeyFromCode(code) {
+  const text = String(code || '');
+  if (/CRS84$/i.test(text)) return 'wgs84';
+
+  const m = text.match(/EPSG:{1,2}(\d+)$/i);
+  if (!m) return null;
+  const opt = UPLOAD_CRS_OPTIONS.find((o) => o.code === `EPSG:${m[1]}`);
+  return opt ? opt.key : null;
+}
+
+function isValidProjDefinition(def) {
+  try {
+    const out = proj4(def, 'EPSG:4326', [500000, 1000000]);
+    return Number.isFinite(out[0]) && Number.isFinite(out[1]);
+  } catch (err) {
+    return false;
+  }
+}
+
+// X / Y in the given CRS -> { lat, lng }, or null if it cannot be projected
+function projectXYToLatLng(x, y, crsDef) {
+  if (crsDef === 'EPSG:4326') return { lat: y, lng: x };
+
+  try {
+    const [lng, lat] = proj4(crsDef, 'EPSG:4326', [x, y]);
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Reproject every coordinate of a GeoJSON object between two proj4 CRSs
+function reprojectGeoJSON(geojson, fromDef, toDef) {
+  if (!geojson) return geojson;
+
+  function reprojectCoord(c) {
+    return proj4(fromDef, toDef, [c[0], c[1]]);
+  }
+
+  function walkCoords(coords) {
+    // Single coordinate [x, y]
+    if (typeof coords[0] === 'number' && typeof coords[1] === 'number') {
+      return reprojectCoord(coords);
+    }
+    // Nested arrays
+    return coords.map(walkCoords);
+  }
+
+  function reprojectGeometry(geom) {
+    if (!geom) return geom;
+    if (geom.type === 'GeometryCollection') {
+      return { ...geom, geometries: geom.geometries.map(reprojectGeometry) };
+    }
+    if (!geom.coordinates) return geom;
+    return {
+      ...geom,
+      coordinates: walkCoords(geom.coordinates),
+    };
+  }
+
+  function reprojectFeature(feature) {
+    if (!feature) return feature;
+    if (feature.type === 'Feature') {
+      return {
+        ...feature,
+        geometry: reprojectGeometry(feature.geometry),
+      };
+    }
+    return feature;
+  }
+
+  if (geojson.type === 'FeatureCollection') {
+    return {
+      ...geojson,
+      features: geojson.features.map(reprojectFeature),
+    };
+  }
+
+  if (geojson.type === 'Feature') {
+    return reprojectFeature(geojson);
+  }
+
+  if (geojson.type) {
+    return reprojectGeometry(geojson);
+  }
+
+  return geojson;
+}
+
+let uploadLayerCounter = 0;
+const uploadedLayers = [];
+let uploadConfigState = null;
+
+// Take an uploaded (or drawn) layer off the map and out of the legend
+function detachUploadedLayer(info) {
+  delete attributeFilters[info.id];
+  if (info.persisted) {
+    info.persisted = false;
+    deletePersistedUpload(info.id);
+  }
+  if (info.type === 'drawing' && drawnItems) {
+    drawnItems.removeLayer(info.layer);
+  } else if (map.hasLayer(info.layer)) {
+    map.removeLayer(info.layer);
+  }
+  setLegendGroup(info.id, null);
+  removeDataQualityReports((key) => key === info.id);
+  removeUploadPane(info.id);
+}
+
+function refreshUploadedLayersUI() {
+  const listEl = document.getElementById('upload-layers-list');
+  const clearAllBtn = document.getElementById('upload-clear-all-btn');
+  if (!listEl || !clearAllBtn) return;
+
+  listEl.innerHTML = '';
+
+  if (!uploadedLayers.length) {
+    const empty = document.createElement('div');
+    empty.className = 'upload-layers-empty';
+    empty.textContent = 'No uploaded layers';
+    listEl.appendChild(empty);
+
+    clearAllBtn.disabled = true;
+    syncAttributeTableTargets();
+    return;
+  }
+
+  clearAllBtn.disabled = false;
+  syncAttributeTableTargets();
+
+  // Topmost layer first
+  uploadedLayers
+    .slice()
+    .reverse()
+    .forEach((info) => listEl.appendChild(buildUploadedLayerRow(info)));
+}
+
+function clearAllUploadedLayers() {
+  if (!uploadedLayers.length) return;
+
+  uploadedLayers.forEach((info) => detachUploadedLayer(info));
+
+  uploadedLayers.length = 0;
+  refreshUploadedLayersUI();
+}
+
+function detectGeometryType(features) {
+  if (!features || !features.length) return 'point';
+  for (const f of features) {
+    if (!f || !f.geometry) continue;
+    const t = f.geometry.type;
+    if (!t) continue;
+    if (t.includes('Point')) return 'point';
+    if (t.includes('Polygon')) return 'polygon';
+    if (t.includes('Line')) return 'line';
+  }
+  return 'point';
+}
+
+function initUploadButtonAndModal() {
+  const uploadBtn = document.getElementById('sheet-upload-btn');
+  const fileInput = document.getElementById('user-upload-input');
+  const modalEl = document.getElementById('upload-config-modal');
+  const clearAllBtn = document.getElementById('upload-clear-all-btn');
+
+  if (!uploadBtn || !fileInput || !modalEl) {
+    console.warn('Upload button or modal elements not found.');
+    return;
+  }
+
+  uploadBtn.addEventListener('click', () => {
+    fileInput.value = '';
+    fileInput.click();
+  });
+
+  if (clearAllBtn) {
+    clearAllBtn.addEventListener('click', () => {
+      clearAllUploadedLayers();
+    });
+  }
+
+  initUploadCrsPicker();
+  initUploadStyleOptions();
+
+  // Render initial empty state for uploaded layers list
+  refreshUploadedLayersUI();
+
+  fileInput.addEventListener('change', (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    handleUserFileSelected(file);
+  });
+
+  const closeBtn = document.getElementById('upload-config-close');
+  const cancelBtn = document.getElementById('upload-config-cancel');
+  const applyBtn = document.getElementById('upload-config-apply');
+
+  if (closeBtn) {
+    closeBtn.addEventListener('click', () => closeUploadConfigModal());
+  }
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', () => closeUploadConfigModal());
+  }
+  if (applyBtn) {
+    applyBtn.addEventListener('click', () => applyUploadConfig());
+  }
+
+  modalEl.addEventListener('click', (e) => {
+    if (e.target === modalEl) {
+      closeUploadConfigModal();
+    }
+  });
+}
+
+function handleUserFileSelected(file) {
+  const name = file.name || 'Uploaded layer';
+  const ext = name.toLowerCase().split('.').pop();
+
+  if (ext === 'csv') {
+    parseUploadedCsv(file);
+  } else if (ext === 'geojson' || ext === 'json') {
+    parseUploadedGeoJson(file);
+  } else if (ext === 'zip') {
+    parseUploadedShapefile(file);
+  } else if (ext === 'kml') {
+    parseUploadedKml(file);
+  } else if (ext === 'kmz') {
+    parseUploadedKmz(file);
+  } else if (ext === 'gpx') {
+    parseUploadedGpx(file);
+  } else if (ext === 'shp') {
+    alert(
+      'Please upload a zipped shapefile (.zip) containing .shp, .shx, .dbf (and optionally .prj).'
+    );
+  } else {
+    alert(
+      'Unsupported file type. Use CSV, GeoJSON, zipped shapefile (.zip), KML, KMZ or GPX.'
+    );
+  }
+}
+
+// CSV
+function parseUploadedCsv(file) {
+  Papa.parse(file, {
+    header: true,
+    dynamicTyping: false,
+    complete: (results) => {
+      // File line of each kept row (header is line 1), for the data
+      // quality report
+      const rowNumbers = [];
+      const rows = results.data.filter((r, i) => {
+        const keep = r && Object.values(r).some((v) => v !== null && v !== '');
+        if (keep) rowNumbers.push(i + 2);
+        return keep;
+      });
+      const headers = results.meta && results.meta.fields
+        ? results.meta.fields
+        : rows.length
+        ? Object.keys(rows[0])
+        : [];
+
+      if (!rows.length || !headers.length) {
+        alert('No usable rows found in CSV.');
+        return;
+      }
+
+      uploadConfigState = {
+        type: 'csv',
+        fileName: file.name,
+        rows,
+        rowNumbers,
+        headers,
+        geometryType: 'point',
+      };
+
+      openUploadConfigModal();
+    },
+    error: (err) => {
+      console.error('Error parsing CSV:', err);
+      alert('Error reading CSV file.');
+    },
+  });
+}
+
+// GeoJSON
+function parseUploadedGeoJson(file) {
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      const text = e.target.result;
+      const geojson = JSON.parse(text);
+      let featureCollection = null;
+
+      if (geojson.type === 'FeatureCollection') {
+        featureCollection = geojson;
+      } else if (geojson.type === 'Feature') {
+        featureCollection = { type: 'FeatureCollection', features: [geojson] };
+      } else if (geojson.type && geojson.coordinates) {
+        featureCollection = {
+          type: 'FeatureCollection',
+          features: [{ type: 'Feature', geometry: geojson, properties: {} }],
+        };
+      }
+
+      if (!featureCollection || !featureCollection.features.length) {
+        alert('No features found in GeoJSON.');
+        return;
+      }
+
+      const features = featureCollection.features;
+      const firstProps = features[0].properties || {};
+      const headers = Object.keys(firstProps);
+      const geometryType = detectGeometryType(features);
+
+      uploadConfigState = {
+        type: 'geojson',
+        fileName: file.name,
+        featureCollection,
+        headers,
+        geometryType,
+      };
+
+      // Legacy GeoJSON "crs" member (e.g. our own EPSG:32620 exports)
+      const crsKey = crsKeyFromCode(geojson.crs?.properties?.name);
+      if (crsKey) {
+        uploadConfigState.defaultCrs = crsKey;
+        uploadConfigState.crsNote = `Detected from the file: ${
+          uploadCrsOption(crsKey).code
+        }`;
+      }
+
+      openUploadConfigModal();
+    } catch (err) {
+      console.error('Error parsing GeoJSON:', err);
+      alert('Error reading GeoJSON file.');
+    }
+  };
+  reader.readAsText(file);
+}
+
+// Shapefile (zipped) – requires shpjs and JSZip loaded in index.html.
+// The parts are read individually so shpjs does not reproject on its own;
+// the .prj only picks the CRS offered in the config modal.
+function parseUploadedShapefile(file) {
+  if (typeof shp === 'undefined' || typeof JSZip === 'undefined') {
+    alert(
+      'Shapefile support requires shpjs and JSZip. Please include them in index.html.'
+    );
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = async (e) => {
+    try {
+      const zip = await JSZip.loadAsync(e.target.result);
+      const entries = Object.values(zip.files).filter((f) => !f.dir);
+      const shpEntry = entries.find((f) => /\.shp$/i.test(f.name));
+
+      if (!shpEntry) {
+        alert('No .shp file found inside the zip.');
+        return;
+      }
+
+      const base = shpEntry.name.replace(/\.shp$/i, '').toLowerCase();
+      const part = (ext) =>
+        entries.find((f) => f.name.toLowerCase() === `${base}.${ext}`);
+
+      const dbfEntry = part('dbf');
+      const prjEntry = part('prj');
+      const cpgEntry = part('cpg');
+
+      const geometries = shp.parseShp(await shpEntry.async('arraybuffer'));
+      const properties = dbfEntry
+        ? shp.parseDbf(
+            await dbfEntry.async('arraybuffer'),
+            cpgEntry ? await cpgEntry.async('text') : undefined
+          )
+        : [];
+      const featureCollection = shp.combine([geometries, properties]);
+
+      if (!featureCollection || !featureCollection.features.length) {
+        alert('No features found in shapefile.');
+        return;
+      }
+
+      const features = featureCollection.features;
+      const firstProps = features[0].properties || {};
+      const headers = Object.keys(firstProps);
+      const geometryType = detectGeometryType(features);
+
+      uploadConfigState = {
+        type: 'geojson',
+        fileName: file.name,
+        featureCollection,
+        headers,
+        geometryType,
+      };
+
+      if (prjEntry) {
+        const prjText = await prjEntry.async('text');
+        const crsKey = crsKeyFromPrj(prjText);
+        if (crsKey) {
+          const opt = uploadCrsOption(crsKey);
+          uploadConfigState.defaultCrs = crsKey;
+          uploadConfigState.crsNote = `Detected from .prj: ${opt.code} – ${opt.name}`;
+        } else if (isValidProjDefinition(prjText)) {
+          uploadConfigState.defaultCrs = 'custom';
+          uploadConfigState.customCrsDef = prjText.trim();
+          uploadConfigState.crsNote =
+            'Unrecognised .prj – its definition has been filled in as a custom CRS.';
+        } else {
+          uploadConfigState.crsNote =
+            'The .prj could not be read; please choose the coordinate system.';
+        }
+      } else {
+        uploadConfigState.crsNote =
+          'No .prj in the zip; please confirm the coordinate system.';
+      }
+
+      openUploadConfigModal();
+    } catch (err) {
+      console.error('Error reading shapefile:', err);
+      alert('Error reading shapefile (.zip).');
+    }
+  };
+  reader.readAsArrayBuffer(file);
+}
+
+// KML / KMZ / GPX – converted with @tmcw/togeojson (KMZ unzipped with JSZip)
+const FILE_STYLE_KEYS = [
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'fill',
+  'fill-opacity',
+  'icon',
+  'icon-color',
+  'marker-color',
+];
+
+function parseXmlText(text) {
+  const doc = new DOMParser().parseFromString(text, 'text/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('Invalid XML');
+  }
+  return doc;
+}
+
+// togeojson adds nested helpers (styleMap, coordinateProperties, icon
+// offsets) that make no sense as table columns or popup lines
+function cleanConvertedProperties(features) {
+  features.forEach((f) => {
+    const props = f.properties || {};
+    Object.keys(props).forEach((k) => {
+      if (props[k] !== null && typeof props[k] === 'object') delete props[k];
+    });
+    delete props.styleHash;
+    f.properties = props;
+  });
+}
+
+function openConvertedFeatures(file, featureCollection, formatName) {
+  const features = (featureCollection.features || []).filter(
+    (f) => f && f.geometry
+  );
+  if (!features.length) {
+    alert(`No features found in ${formatName} file.`);
+    return;
+  }
+
+  cleanConvertedProperties(features);
+
+  const headers = new Set();
+  features.forEach((f) =>
+    Object.keys(f.properties).forEach((k) => headers.add(k))
+  );
+
+  uploadConfigState = {
+    type: 'geojson',
+    fileName: file.name,
+    featureCollection: { type: 'FeatureCollection', features },
+    headers: Array.from(headers),
+    geometryType: detectGeometryType(features),
+    // KML and GPX coordinates are always longitude / latitude
+    defaultCrs: 'wgs84',
+    hasFileStyles: features.some((f) =>
+      FILE_STYLE_KEYS.some((k) => f.properties[k] !== undefined)
+    ),
+  };
+
+  openUploadConfigModal();
+}
+
+function parseUploadedKml(file) {
+  if (typeof toGeoJSON === 'undefined') {
+    alert('KML support requires @tmcw/togeojson. Please include it in index.html.');
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      const doc = parseXmlText(e.target.result);
+      openConvertedFeatures(file, toGeoJSON.kml(doc), 'KML');
+    } catch (err) {
+      console.error('Error reading KML:', err);
+      alert('Error reading KML file.');
+    }
+  };
+  reader.readAsText(file);
+}
+
+function parseUploadedGpx(file) {
+  if (typeof toGeoJSON === 'undefined') {
+    alert('GPX support requires @tmcw/togeojson. Please include it in index.html.');
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      const doc = parseXmlText(e.target.result);
+      openConvertedFeatures(file, toGeoJSON.gpx(doc), 'GPX');
+    } catch (err) {
+      console.error('Error reading GPX:', err);
+      alert('Error reading GPX file.');
+    }
+  };
+  reader.readAsText(file);
+}
+
+// KMZ: zipped doc.kml plus any icons / overlays it references
+function parseUploadedKmz(file) {
+  if (typeof toGeoJSON === 'undefined' || typeof JSZip === 'undefined') {
+    alert('KMZ support requires @tmcw/togeojson and JSZip. Please include them in index.html.');
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = async (e) => {
+    try {
+      const zip = await JSZip.loadAsync(e.target.result);
+      const entries = Object.values(zip.files).filter((f) => !f.dir);
+      const kmlEntry =
+        entries.find((f) => /(^|\/)doc\.kml$/i.test(f.name)) ||
+        entries.find((f) => /\.kml$/i.test(f.name));
+
+      if (!kmlEntry) {
+        alert('No KML document found inside the KMZ file.');
+        return;
+      }
+
+      // Icons packed in the archive become data URLs, so saved layers
+      // still have them after a reload
+      const iconUrls = {};
+      await Promise.all(
+        entries
+          .filter((f) => /\.(png|jpe?g|gif|svg)$/i.test(f.name))
+          .map(async (f) => {
+            const ext = f.name.split('.').pop().toLowerCase();
+            const mime =
+              ext === 'svg'
+                ? 'image/svg+xml'
+                : `image/${ext === 'jpg' ? 'jpeg' : ext}`;
+            const base64 = await f.async('base64');
+            iconUrls[f.name] = `data:${mime};base64,${base64}`;
+          })
+      );
+
+      const doc = parseXmlText(await kmlEntry.async('text'));
+      const fc = toGeoJSON.kml(doc);
+
+      const kmlDir = kmlEntry.name.includes('/')
+        ? kmlEntry.name.slice(0, kmlEntry.name.lastIndexOf('/') + 1)
+        : '';
+      fc.features.forEach((f) => {
+        const icon = f.properties && f.properties.icon;
+        if (!icon) return;
+        const url = iconUrls[icon] || iconUrls[kmlDir + icon];
+        if (url) f.properties.icon = url;
+      });
+
+      openConvertedFeatures(file, fc, 'KMZ');
+    } catch (err) {
+      console.error('Error reading KMZ:', err);
+      alert('Error reading KMZ file.');
+    }
+  };
+  reader.readAsArrayBuffer(file);
+}
+
+// Leaflet path options from KML / simplestyle properties, if present
+function fileStyleForFeature(props) {
+  const style = {};
+  if (props.stroke) style.color = props.stroke;
+  if (props['stroke-width'] !== undefined) {
+    style.weight = Number(props['stroke-width']) || 1;
+  }
+  if (props['stroke-opacity'] !== undefined) {
+    style.opacity = Number(props['stroke-opacity']);
+  }
+  if (props.fill) style.fillColor = props.fill;
+  if (props['fill-opacity'] !== undefined) {
+    style.fillOpacity = Number(props['fill-opacity']);
+  }
+  return style;
+}
+
+function fileStylePointColor(props) {
+  return props['icon-color'] || props['marker-color'] || props.fill || null;
+}
+
+function fileStyleIcon(props) {
+  const size = Math.round(28 * (Number(props['icon-scale']) || 1));
+  return L.icon({
+    iconUrl: props.icon,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+    popupAnchor: [0, -size / 2],
+  });
+}
+
+// One legend entry per KML style (or distinct colour)
+function fileStyleLegendItems(features) {
+  const items = new Map();
+  features.forEach((f) => {
+    const props = f.properties || {};
+    const color =
+      props.fill || props.stroke || fileStylePointColor(props);
+    if (!color) return;
+    const label = props.styleUrl
+      ? String(props.styleUrl).replace(/^.*#/, '')
+      : color;
+    if (!items.has(label)) items.set(label, { label, color });
+  });
+  return Array.from(items.values()).slice(0, 12);
+}
+
+// Sample of CSV rows used for coordinate detection and the preview
+const CSV_DETECT_SAMPLE = 60;
+
+function isInsideTT(lat, lng) {
+  return (
+    lng >= TT_BBOX[0] && lng <= TT_BBOX[2] && lat >= TT_BBOX[1] && lat <= TT_BBOX[3]
+  );
+}
+
+function sampleRows(rows, n) {
+  if (rows.length <= n) return rows;
+  const step = rows.length / n;
+  return Array.from({ length: n }, (_, i) => rows[Math.floor(i * step)]);
+}
+
+// { inside, valid, total } for X / Y columns read in the given CRS
+function countRowsInsideTT(rows, xField, yField, crsDef) {
+  let inside = 0;
+  let valid = 0;
+  rows.forEach((row) => {
+    const x = parseFloat(row[xField]);
+    const y = parseFloat(row[yField]);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+    const ll = projectXYToLatLng(x, y, crsDef);
+    if (!ll) return;
+    valid++;
+    if (isInsideTT(ll.lat, ll.lng)) inside++;
+  });
+  return { inside, valid, total: rows.length };
+}
+
+// Try every numeric column pair in every known CRS and keep the
+// combination that puts the most sampled rows inside Trinidad and Tobago.
+// Returns { xField, yField, crsKey, share } or null.
+function inferCsvCoordinateSetup(rows, headers) {
+  const sample = sampleRows(rows, CSV_DETECT_SAMPLE);
+  if (!sample.length) return null;
+
+  const numeric = headers
+    .filter((h) => {
+      const nums = sample.filter((r) => Number.isFinite(parseFloat(r[h])));
+      return nums.length >= sample.length * 0.8;
+    })
+    // Name hints first, so ties go to the obvious columns
+    .sort(
+      (a, b) =>
+        Number(/lat|lon|lng|east|north|^x$|^y$/i.test(b)) -
+        Number(/lat|lon|lng|east|north|^x$|^y$/i.test(a))
+    )
+    .slice(0, 12);
+
+  const candidates = UPLOAD_CRS_OPTIONS.filter((o) => o.def);
+  const isX = (h) => /lon|lng|east|^x$/i.test(h);
+  const isY = (h) => /lat|north|^y$/i.test(h);
+
+  // Grid coordinates around T&T are always in the thousands or more;
+  // small numbers (ids, counts, degrees) would land near a grid origin
+  const isGridColumn = (h) =>
+    sample.filter((r) => Math.abs(parseFloat(r[h])) > 1000).length >=
+    sample.length * 0.8;
+
+  let best = null;
+
+  numeric.forEach((xField) => {
+    numeric.forEach((yField) => {
+      if (xField === yField) return;
+
+      // Degrees only make sense when both columns stay in range
+      const looksLikeDegrees = sample.every((r) => {
+        const x = parseFloat(r[xField]);
+        const y = parseFloat(r[yField]);
+        return !Number.isFinite(x) || (Math.abs(x) <= 180 && Math.abs(y) <= 90);
+      });
+      const looksLikeGrid = isGridColumn(xField) && isGridColumn(yField);
+
+      candidates.forEach((opt) => {
+        if (opt.key === 'wgs84' ? !looksLikeDegrees : !looksLikeGrid) return;
+
+        const { inside } = countRowsInsideTT(sample, xField, yField, opt.def);
+        // Column names only break ties between equally good fits
+        const score =
+          inside * 4 + Number(isX(xField)) + Number(isY(yField));
+        if (!best || score > best.score) {
+          best = { xField, yField, crsKey: opt.key, inside, score };
+        }
+      });
+    });
+  });
+
+  if (!best || best.inside < sample.length * 0.5) return null;
+  return {
+    xField: best.xField,
+    yField: best.yField,
+    crsKey: best.crsKey,
+    share: best.inside / sample.length,
+  };
+}
+
+function updateUploadPreview() {
+  const previewEl = document.getElementById('upload-preview');
+  if (!previewEl) return;
+
+  if (!uploadConfigState || uploadConfigState.type !== 'csv') {
+    previewEl.style.display = 'none';
+    return;
+  }
+  previewEl.style.display = '';
+
+  const crsDef = readUploadCrsDefinition();
+  const xField = document.getElementById('upload-x-field')?.value || '';
+  const yField = document.getElementById('upload-y-field')?.value || '';
+
+  if (!crsDef) {
+    previewEl.textContent = 'Choose a valid coordinate system to preview.';
+    previewEl.classList.add('warning');
+    return;
+  }
+
+  const rows = uploadConfigState.rows || [];
+  const { inside, valid, total } = countRowsInsideTT(
+    rows,
+    xField,
+    yField,
+    crsDef
+  );
+
+  let text = `${inside} of ${total} rows fall inside Trinidad and Tobago`;
+  if (valid < total) text += ` (${total - valid} without usable coordinates)`;
+  previewEl.textContent = `${text}.`;
+  previewEl.classList.toggle('warning', inside < total / 2);
+}
+
+// Fill the CRS list, keeping only options that match the search text
+function renderUploadCrsOptions(term) {
+  const crsSel = document.getElementById('upload-crs');
+  if (!crsSel) return;
+
+  const current = crsSel.value;
+  const q = String(term || '').trim().toLowerCase();
+
+  crsSel.innerHTML = '';
+  UPLOAD_CRS_OPTIONS.forEach((o) => {
+    const text = `${o.code} – ${o.name}`;
+    if (q && !text.toLowerCase().includes(q) && o.key !== current) return;
+    const opt = document.createElement('option');
+    opt.value = o.key;
+    opt.textContent = text;
+    crsSel.appendChild(opt);
+  });
+
+  if (current) crsSel.value = current;
+}
+
+function updateUploadCrsCustomRow() {
+  const crsSel = document.getElementById('upload-crs');
+  const customRow = document.getElementById('upload-crs-custom-row');
+  if (customRow) {
+    customRow.style.display = crsSel?.value === 'custom' ? '' : 'none';
+  }
+}
+
+function setUploadCrs(key, customDef) {
+  const searchInput = document.getElementById('upload-crs-search');
+  const crsSel = document.getElementById('upload-crs');
+  const customInput = document.getElementById('upload-crs-custom');
+
+  if (searchInput) searchInput.value = '';
+  renderUploadCrsOptions('');
+  if (crsSel) crsSel.value = uploadCrsOption(key) ? key : 'epsg32620';
+  if (customInput) customInput.value = customDef || '';
+  updateUploadCrsCustomRow();
+}
+
+// proj4 definition for the modal's current choice, or null if invalid
+function readUploadCrsDefinition() {
+  const key = document.getElementById('upload-crs')?.value || 'epsg32620';
+
+  if (key === 'custom') {
+    const def = document.getElementById('upload-crs-custom')?.value.trim();
+    return def && isValidProjDefinition(def) ? def : null;
+  }
+
+  const opt = uploadCrsOption(key);
+  return opt ? opt.def : null;
+}
+
+function initUploadCrsPicker() {
+  UPLOAD_CRS_OPTIONS.forEach((o) => {
+    if (o.def && o.code.startsWith('EPSG:') && !proj4.defs(o.code)) {
+      proj4.defs(o.code, o.def);
+    }
+  });
+
+  document
+    .getElementById('upload-crs-search')
+    ?.addEventListener('input', (e) => renderUploadCrsOptions(e.target.value));
+  document.getElementById('upload-crs')?.addEventListener('change', () => {
+    updateUploadCrsCustomRow();
+    updateUploadPreview();
+  });
+  ['upload-x-field', 'upload-y-field'].forEach((id) => {
+    document
+      .getElementById(id)
+      ?.addEventListener('change', () => updateUploadPreview());
+  });
+  document
+    .getElementById('upload-crs-custom')
+    ?.addEventListener('input', () => updateUploadPreview());
+
+  renderUploadCrsOptions('');
+}
+
+// Open / populate config modal
+function openUploadConfigModal() {
+  const modalEl = document.getElementById('upload-config-modal');
+  if (!modalEl || !uploadConfigState) return;
+
+  const nameInput = document.getElementById('upload-layer-name');
+  const labelFieldSel = document.getElementById('upload-label-field');
+  const styleFieldSel = document.getElementById('upload-style-field');
+  const colorSchemeSel = document.getElementById('upload-color-scheme');
+  const geomRowCsv = document.getElementById('upload-geom-row-csv');
+  const xFieldSel = document.getElementById('upload-x-field');
+  const yFieldSel = document.getElementById('upload-y-field');
+  const pointOptions = document.getElementById('upload-point-options');
+  const polyOptions = document.getElementById('upload-polygon-options');
+
+  const baseName =
+    uploadConfigState.fileName?.replace(/\.[^.]+$/, '') || 'Uploaded layer';
+  if (nameInput) nameInput.value = baseName;
+
+  const editing = !!uploadConfigState.editingId;
+  const titleEl = document.getElementById('upload-config-title');
+  const applyBtn = document.getElementById('upload-config-apply');
+  if (titleEl) {
+    titleEl.textContent = editing
+      ? 'Edit layer style'
+      : 'Configure uploaded layer';
+  }
+  if (applyBtn) applyBtn.textContent = editing ? 'Update layer' : 'Add to map';
+
+  const headers = uploadConfigState.headers || [];
+
+  function fillSelect(selectEl, options, includeEmpty) {
+    if (!selectEl) return;
+    selectEl.innerHTML = '';
+    if (includeEmpty) {
+      const opt = document.createElement('option');
+      opt.value = '';
+      opt.textContent = 'None';
+      selectEl.appendChild(opt);
+    }
+    options.forEach((h) => {
+      const opt = document.createElement('option');
+      opt.value = h;
+      opt.textContent = h;
+      selectEl.appendChild(opt);
+    });
+  }
+
+  if (labelFieldSel) fillSelect(labelFieldSel, headers, false);
+  if (styleFieldSel) fillSelect(styleFieldSel, headers, true);
+
+  uploadConfigState.numericFields = numericUploadFields(
+    uploadSourceRecords(uploadConfigState),
+    headers
+  );
+  resetUploadStyleOptions(uploadConfigState.numericFields);
+
+  if (geomRowCsv && xFieldSel && yFieldSel) {
+    if (uploadConfigState.type === 'csv') {
+      geomRowCsv.style.display = 'flex';
+      fillSelect(xFieldSel, headers, false);
+      fillSelect(yFieldSel, headers, false);
+
+      const xGuess =
+        headers.find((h) => /^x$|east|lon|lng/i.test(h)) || headers[0];
+      const yGuess =
+        headers.find((h) => /^y$|north|lat/i.test(h)) ||
+        headers[1] ||
+        headers[0];
+      xFieldSel.value = xGuess;
+      yFieldSel.value = yGuess;
+
+      const detected = inferCsvCoordinateSetup(uploadConfigState.rows, headers);
+      if (detected) {
+        xFieldSel.value = detected.xField;
+        yFieldSel.value = detected.yField;
+        uploadConfigState.defaultCrs = detected.crsKey;
+
+        const opt = uploadCrsOption(detected.crsKey);
+        const swapped =
+          detected.xField === yGuess && detected.yField === xGuess;
+        uploadConfigState.crsNote =
+          `Detected ${opt.code} from the values` +
+          ` (${Math.round(detected.share * 100)}% of sampled rows in T&T)` +
+          (swapped ? '; the X / Y columns looked swapped by name.' : '.');
+      } else {
+        uploadConfigState.crsNote =
+          'Could not detect the coordinates; please check the columns and coordinate system.';
+      }
+    } else {
+      geomRowCsv.style.display = 'none';
+    }
+  }
+
+  if (pointOptions && polyOptions) {
+    const gType = uploadConfigState.geometryType || 'point';
+    if (gType === 'point') {
+      pointOptions.style.display = 'flex';
+      polyOptions.style.display = 'none';
+    } else {
+      pointOptions.style.display = 'none';
+      polyOptions.style.display = 'flex';
+    }
+  }
+
+  if (colorSchemeSel && !colorSchemeSel.value) {
+    colorSchemeSel.value = 'pastel';
+  }
+  // Default to EPSG:32620 because that's what most of our data uses
+  setUploadCrs(
+    uploadConfigState.defaultCrs || 'epsg32620',
+    uploadConfigState.customCrsDef || ''
+  );
+  const crsNote = document.getElementById('upload-crs-note');
+  if (crsNote) {
+    crsNote.textContent = uploadConfigState.crsNote || '';
+    crsNote.style.display = uploadConfigState.crsNote ? '' : 'none';
+  }
+  updateUploadPreview();
+
+  const fileStylesField = document.getElementById('upload-file-styles-field');
+  const fileStylesCheckbox = document.getElementById('upload-use-file-styles');
+  if (fileStylesField) {
+    fileStylesField.style.display = uploadConfigState.hasFileStyles
+      ? ''
+      : 'none';
+  }
+  if (fileStylesCheckbox) {
+    fileStylesCheckbox.checked = !!uploadConfigState.hasFileStyles;
+  }
+
+  updateUploadStyleOptions();
+  modalEl.classList.remove('hidden');
+}
+
+function closeUploadConfigModal() {
+  const modalEl = document.getElementById('upload-config-modal');
+  if (!modalEl) return;
+  modalEl.classList.add('hidden');
+  uploadConfigState = null;
+}
+
+// Colour ramps for graduated (numeric) upload styling
+const UPLOAD_CLASS_RAMPS = {
+  ylorrd: {
+    label: 'Yellow – red (sequential)',
+    stops: ['#ffffb2', '#fd8d3c', '#bd0026'],
+  },
+  blues: {
+    label: 'Blues (sequential)',
+    stops: ['#eff6ff', '#60a5fa', '#1e3a8a'],
+  },
+  greens: {
+    label: 'Greens (sequential)',
+    stops: ['#f0fdf4', '#4ade80', '#14532d'],
+  },
+  purples: {
+    label: 'Purples (sequential)',
+    stops: ['#faf5ff', '#c084fc', '#581c87'],
+  },
+  rdbu: {
+    label: 'Blue – white – red (diverging)',
+    stops: ['#2166ac', '#f7f7f7', '#b2182b'],
+  },
+  brbg: {
+    label: 'Brown – white – teal (diverging)',
+    stops: ['#8c510a', '#f5f5f5', '#01665e'],
+  },
+};
+
+const UPLOAD_NO_VALUE_COLOR = '#9ca3af';
+const PROPORTIONAL_MIN_RADIUS = 4;
+const PROPORTIONAL_MAX_RADIUS = 18;
+
+function uploadNumber(value) {
+  if (value === null || value === undefined) return NaN;
+  const text = String(value).trim();
+  return text === '' ? NaN : Number(text);
+}
+
+// Fields whose non-empty values are (nearly) all numbers
+function numericUploadFields(records, headers) {
+  return headers.filter((h) => {
+    let filled = 0;
+    let numeric = 0;
+    records.forEach((r) => {
+      const v = r[h];
+      if (v === null || v === undefined || String(v).trim() === '') return;
+      filled++;
+      if (Number.isFinite(uploadNumber(v))) numeric++;
+    });
+    return filled > 0 && numeric >= filled * 0.9;
+  });
+}
+
+function uploadSourceRecords(source) {
+  if (source.type === 'csv') return source.rows || [];
+  return ((source.featureCollection && source.featureCollection.features) || [])
+    .map((f) => f.properties || {});
+}
+
+// Min and max without spreading every value into one call, which
+// overflows the stack on large files
+function numericExtent(values) {
+  return values.reduce(
+    ([min, max], v) => [Math.min(min, v), Math.max(max, v)],
+    [Infinity, -Infinity]
+  );
+}
+
+function formatClassValue(v) {
+  return Number(v).toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+// Classified colours for a numeric style field, or null when the layer
+// is styled by category
+function buildGraduatedStyle(records, config) {
+  const field = config.styleField;
+  if (!field || config.styleMode !== 'graduated') return null;
+  // The graduated radio stays checked when a non-numeric field is picked
+  if (!numericUploadFields(records, [field]).length) return null;
+
+  const values = records
+    .map((r) => uploadNumber(r[field]))
+    .filter(Number.isFinite);
+  if (!values.length) return null;
+
+  const [min, max] = numericExtent(values);
+  const method = config.classMethod || 'quantile';
+  const manualBreaks = config.manualBreaks || [];
+  const breaks = computeClassBreaks(
+    values,
+    method,
+    // Manual breaks define their own number of classes
+    method === 'manual' ? manualBreaks.length + 1 : config.classCount || 5,
+    manualBreaks
+  );
+  const ramp = UPLOAD_CLASS_RAMPS[config.ramp] || UPLOAD_CLASS_RAMPS.ylorrd;
+  const colors = interpolateColorRamp(ramp.stops, breaks.length + 1);
+
+  const classes = colors.map((color, i) => ({
+    min: i === 0 ? min : breaks[i - 1],
+    max: i < breaks.length ? breaks[i] : max,
+    color,
+  }));
+
+  return {
+    classes,
+    colorFor: (value) => {
+      const v = uploadNumber(value);
+      return Number.isFinite(v)
+        ? colors[classIndexForValue(v, breaks)]
+        : UPLOAD_NO_VALUE_COLOR;
+    },
+    legendItems: classes.map((c) => ({
+      label: `${field}: ${formatClassValue(c.min)} – ${formatClassValue(c.max)}`,
+      color: c.color,
+    })),
+  };
+}
+
+// Circle radius by a numeric field (area proportional to the value)
+function buildProportionalScale(records, field, color) {
+  if (!field) return null;
+
+  const values = records
+    .map((r) => uploadNumber(r[field]))
+    .filter((v) => Number.isFinite(v) && v > 0);
+  if (!values.length) return null;
+
+  const [minValue, max] = numericExtent(values);
+  const radiusFor = (value) => {
+    const v = uploadNumber(value);
+    if (!Number.isFinite(v) || v <= 0) return PROPORTIONAL_MIN_RADIUS;
+    return (
+      PROPORTIONAL_MIN_RADIUS +
+      (PROPORTIONAL_MAX_RADIUS - PROPORTIONAL_MIN_RADIUS) * Math.sqrt(v / max)
+    );
+  };
+
+  const samples = Array.from(new Set([max, max / 4, minValue]));
+  return {
+    radiusFor,
+    legendItems: samples.map((v) => ({
+      label: `${field}: ${formatClassValue(v)}`,
+      color,
+      shape: 'circle',
+      size: Math.round(radiusFor(v) * 2),
+    })),
+  };
+}
+
+function updateUploadStyleOptions() {
+  const styleField = document.getElementById('upload-style-field')?.value;
+  const numericFields = (uploadConfigState && uploadConfigState.numericFields) || [];
+  const isNumeric = !!styleField && numericFields.includes(styleField);
+
+  const mode =
+    document.querySelector('input[name="upload-style-mode"]:checked')?.value ||
+    'graduated';
+  const graduated = isNumeric && mode === 'graduated';
+
+  const gradOptions = document.getElementById('upload-graduated-options');
+  const gradDetails = document.getElementById('upload-graduated-details');
+  const schemeField = document.getElementById('upload-color-scheme-field');
+  const manualRow = document.getElementById('upload-manual-breaks-row');
+  const method = document.getElementById('upload-class-method')?.value;
+
+  if (gradOptions) gradOptions.style.display = isNumeric ? '' : 'none';
+  if (gradDetails) gradDetails.style.display = graduated ? '' : 'none';
+  if (schemeField) schemeField.style.display = graduated ? 'none' : '';
+  if (manualRow) manualRow.style.display = method === 'manual' ? '' : 'none';
+
+  const isPoint =
+    !!uploadConfigState &&
+    (uploadConfigState.geometryType || 'point') === 'point';
+  const pointStyle =
+    document.querySelector('input[name="upload-point-style"]:checked')?.value ||
+    'circle';
+
+  const sizeRow = document.getElementById('upload-size-field-row');
+  if (sizeRow) {
+    sizeRow.style.display =
+      isPoint && pointStyle === 'circle' && numericFields.length ? '' : 'none';
+  }
+  const heatRow = document.getElementById('upload-heat-weight-row');
+  if (heatRow) {
+    heatRow.style.display = isPoint && pointStyle === 'heat' ? '' : 'none';
+  }
+}
+
+function resetUploadStyleOptions(numericFields) {
+  ['upload-size-field', 'upload-heat-weight'].forEach((id) => {
+    const sel = document.getElementById(id);
+    if (!sel) return;
+    sel.innerHTML = '<option value="">None</option>';
+    numericFields.forEach((f) => {
+      const opt = document.createElement('option');
+      opt.value = f;
+      opt.textContent = f;
+      sel.appendChild(opt);
+    });
+  });
+
+  document
+    .querySelectorAll('input[name="upload-style-mode"]')
+    .forEach((r) => (r.checked = r.value === 'graduated'));
+
+  const methodSel = document.getElementById('upload-class-method');
+  if (methodSel && !methodSel.options.length) {
+    Object.entries(CLASS_BREAK_METHODS).forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      methodSel.appendChild(opt);
+    });
+  }
+  if (methodSel) methodSel.value = 'quantile';
+
+  const rampSel = document.getElementById('upload-class-ramp');
+  if (rampSel && !rampSel.options.length) {
+    Object.entries(UPLOAD_CLASS_RAMPS).forEach(([value, ramp]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = ramp.label;
+      rampSel.appendChild(opt);
+    });
+  }
+  if (rampSel) rampSel.value = 'ylorrd';
+
+  const countSel = document.getElementById('upload-class-count');
+  if (countSel) countSel.value = '5';
+  const manualInput = document.getElementById('upload-manual-breaks');
+  if (manualInput) manualInput.value = '';
+}
+
+function initUploadStyleOptions() {
+  ['upload-style-field', 'upload-class-method'].forEach((id) => {
+    document
+      .getElementById(id)
+      ?.addEventListener('change', () => updateUploadStyleOptions());
+  });
+  document
+    .querySelectorAll(
+      'input[name="upload-style-mode"], input[name="upload-point-style"]'
+    )
+    .forEach((r) => {
+      r.addEventListener('change', () => updateUploadStyleOptions());
+    });
+}
+
+// Build colour map for uploaded layer
+function buildUploadColorMap(fieldName, records, paletteName) {
+  const palette =
+    UPLOAD_COLOR_SCHEMES[paletteName] || UPLOAD_COLOR_SCHEMES.pastel;
+  const values = [];
+
+  records.forEach((r) => {
+    const v = r[fieldName];
+    if (v !== null && v !== undefined && String(v).trim() !== '') {
+      values.push(String(v));
+    }
+  });
+
+  const unique = Array.from(new Set(values));
+  if (!unique.length) {
+    return { defaultColor: palette[0], map: {} };
+  }
+
+  const map = {};
+  unique.forEach((val, idx) => {
+    map[val] = palette[idx % palette.length];
+  });
+
+  return { defaultColor: palette[0], map };
+}
+
+// Clusters of uploaded points take the most common marker colour inside
+function uploadClusterIcon(cluster) {
+  const counts = {};
+  let best = '#3b82f6';
+  let bestCount = 0;
+  cluster.getAllChildMarkers().forEach((m) => {
+    const color = m.options && m.options.fillColor;
+    if (!color) return;
+    counts[color] = (counts[color] || 0) + 1;
+    if (counts[color] > bestCount) {
+      best = color;
+      bestCount = counts[color];
+    }
+  });
+  return buildClusterIcon(cluster.getChildCount(), best);
+}
+
+// Read the config modal into a plain settings object. This is what gets
+// stored with persisted uploads, so it holds no DOM or Leaflet references.
+function readUploadConfigFromModal() {
+  const nameInput = document.getElementById('upload-layer-name');
+  const pointStyleRadio = document.querySelector(
+    'input[name="upload-point-style"]:checked'
+  );
+  const crsKey = document.getElementById('upload-crs')?.value || 'epsg32620';
+
+  return {
+    layerName: (nameInput && nameInput.value.trim()) || 'Uploaded layer',
+    labelField: document.getElementById('upload-label-field')?.value || '',
+    styleField: document.getElementById('upload-style-field')?.value || '',
+    colorScheme:
+      document.getElementById('upload-color-scheme')?.value || 'pastel',
+    xField: document.getElementById('upload-x-field')?.value || '',
+    yField: document.getElementById('upload-y-field')?.value || '',
+    crsKey,
+    customCrsDef:
+      crsKey === 'custom'
+        ? document.getElementById('upload-crs-custom')?.value.trim() || ''
+        : '',
+    pointStyle: pointStyleRadio ? pointStyleRadio.value : 'circle',
+    lineWidth:
+      Number(document.getElementById('upload-line-width')?.value) || 2,
+    outlineStyle:
+      document.getElementById('upload-outline-style')?.value || 'solid',
+    clusterPoints: !!document.getElementById('upload-point-cluster')?.checked,
+    useFileStyles: !!document.getElementById('upload-use-file-styles')
+      ?.checked,
+    styleMode:
+      document.querySelector('input[name="upload-style-mode"]:checked')
+        ?.value || 'graduated',
+    classMethod:
+      document.getElementById('upload-class-method')?.value || 'quantile',
+    classCount:
+      Number(document.getElementById('upload-class-count')?.value) || 5,
+    manualBreaks: (document.getElementById('upload-manual-breaks')?.value || '')
+      .split(/[,;\s]+/)
+      .map(Number)
+      .filter(Number.isFinite),
+    ramp: document.getElementById('upload-class-ramp')?.value || 'ylorrd',
+    sizeField: document.getElementById('upload-size-field')?.value || '',
+    heatWeightField:
+      document.getElementById('upload-heat-weight')?.value || '',
+    heatSettings: { ...DEFAULT_HEATMAP_SETTINGS },
+  };
+}
+
+function uploadConfigCrsDefinition(config) {
+  if (config.crsKey === 'custom') {
+    return config.customCrsDef && isValidProjDefinition(config.customCrsDef)
+      ? config.customCrsDef
+      : null;
+  }
+  const opt = uploadCrsOption(config.crsKey);
+  return opt ? opt.def : null;
+}
+
+// The parsed file, minus modal hints, as kept on the layer and persisted
+function uploadSourceFromState(state) {
+  const source = {
+    type: state.type,
+    fileName: state.fileName,
+    headers: state.headers || [],
+    geometryType: state.geometryType,
+    hasFileStyles: !!state.hasFileStyles,
+  };
+  if (state.type === 'csv') {
+    source.rows = state.rows;
+    source.rowNumbers = state.rowNumbers;
+  } else {
+    source.featureCollection = state.featureCollection;
+  }
+  return source;
+}
+
+// Build the Leaflet layer and legend items for a parsed upload, drawn
+// into the given map pane. Returns { layer, legendItems }, or null (after telling the user) when
+// nothing could be drawn.
+function buildUploadedLayer(source, config, pane) {
+  const {
+    layerName,
+    labelField,
+    styleField,
+    colorScheme,
+    xField,
+    yField,
+    pointStyle,
+    lineWidth,
+    outlineStyle,
+    clusterPoints,
+  } = config;
+  const crsDef = uploadConfigCrsDefinition(config);
+  const useFileStyles = !!source.hasFileStyles && !!config.useFileStyles;
+
+  // Numeric styling: classified colours and proportional point sizes
+  const records = uploadSourceRecords(source);
+  const graduated = buildGraduatedStyle(records, config);
+  const asHeatmap =
+    (source.geometryType || 'point') === 'point' && pointStyle === 'heat';
+  const sizeScale =
+    (source.geometryType || 'point') === 'point' && pointStyle === 'circle'
+      ? buildProportionalScale(
+          records,
+          config.sizeField,
+          UPLOAD_COLOR_SCHEMES[colorScheme][0]
+        )
+      : null;
+  const radiusFor = (props) =>
+    sizeScale ? sizeScale.radiusFor(props[config.sizeField]) : 6;
+
+  let layer = null;
+  let legendItems = [];
+  // CSV rows that were dropped or look wrong (see DATA QUALITY)
+  let qualityChecks = null;
+
+  if (source.type === 'csv') {
+    const rows = source.rows || [];
+    const { defaultColor, map: colorMap } = styleField
+      ? buildUploadColorMap(
+          styleField,
+          rows.map((r) => ({ [styleField]: r[styleField] })),
+          colorScheme
+        )
+      : { defaultColor: UPLOAD_COLOR_SCHEMES[colorScheme][0], map: {} };
+
+    const group = createPointGroup(
+      clusterPoints && !asHeatmap,
+      uploadClusterIcon,
+      pane
+    );
+    const legendCategories = new Set();
+    qualityChecks = [];
+
+    rows.forEach((row, i) => {
+      const check = {
+        row,
+        rowNumber: (source.rowNumbers && source.rowNumbers[i]) || i + 2,
+        label: labelField ? row[labelField] : '',
+        reasons: [],
+      };
+      qualityChecks.push(check);
+
+      // X / Y columns in the chosen CRS (longitude / latitude for WGS84)
+      if (!checkRowCoordinates(check, row[xField], row[yField])) return;
+      const x = parseFloat(row[xField]);
+      const y = parseFloat(row[yField]);
+
+      const projected = projectXYToLatLng(x, y, crsDef);
+      if (!projected) {
+        check.reasons.push('Coordinates could not be projected');
+        check.rejected = true;
+        return;
+      }
+      if (!isInsideTT(projected.lat, projected.lng)) {
+        check.reasons.push(OUTSIDE_TT_REASON);
+      }
+      check.coordKey = `${x}|${y}`;
+      const latLng = [projected.lat, projected.lng];
+
+      const styleVal = styleField ? row[styleField] : null;
+      const styleKey =
+        styleVal !== null && styleVal !== undefined
+          ? String(styleVal)
+          : 'default';
+      let color = styleField
+        ? colorMap[styleKey] || defaultColor
+        : defaultColor;
+      if (graduated) color = graduated.colorFor(styleVal);
+
+      const labelText = labelField ? row[labelField] : layerName;
+
+      let m;
+      if (pointStyle === 'pin') {
+        m = L.marker(latLng, { riseOnHover: true, pane });
+      } else {
+        m = L.circleMarker(latLng, {
+          pane,
+          radius: radiusFor(row),
+          color: '#6b7280',
+          weight: 1,
+          fillColor: color,
+          fillOpacity: 0.9,
+        });
+      }
+
+      m.feature = {
+        type: 'Feature',
+        properties: row,
+        geometry: { type: 'Point', coordinates: [latLng[1], latLng[0]] },
+      };
+      m._uploadLabelText = labelText;
+      bindAnalysisPick(m, labelText);
+      if (labelText) {
+        m.bindTooltip(labelText, {
+          permanent: true,
+          direction: 'top',
+          className: 'sheet-point-label',
+          ...(pane ? { pane } : {}),
+        });
+      }
+
+      const popupHtml =
+        `<strong>${labelText}</strong><br/>` +
+        (styleField ? `${styleField}: ${styleVal}<br/>` : '') +
+        Object.entries(row)
+          .map(([k, v]) => `${k}: ${v}`)
+          .join('<br/>');
+
+      m.bindPopup(popupHtml);
+
+      group.addLayer(m);
+
+      if (styleField && styleKey !== 'default') {
+        legendCategories.add(styleKey);
+      }
+    });
+
+    if (!group.getLayers().length) {
+      alert(
+        'No valid coordinate rows found (check the X / Y columns and the coordinate system).'
+      );
+      return null;
+    }
+    flagDuplicateRows(qualityChecks);
+
+    layer = group;
+
+    if (styleField && legendCategories.size) {
+      const palette =
+        UPLOAD_COLOR_SCHEMES[colorScheme] || UPLOAD_COLOR_SCHEMES.pastel;
+      const catsArray = Array.from(legendCategories);
+      const tmpColorMap = {};
+      catsArray.forEach((cat, idx) => {
+        tmpColorMap[cat] = palette[idx % palette.length];
+      });
+      legendItems = catsArray.map((cat) => ({
+        label: `${styleField}: ${cat}`,
+        color: tmpColorMap[cat],
+      }));
+    } else {
+      legendItems = [
+        {
+          label: layerName,
+          color: UPLOAD_COLOR_SCHEMES[colorScheme][0],
+        },
+      ];
+    }
+  } else if (source.type === 'geojson') {
+    let fc = source.featureCollection;
+
+    if (crsDef !== 'EPSG:4326') {
+      fc = reprojectGeoJSON(fc, crsDef, 'EPSG:4326');
+    }
+
+    const features = (fc && fc.features) || [];
+    if (!features.length) {
+      alert('No features to display.');
+      return null;
+    }
+
+    const geometryType = source.geometryType || 'point';
+    const colorInput = styleField
+      ? features.map((f) => ({
+          [styleField]: f.properties?.[styleField],
+        }))
+      : [];
+
+    const { defaultColor, map: colorMap } = styleField
+      ? buildUploadColorMap(styleField, colorInput, colorScheme)
+      : { defaultColor: UPLOAD_COLOR_SCHEMES[colorScheme][0], map: {} };
+
+    const legendCategories = new Set();
+
+    if (geometryType === 'point') {
+      layer = L.geoJSON(fc, {
+        pointToLayer: (feature, latlng) => {
+          const props = feature.properties || {};
+          const styleVal = styleField ? props[styleField] : null;
+          const styleKey =
+            styleVal !== null && styleVal !== undefined
+              ? String(styleVal)
+              : 'default';
+          let color = styleField
+            ? colorMap[styleKey] || defaultColor
+            : (useFileStyles && fileStylePointColor(props)) || defaultColor;
+          if (graduated) color = graduated.colorFor(styleVal);
+
+          let m;
+          if (useFileStyles && !styleField && props.icon) {
+            m = L.marker(latlng, {
+              icon: fileStyleIcon(props),
+              riseOnHover: true,
+              pane,
+            });
+          } else if (pointStyle === 'pin') {
+            m = L.marker(latlng, { riseOnHover: true, pane });
+          } else {
+            m = L.circleMarker(latlng, {
+              pane,
+              radius: radiusFor(props),
+              color: '#6b7280',
+              weight: 1,
+              fillColor: color,
+              fillOpacity: 0.9,
+            });
+          }
+
+          if (styleField && styleKey !== 'default') {
+            legendCategories.add(styleKey);
+          }
+
+          bindAnalysisPick(m, labelField ? props[labelField] : layerName);
+
+          return m;
+        },
+        onEachFeature: (feature, lyr) => {
+          const props = feature.properties || {};
+          const labelText = labelField
+            ? props[labelField]
+            : layerName;
+
+          if (labelText) {
+            lyr.bindTooltip(String(labelText), {
+              permanent: true,
+              direction: 'top',
+              className: 'sheet-point-label',
+              ...(pane ? { pane } : {}),
+            });
+          }
+
+          const popupHtml =
+            `<strong>${labelText || layerName}</strong><br/>` +
+            Object.entries(props)
+              .map(([k, v]) => `${k}: ${v}`)
+              .join('<br/>');
+
+          lyr.bindPopup(popupHtml);
+        },
+      });
+
+      if (clusterPoints && !asHeatmap) {
+        const clusterGroup = createPointGroup(true, uploadClusterIcon, pane);
+        clusterGroup.addLayer(layer);
+        layer = clusterGroup;
+      }
+    } else {
+      layer = L.geoJSON(fc, {
+        pane,
+        style: (feature) => {
+          const props = feature.properties || {};
+          const styleVal = styleField ? props[styleField] : null;
+          const styleKey =
+            styleVal !== null && styleVal !== undefined
+              ? String(styleVal)
+              : 'default';
+          let color = styleField
+            ? colorMap[styleKey] || defaultColor
+            : defaultColor;
+          if (graduated) color = graduated.colorFor(styleVal);
+
+          if (styleField && styleKey !== 'default') {
+            legendCategories.add(styleKey);
+          }
+
+          return {
+            color,
+            weight: lineWidth,
+            dashArray: outlineStyle === 'dashed' ? '4 4' : null,
+            fillColor: color,
+            fillOpacity:
+              source.geometryType === 'polygon' ? (graduated ? 0.6 : 0.25) : 0,
+            ...(useFileStyles && !styleField
+              ? fileStyleForFeature(props)
+              : {}),
+          };
+        },
+        onEachFeature: (feature, lyr) => {
+          const props = feature.properties || {};
+          const labelText = labelField
+            ? props[labelField]
+            : layerName;
+
+          if (labelText) {
+            lyr.bindTooltip(String(labelText), {
+              direction: 'center',
+              className: 'sheet-point-label',
+              ...(pane ? { pane } : {}),
+            });
+          }
+
+          const popupHtml =
+            `<strong>${labelText || layerName}</strong><br/>` +
+            Object.entries(props)
+              .map(([k, v]) => `${k}: ${v}`)
+              .join('<br/>');
+
+          lyr.bindPopup(popupHtml);
+        },
+      });
+    }
+
+    if (!layer || !layer.getLayers().length) {
+      alert('No features to display from uploaded GeoJSON.');
+      return null;
+    }
+
+    if (styleField && legendCategories.size) {
+      const palette =
+        UPLOAD_COLOR_SCHEMES[colorScheme] || UPLOAD_COLOR_SCHEMES.pastel;
+      const catsArray = Array.from(legendCategories);
+      const tmpColorMap = {};
+      catsArray.forEach((cat, idx) => {
+        tmpColorMap[cat] = palette[idx % palette.length];
+      });
+      legendItems = catsArray.map((cat) => ({
+        label: `${styleField}: ${cat}`,
+        color: tmpColorMap[cat],
+      }));
+    } else if (useFileStyles && fileStyleLegendItems(features).length) {
+      legendItems = fileStyleLegendItems(features);
+    } else {
+      legendItems = [
+        {
+          label: layerName,
+          color: defaultColor,
+        },
+      ];
+    }
+  }
+
+  if (layer && graduated) legendItems = graduated.legendItems;
+  if (layer && sizeScale) legendItems = legendItems.concat(sizeScale.legendItems);
+
+  if (layer && asHeatmap) {
+    layer = buildUploadHeatGroup(layer, config, pane);
+    legendItems = [uploadHeatLegendItem(config)];
+  }
+
+  return layer ? { layer, legendItems, qualityChecks } : null;
+}
+
+// Swap a built point layer for a heatmap of the same markers, weighted by
+// the chosen numeric field (scaled to 0–1)
+function buildUploadHeatGroup(pointLayer, config, pane) {
+  const markers = collectFeatureLayers(pointLayer, null).map(({ layer }) => layer);
+  const field = config.heatWeightField;
+
+  if (field) {
+    const values = markers.map((m) =>
+      uploadNumber((m.feature.properties || {})[field])
+    );
+    const top = Math.max(0, numericExtent(values.filter(Number.isFinite))[1]);
+    markers.forEach((m, i) => {
+      m._heatWeight =
+        Number.isFinite(values[i]) && top > 0 ? Math.max(values[i], 0) / top : 0;
+    });
+  }
+
+  return new UploadHeatGroup(markers, {
+    pane,
+    settings: config.heatSettings || { ...DEFAULT_HEATMAP_SETTINGS },
+  });
+}
+
+// Add a built upload to the map, legend and "Uploaded layers" list.
+// options: { id, fitBounds }
+function addUploadedLayer(source, config, options = {}) {
+  const legendKey = options.id || `upload_${++uploadLayerCounter}`;
+  const built = buildUploadedLayer(source, config, ensureUploadPane(legendKey));
+  if (!built) {
+    removeUploadPane(legendKey);
+    return null;
+  }
+
+  const { layer, legendItems } = built;
+  layer.addTo(map);
+
+  if (options.fitBounds !== false && typeof layer.getBounds === 'function') {
+    const b = layer.getBounds();
+    if (b && typeof b.isValid === 'function' && b.isValid()) {
+      map.fitBounds(b, { padding: [20, 20] });
+    }
+  }
+
+  const info = {
+    id: legendKey,
+    name: config.layerName,
+    layer,
+    type: source.type,
+    source,
+    config,
+    legendItems,
+    visible: true,
+    opacity: 1,
+  };
+  uploadedLayers.push(info);
+  updateUploadedLayerLegend(info);
+  syncUploadPaneOrder();
+  if (built.qualityChecks) {
+    setDataQualityReport(info.id, info.name, built.qualityChecks);
+  }
+
+  // Update uploaded-layers UI list
+  refreshUploadedLayersUI();
+
+  return info;
+}
+
+// Apply config and add layer
+function applyUploadConfig() {
+  if (!uploadConfigState) return;
+
+  const config = readUploadConfigFromModal();
+  if (!uploadConfigCrsDefinition(config)) {
+    alert('Please choose a coordinate system (or enter a valid custom one).');
+    return;
+  }
+
+  // "Edit style" on an existing layer rebuilds it in place
+  if (uploadConfigState.editingId) {
+    const existing = uploadedLayers.find(
+      (l) => l.id === uploadConfigState.editingId
+    );
+    // Heat radius / blur / gradient are edited in the heatmap panel
+    if (existing && existing.config.heatSettings) {
+      config.heatSettings = existing.config.heatSettings;
+    }
+    if (existing && rebuildUploadedLayer(existing, config)) {
+      closeUploadConfigModal();
+    }
+    return;
+  }
+
+  const info = addUploadedLayer(uploadSourceFromState(uploadConfigState), config);
+  if (!info) return;
+
+  persistUploadedLayer(info);
+  closeUploadConfigModal();
+}
+
+/****************************************************
+ * UPLOAD PERSISTENCE (IndexedDB)
+ ****************************************************/
+
+const UPLOAD_DB_NAME = 'display-map';
+const UPLOAD_DB_VERSION = 1;
+const UPLOAD_DB_STORE = 'uploads';
+
+let uploadDbPromise = null;
+
+function openUploadDb() {
+  if (!('indexedDB' in window)) {
+    return Promise.reject(new Error('IndexedDB is not available.'));
+  }
+  if (!uploadDbPromise) {
+    uploadDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(UPLOAD_DB_NAME, UPLOAD_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(UPLOAD_DB_STORE)) {
+          db.createObjectStore(UPLOAD_DB_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return uploadDbPromise;
+}
+
+// Run one request against the uploads store and resolve with its result
+function uploadDbRequest(mode, makeRequest) {
+  return openUploadDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(UPLOAD_DB_STORE, mode);
+        const request = makeRequest(tx.objectStore(UPLOAD_DB_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return '–';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+}
+
+function uploadRecordFor(info) {
+  return {
+    id: info.id,
+    name: info.name,
+    savedAt: info.savedAt || new Date().toISOString(),
+    source: info.source,
+    config: info.config,
+  };
+}
+
+function persistUploadedLayer(info) {
+  if (!info.source || !info.config) return Promise.resolve();
+
+  const record = uploadRecordFor(info);
+  return uploadDbRequest('readwrite', (store) => store.put(record))
+    .then(() => {
+      info.persisted = true;
+      info.savedAt = record.savedAt;
+    })
+    .catch((err) => {
+      console.warn('Could not save uploaded layer', err);
+      info.persisted = false;
+      if (err && err.name === 'QuotaExceededError') {
+        alert(
+          `"${info.name}" is on the map but could not be saved for next time: browser storage is full.`
+        );
+      }
+    })
+    .finally(() => {
+      refreshUploadedLayersUI();
+      updateUploadStorageUsage();
+    });
+}
+
+function deletePersistedUpload(id) {
+  return uploadDbRequest('readwrite', (store) => store.delete(id))
+    .catch((err) => console.warn('Could not delete saved layer', err))
+    .finally(() => updateUploadStorageUsage());
+}
+
+// Stop restoring a layer on reload; it stays on the map for this session
+function forgetUploadedLayer(info) {
+  info.persisted = false;
+  deletePersistedUpload(info.id).finally(() => refreshUploadedLayersUI());
+}
+
+function restorePersistedUploads() {
+  return uploadDbRequest('readonly', (store) => store.getAll())
+    .then((records) => {
+      const order = readSavedUploadOrder();
+      const rank = (id) => {
+        const idx = order.indexOf(id);
+        return idx === -1 ? order.length : idx;
+      };
+
+      (records || [])
+        .sort(
+          (a, b) =>
+            rank(a.id) - rank(b.id) ||
+            String(a.savedAt).localeCompare(String(b.savedAt))
+        )
+        .forEach((record) => {
+          const n = parseInt(String(record.id).replace(/^upload_/, ''), 10);
+          if (Number.isFinite(n)) {
+            uploadLayerCounter = Math.max(uploadLayerCounter, n);
+          }
+
+          const info = addUploadedLayer(record.source, record.config, {
+            id: record.id,
+            fitBounds: false,
+          });
+          if (info) {
+            info.persisted = true;
+            info.savedAt = record.savedAt;
+          }
+        });
+      refreshUploadedLayersUI();
+    })
+    .catch((err) => console.warn('Could not restore saved layers', err))
+    .finally(() => updateUploadStorageUsage());
+}
+
+async function updateUploadStorageUsage() {
+  const usageEl = document.getElementById('upload-storage-usage');
+  if (!usageEl) return;
+
+  const saved = uploadedLayers.filter((l) => l.persisted).length;
+  let text = saved
+    ? `${saved} layer${saved === 1 ? '' : 's'} saved in this browser`
+    : 'No layers saved in this browser';
+
+  if (navigator.storage && navigator.storage.estimate) {
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      text += ` · ${formatBytes(usage)} of ${formatBytes(quota)} used`;
+    } catch (err) {
+      // Estimate is best-effort only
+    }
+  }
+  usageEl.textContent = text;
+}
+
+function initUploadPersistence() {
+  // Ask the browser not to evict saved layers under storage pressure
+  if (navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+  restorePersistedUploads();
+}
+
+/****************************************************
+ * UPLOADED LAYER MANAGER
+ ****************************************************/
+
+// Each uploaded / drawn layer lives in its own pane, so z-order and
+// opacity are a single style change on the pane
+const UPLOAD_PANE_BASE_Z = 410;
+const UPLOAD_ORDER_STORAGE_KEY = 'display-map-upload-order';
+
+let draggedUploadId = null;
+
+function uploadPaneName(id) {
+  return `upload-pane-${id}`;
+}
+
+function ensureUploadPane(id) {
+  const name = uploadPaneName(id);
+  if (!map.getPane(name)) map.createPane(name);
+  return name;
+}
+
+// Leaflet has no removePane; drop the pane's renderer and element by hand
+function removeUploadPane(id) {
+  const name = uploadPaneName(id);
+  const pane = map.getPane(name);
+  if (!pane) return;
+
+  const renderer = map._paneRenderers && map._paneRenderers[name];
+  if (renderer) {
+    map.removeLayer(renderer);
+    delete map._paneRenderers[name];
+  }
+  L.DomUtil.remove(pane);
+  delete map._panes[name];
+}
+
+// uploadedLayers is bottom-to-top; panes follow it
+function syncUploadPaneOrder() {
+  uploadedLayers.forEach((info, idx) => {
+    const pane = map.getPane(uploadPaneName(info.id));
+    if (pane) pane.style.zIndex = String(UPLOAD_PANE_BASE_Z + idx);
+  });
+
+  try {
+    localStorage.setItem(
+      UPLOAD_ORDER_STORAGE_KEY,
+      JSON.stringify(uploadedLayers.map((l) => l.id))
+    );
+  } catch (err) {
+    // Order is a nicety; private browsing may refuse storage
+  }
+}
+
+function readSavedUploadOrder() {
+  try {
+    const order = JSON.parse(localStorage.getItem(UPLOAD_ORDER_STORAGE_KEY));
+    return Array.isArray(order) ? order : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function updateUploadedLayerLegend(info) {
+  const items = info.legendItems || [];
+  setLegendGroup(
+    info.id,
+    info.visible !== false && items.length
+      ? { title: info.name, items }
+      : null
+  );
+}
+
+function setUploadedLayerVisible(info, visible) {
+  info.visible = visible;
+
+  if (info.type === 'drawing') {
+    if (visible) drawnItems.addLayer(info.layer);
+    else drawnItems.removeLayer(info.layer);
+  } else if (visible) {
+    info.layer.addTo(map);
+  } else if (map.hasLayer(info.layer)) {
+    map.removeLayer(info.layer);
+  }
+
+  updateUploadedLayerLegend(info);
+}
+
+function setUploadedLayerOpacity(info, opacity) {
+  info.opacity = opacity;
+  const pane = map.getPane(uploadPaneName(info.id));
+  if (pane) pane.style.opacity = String(opacity);
+}
+
+function renameUploadedLayer(info, name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed || trimmed === info.name) return;
+
+  if (info.type === 'drawing') {
+    info.drawStyle.label = trimmed;
+    applyDrawnLayerStyle(info);
+    info.name = drawingDisplayName(info);
+  } else {
+    info.name = trimmed;
+    info.config.layerName = trimmed;
+    if (dataQualityReports[info.id]) dataQualityReports[info.id].name = trimmed;
+    updateUploadedLayerLegend(info);
+    if (info.persisted) persistUploadedLayer(info);
+  }
+
+  refreshUploadedLayersUI();
+}
+
+function zoomToUploadedLayer(info) {
+  const layer = info.layer;
+  let bounds = null;
+
+  if (typeof layer.getBounds === 'function') {
+    bounds = layer.getBounds();
+  } else if (typeof layer.getLatLng === 'function') {
+    map.setView(layer.getLatLng(), Math.max(map.getZoom(), 16));
+    return;
+  }
+
+  if (bounds && bounds.isValid()) {
+    map.fitBounds(bounds, { padding: [20, 20], maxZoom: 17 });
+  }
+}
+
+// Drop `draggedId` where `targetId` is shown in the (top-first) list
+function moveUploadedLayer(draggedId, targetId) {
+  if (!draggedId || draggedId === targetId) return;
+
+  const displayed = uploadedLayers.slice().reverse();
+  const from = displayed.findIndex((l) => l.id === draggedId);
+  const to = displayed.findIndex((l) => l.id === targetId);
+  if (from === -1 || to === -1) return;
+
+  const [moved] = displayed.splice(from, 1);
+  displayed.splice(to, 0, moved);
+
+  uploadedLayers.length = 0;
+  displayed.reverse().forEach((l) => uploadedLayers.push(l));
+
+  syncUploadPaneOrder();
+  refreshUploadedLayersUI();
+}
+
+// Put a stored config back into the (already opened) config modal
+function fillUploadModalFromConfig(config) {
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && value !== undefined) el.value = value;
+  };
+
+  setValue('upload-layer-name', config.layerName);
+  setValue('upload-label-field', config.labelField);
+  setValue('upload-style-field', config.styleField);
+  setValue('upload-color-scheme', config.colorScheme);
+  setValue('upload-x-field', config.xField);
+  setValue('upload-y-field', config.yField);
+  setValue('upload-line-width', String(config.lineWidth));
+  setValue('upload-outline-style', config.outlineStyle);
+
+  document
+    .querySelectorAll('input[name="upload-point-style"]')
+    .forEach((r) => (r.checked = r.value === config.pointStyle));
+
+  const clusterCheckbox = document.getElementById('upload-point-cluster');
+  if (clusterCheckbox) clusterCheckbox.checked = !!config.clusterPoints;
+  const fileStylesCheckbox = document.getElementById('upload-use-file-styles');
+  if (fileStylesCheckbox) fileStylesCheckbox.checked = !!config.useFileStyles;
+
+  document
+    .querySelectorAll('input[name="upload-style-mode"]')
+    .forEach((r) => (r.checked = r.value === (config.styleMode || 'graduated')));
+  setValue('upload-class-method', config.classMethod);
+  setValue('upload-class-count', config.classCount && String(config.classCount));
+  setValue('upload-manual-breaks', (config.manualBreaks || []).join(', '));
+  setValue('upload-class-ramp', config.ramp);
+  setValue('upload-size-field', config.sizeField || '');
+  setValue('upload-heat-weight', config.heatWeightField || '');
+  updateUploadStyleOptions();
+
+  setUploadCrs(config.crsKey, config.customCrsDef);
+  const crsNote = document.getElementById('upload-crs-note');
+  if (crsNote) crsNote.style.display = 'none';
+
+  updateUploadPreview();
+}
+
+function editUploadedLayerStyle(info) {
+  if (!info.source || !info.config) return;
+
+  uploadConfigState = { ...info.source, editingId: info.id };
+  openUploadConfigModal();
+  fillUploadModalFromConfig(info.config);
+}
+
+// Swap the layer for one built from new settings, keeping id, pane,
+// position in the list and visibility
+function rebuildUploadedLayer(info, config) {
+  const built = buildUploadedLayer(
+    info.source,
+    config,
+    ensureUploadPane(info.id)
+  );
+  if (!built) return false;
+
+  if (map.hasLayer(info.layer)) map.removeLayer(info.layer);
+
+  info.layer = built.layer;
+  info.legendItems = built.legendItems;
+  info.config = config;
+  info.name = config.layerName;
+  delete info.featureLayers;
+  if (built.qualityChecks) {
+    setDataQualityReport(info.id, info.name, built.qualityChecks);
+  }
+
+  if (info.visible !== false) info.layer.addTo(map);
+  updateUploadedLayerLegend(info);
+  if (isQueryFilterActive(info.id)) applyQueryFilter(info.id);
+
+  if (info.persisted) persistUploadedLayer(info);
+  else refreshUploadedLayersUI();
+  return true;
+}
+
+function createUploadActionButton(text, title, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'upload-layer-remove-btn';
+  btn.textContent = text;
+  btn.title = title;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function buildUploadedLayerRow(info) {
+  const row = document.createElement('div');
+  row.className = 'upload-layers-item';
+  row.dataset.layerId = info.id;
+  if (info.visible === false) row.classList.add('is-hidden');
+
+  const mainRow = document.createElement('div');
+  mainRow.className = 'upload-layers-item-main';
+
+  const handle = document.createElement('span');
+  handle.className = 'upload-layer-drag-handle';
+  handle.textContent = '⋮⋮';
+  handle.title = 'Drag to change drawing order';
+  // Only the handle starts a drag, so the name field stays editable
+  handle.addEventListener('mousedown', () => {
+    row.draggable = true;
+  });
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = info.visible !== false;
+  checkbox.title = 'Show / hide';
+  checkbox.addEventListener('change', () => {
+    setUploadedLayerVisible(info, checkbox.checked);
+    row.classList.toggle('is-hidden', !checkbox.checked);
+  });
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'upload-layer-name';
+  nameInput.value = info.name;
+  nameInput.title = 'Click to rename';
+  nameInput.addEventListener('change', () => {
+    renameUploadedLayer(info, nameInput.value);
+  });
+  nameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') nameInput.blur();
+    if (e.key === 'Escape') {
+      nameInput.value = info.name;
+      nameInput.blur();
+    }
+  });
+
+  mainRow.appendChild(handle);
+  mainRow.appendChild(checkbox);
+  mainRow.appendChild(nameInput);
+
+  const sliderRow = document.createElement('div');
+  sliderRow.className = 'layer-toggle-slider-row';
+
+  const sliderLabel = document.createElement('span');
+  sliderLabel.textContent = 'Opacity';
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = '0';
+  slider.max = '1';
+  slider.step = '0.05';
+  slider.value = String(info.opacity ?? 1);
+  slider.addEventListener('input', () => {
+    setUploadedLayerOpacity(info, parseFloat(slider.value));
+  });
+
+  sliderRow.appendChild(sliderLabel);
+  sliderRow.appendChild(slider);
+
+  const actions = document.createElement('div');
+  actions.className = 'upload-layer-actions';
+
+  actions.appendChild(
+    createUploadActionButton('Zoom', 'Zoom to this layer', () =>
+      zoomToUploadedLayer(info)
+    )
+  );
+  if (info.source) {
+    actions.appendChild(
+      createUploadActionButton('Style', 'Edit label, colours and symbols', () =>
+        editUploadedLayerStyle(info)
+      )
+    );
+  }
+  if (info.layer instanceof UploadHeatGroup) {
+    actions.appendChild(
+      createUploadActionButton('Heat', 'Heatmap radius, blur and colours', () =>
+        openHeatPanel(info.id)
+      )
+    );
+  }
+  actions.appendChild(createLayerExportButton(info.id));
+  if (dataQualityIssueCount(info.id)) {
+    actions.appendChild(
+      createUploadActionButton(
+        `Issues (${dataQualityIssueCount(info.id)})`,
+        'Rows that were skipped or look wrong',
+        () => {
+          dataQualityTarget = info.id;
+          openDataQualityPanel();
+        }
+      )
+    );
+  }
+
+  // Saved uploads come back on reload until they are forgotten
+  if (info.source) {
+    actions.appendChild(
+      createUploadActionButton(
+        info.persisted ? 'Forget' : 'Keep',
+        info.persisted
+          ? 'Stop restoring this layer when the map is reopened'
+          : 'Save this layer in the browser so it is restored next time',
+        () => {
+          if (info.persisted) forgetUploadedLayer(info);
+          else persistUploadedLayer(info);
+        }
+      )
+    );
+  }
+
+  actions.appendChild(
+    createUploadActionButton('Remove', 'Remove this layer', () => {
+      detachUploadedLayer(info);
+
+      const idx = uploadedLayers.findIndex((l) => l.id === info.id);
+      if (idx !== -1) {
+        uploadedLayers.splice(idx, 1);
+      }
+
+      syncUploadPaneOrder();
+      refreshUploadedLayersUI();
+    })
+  );
+
+  row.addEventListener('dragstart', (e) => {
+    draggedUploadId = info.id;
+    row.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', info.id);
+  });
+  row.addEventListener('dragend', () => {
+    row.draggable = false;
+    row.classList.remove('dragging');
+    draggedUploadId = null;
+  });
+  row.addEventListener('dragover', (e) => {
+    if (!draggedUploadId || draggedUploadId === info.id) return;
+    e.preventDefault();
+    row.classList.add('drop-target');
+  });
+  row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+  row.addEventListener('drop', (e) => {
+    e.preventDefault();
+    row.classList.remove('drop-target');
+    moveUploadedLayer(draggedUploadId, info.id);
+  });
+
+  row.appendChild(mainRow);
+  row.appendChild(sliderRow);
+  row.appendChild(actions);
+  return row;
+}
+
+/****************************************************
+ * GEOCODER
+ ****************************************************/
+
+const TT_BBOX = [-61.95, 10.0, -60.5, 11.5];
+let geocoder = null;
+
+if (L.Control && (L.Control.Geocoder || L.Control.geocoder)) {
+  // Only create the control if the plugin is actually available
+  geocoder = L.Control.geocoder({
+    position: 'topright',
+    defaultMarkGeocode: false,
+    geocoder: L.Control.Geocoder && L.Control.Geocoder.nominatim
+      ? L.Control.Geocoder.nominatim({
+          geocodingQueryParams: {
+            countrycodes: 'tt',
+            viewbox: `${TT_BBOX[0]},${TT_BBOX[3]},${TT_BBOX[2]},${TT_BBOX[1]}`,
+            bounded: 1,
+          },
+        })
+      : undefined,
+  })
+    .on('markgeocode', (e) => {
+      const { center, bbox, name } = e.geocode;
+
+      if (searchMarker) {
+        map.removeLayer(searchMarker);
+      }
+
+      searchMarker = L.marker(center)
+        .addTo(map)
+        .bindPopup(`<strong>${name}</strong>`)
+        .openPopup();
+
+      map.fitBounds(bbox);
+
+      if (isAnalysisPickActive()) {
+        handleAnalysisPick(center, name);
+      }
+    })
+    .addTo(map);
+
+  // Only wire up the DOM if geocoder exists
+  const geocoderContainer = geocoder._container;
+  const geocoderInput = geocoderContainer.querySelector(
+    '.leaflet-control-geocoder-form input'
+  );
+
+  if (geocoderInput) {
+    geocoderInput.setAttribute('type', 'search');
+    geocoderInput.setAttribute('placeholder', 'Search for a place...');
+
+    geocoderInput.addEventListener('search', () => {
+      if (geocoderInput.value === '') {
+        clearGeocoderResult(geocoderInput);
+      }
+    });
+
+    geocoderInput.addEventListener('input', () => {
+      if (geocoderInput.value.trim() === '') {
+        clearGeocoderResult(geocoderInput);
+      }
+    });
+  }
+
+  const customClearBtn = document.createElement('button');
+  customClearBtn.type = 'button';
+  customClearBtn.className = 'geocoder-clear-btn';
+  customClearBtn.setAttribute(
+    'aria-label',
+    'Clear search and remove marker'
+  );
+  customClearBtn.textContent = '×';
+
+  const formEl = geocoderContainer.querySelector(
+    '.leaflet-control-geocoder-form'
+  );
+  if (formEl) {
+    formEl.style.position = 'relative';
+    formEl.appendChild(customClearBtn);
+    customClearBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      clearGeocoderResult(geocoderInput);
+      geocoderInput && geocoderInput.focus();
+    });
+  }
+} else {
+  console.warn(
+    'leaflet-control-geocoder plugin not available; search box disabled.'
+  );
+}
+
+/**********************
+ * INSET MAP
+ **********************/
+
+function boundsAtZoom(center, zoom) {
+  const size = map.getSize();
+  const half = size.divideBy(2);
+  const centerPx = map.project(center, zoom);
+  const sw = map.unproject(centerPx.subtract(half), zoom);
+  const ne = map.unproject(centerPx.add(half), zoom);
+  return L.latLngBounds(sw, ne);
+}
+
+const BOUNDS_TRINIDAD = L.latLngBounds([9.95, -61.95], [10.95, -60.45]);
+const BOUNDS_TOBAGO = L.latLngBounds([11.05, -60.95], [11.4, -60.4]);
+
+const InsetControl = L.Control.extend({
+  options: { position: 'bottomright' },
+
+  onAdd: function () {
+    const container = L.DomUtil.create(
+      'div',
+      'inset-container leaflet-bar'
+    );
+    container.innerHTML = '<div id="insetMap" class="inset-map"></div>';
+
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+
+    return container;
+  },
+
+  onRemove: function () {},
+});
+
+map.addControl(new InsetControl());
+
+const insetMap = L.map('insetMap', {
+  attributionControl: false,
+  zoomControl: false,
+  dragging: false,
+  scrollWheelZoom: false,
+  touchZoom: false,
+  doubleClickZoom: false,
+  boxZoom: false,
+  keyboard: false,
+  zoomSnap: 0,
+  inertia: false,
+});
+
+const insetTiles = L.tileLayer(
+  'https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}{r}.png',
+  { subdomains: 'abcd', maxZoom: 19 }
+).addTo(insetMap);
+
+const viewRect = L.rectangle(map.getBounds(), {
+  color: 'red',
+  weight: 2,
+  fill: false,
+  className: 'inset-viewport-rect',
+}).addTo(insetMap);
+
+function islandForCenter(centerLatLng) {
+  return BOUNDS_TOBAGO.contains(centerLatLng) ? 'TOBAGO' : 'TRINIDAD';
+}
+
+function updateInset() {
+  const center = map.getCenter();
+  const currentZoom = map.getZoom();
+
+  const island = islandForCenter(center);
+  const targetBounds =
+    island === 'TOBAGO' ? BOUNDS_TOBAGO : BOUNDS_TRINIDAD;
+
+  insetMap.fitBounds(targetBounds, { animate: false, padding: [0, 0] });
+
+  let rectBounds;
+  if (currentZoom <= 14) {
+    rectBounds = map.getBounds();
+  } else {
+    rectBounds = boundsAtZoom(center, 14);
+  }
+
+  viewRect.setBounds(rectBounds);
+}
+
+map.whenReady(updateInset);
+map.on('moveend zoomend', updateInset);
+
+/**********************
+ * LEGEND
+ **********************/
+
+const legendGroups = {};
+let legendBodyEl = null;
+
+const LegendControl = L.Control.extend({
+  options: { position: 'topright' },
+
+  onAdd: function () {
+    const container = L.DomUtil.create(
+      'div',
+      'legend-container leaflet-bar'
+    );
+    container.innerHTML = `
+      <div class="legend-inner">
+        <div class="legend-header">Legend</div>
+        <div class="legend-body"></div>
+      </div>
+    `;
+
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+
+    legendBodyEl = container.querySelector('.legend-body');
+    refreshLegend();
+
+    return container;
+  },
+});
+
+function refreshLegend() {
+  if (!legendBodyEl) return;
+
+  legendBodyEl.innerHTML = '';
+
+  const entries = Object.entries(legendGroups);
+  if (!entries.length) {
+    const empty = document.createElement('div');
+    empty.className = 'legend-empty';
+    empty.textContent = 'No layers visible';
+    legendBodyEl.appendChild(empty);
+    return;
+  }
+
+  entries.forEach(([layerKey, group]) => {
+    if (!group || !group.items || !group.items.length) return;
+
+    const groupEl = document.createElement('div');
+    groupEl.className = 'legend-group';
+
+    if (group.title) {
+      const titleEl = document.createElement('div');
+      titleEl.className = 'legend-group-title';
+      titleEl.textContent = group.title;
+      groupEl.appendChild(titleEl);
+    }
+
+    group.items.forEach((item) => {
+      const itemEl = document.createElement('div');
+      itemEl.className = 'legend-item';
+
+      const swatch = document.createElement('span');
+      swatch.className = 'legend-swatch';
+      if (item.color) {
+        swatch.style.backgroundColor = item.color;
+      }
+      // Proportional symbols: a circle drawn at its map size
+      if (item.shape === 'circle') {
+        swatch.classList.add('legend-swatch--circle');
+        swatch.style.width = `${item.size}px`;
+        swatch.style.height = `${item.size}px`;
+      } else if (item.shape === 'gradient') {
+        swatch.classList.add('legend-swatch--gradient');
+        swatch.style.background = heatGradientCss(item.gradient);
+      }
+
+      const labelEl = document.createElement('span');
+      labelEl.className = 'legend-label';
+      labelEl.textContent = item.label;
+
+      itemEl.appendChild(swatch);
+      itemEl.appendChild(labelEl);
+      groupEl.appendChild(itemEl);
+    });
+
+    legendBodyEl.appendChild(groupEl);
+  });
+}
+
+function setLegendGroup(key, group) {
+  if (group) {
+    legendGroups[key] = group;
+  } else {
+    delete legendGroups[key];
+  }
+  refreshLegend();
+}
+
+map.addControl(new LegendControl());
+
+/**********************
+ * PREDEFINED OVERLAY LAYERS
+ **********************/
+
+function createLayerToggleRow(
+  layerId,
+  labelText,
+  defaultOpacity = 0.7,
+  defaultVisible = true
+) {
+  const container = document.getElementById('layer-toggle-container');
+  if (!container) return null;
+
+  const row = document.createElement('div');
+  row.className = 'layer-toggle-row';
+
+  const mainRow = document.createElement('div');
+  mainRow.className = 'layer-toggle-row-main';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.id = `layer-toggle-${layerId}`;
+  checkbox.checked = defaultVisible;
+
+  const label = document.createElement('label');
+  label.setAttribute('for', checkbox.id);
+  label.textContent = labelText;
+
+  mainRow.appendChild(label);
+  mainRow.appendChild(checkbox);
+  row.appendChild(mainRow);
+
+  const sliderRow = document.createElement('div');
+  sliderRow.className = 'layer-toggle-slider-row';
+
+  const sliderLabel = document.createElement('span');
+  sliderLabel.textContent = 'Opacity';
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = 0;
+  slider.max = 1;
+  slider.step = 0.05;
+  slider.value = defaultOpacity;
+
+  sliderRow.appendChild(sliderLabel);
+  sliderRow.appendChild(slider);
+  row.appendChild(sliderRow);
+
+  container.appendChild(row);
+
+  return {
+    checkbox,
+    slider,
+  };
+}
+
+/**********************
+ * SIDEBAR TOGGLE & COLLAPSIBLE SECTIONS
+ **********************/
+
+function initSidebarToggle() {
+  const appEl = document.querySelector('.app');
+  const sidebarToggleBtn = document.getElementById('sidebar-toggle');
+  if (!appEl || !sidebarToggleBtn) return;
+
+  sidebarToggleBtn.addEventListener('click', () => {
+    const isCollapsed = appEl.classList.toggle('sidebar-collapsed');
+
+    // Update arrow and aria label/state
+    if (isCollapsed) {
+      sidebarToggleBtn.innerHTML = '&raquo;';
+      sidebarToggleBtn.setAttribute('aria-label', 'Show sidebar');
+      sidebarToggleBtn.setAttribute('aria-expanded', 'false');
+    } else {
+      sidebarToggleBtn.innerHTML = '&laquo;';
+      sidebarToggleBtn.setAttribute('aria-label', 'Hide sidebar');
+      sidebarToggleBtn.setAttribute('aria-expanded', 'true');
+    }
+
+    // Resize map so it fills the available space
+    if (typeof map !== 'undefined' && map.invalidateSize) {
+      setTimeout(() => map.invalidateSize(), 200);
+    }
+  });
+}
+
+function initCollapsibleSections() {
+  const sections = document.querySelectorAll('.collapsible-section');
+
+  sections.forEach((section) => {
+    const header = section.querySelector('.section-header');
+    const body = section.querySelector('.section-body');
+    if (!header || !body) return;
+
+    // Ensure we have a chevron span for rotation styling
+    let chevron = header.querySelector('.section-chevron');
+    if (!chevron) {
+      chevron = document.createElement('span');
+      chevron.className = 'section-chevron';
+      chevron.textContent = '▾';
+      header.appendChild(chevron);
+    }
+
+    header.addEventListener('click', () => {
+      const nowCollapsed = section.classList.toggle('collapsed');
+      header.setAttribute('aria-expanded', String(!nowCollapsed));
+      // CSS already handles .collapsible-section.collapsed .section-body
+    });
+
+    // Initialise ARIA state as expanded
+    header.setAttribute('aria-expanded', 'true');
+  });
+}
+
+/**********************
+ * GEOJSON OVERLAYS
+ **********************/
+
+const GEOJSON_LAYERS_CONFIG = [
   {
     id: 'municipality',
     name: 'Municipalities',
@@ -1689,477 +6912,3344 @@ const GEOJSON_LAYERS_CONFIG = [
     type: 'watershed',
     labelField: 'WATERSHED',
   },
-  // Tobago Hospitals
-  {
-    id: 'tobago_hospitals',
-    name: 'Tobago Hospitals',
-    url: 'https://raw.githubusercontent.com/Noise-unit/GeojsonLayers/refs/heads/main/TobagoHospitals.geojson',
-    type: 'poi',
+  // Tobago Hospitals
+  {
+    id: 'tobago_hospitals',
+    name: 'Tobago Hospitals',
+    url: 'https://raw.githubusercontent.com/Noise-unit/GeojsonLayers/refs/heads/main/TobagoHospitals.geojson',
+    type: 'poi',
+  },
+  // Trinidad TCPD Policy
+  {
+    id: 'trinidad_tcpd_policy',
+    name: 'Trinidad TCPD Policy',
+    url: 'https://raw.githubusercontent.com/Noise-unit/GeojsonLayers/refs/heads/main/Trinidad%20TCPD%20Policy.geojson',
+    type: 'policy',
+    labelField: 'Class_Name',
+  },
+  // Trinidad Watersheds
+  {
+    id: 'trinidad_watersheds',
+    name: 'Trinidad Watershed',
+    url: 'https://raw.githubusercontent.com/Noise-unit/GeojsonLayers/refs/heads/main/Trinidad%20Watersheds.geojson',
+    type: 'watershed',
+    labelField: 'Name',
+  },
+  // Trinidad Hospitals
+  {
+    id: 'trinidad_hospitals',
+    name: 'Trinidad Hospitals',
+    url: 'https://raw.githubusercontent.com/Noise-unit/GeojsonLayers/refs/heads/main/TrinidadHospitals.geojson',
+    type: 'poi',
+  },
+  // Turtle Nesting Sites
+  {
+    id: 'turtle_nesting_sites',
+    name: 'Turtle Nesting Sites',
+    url: 'https://raw.githubusercontent.com/Noise-unit/GeojsonLayers/refs/heads/main/TurtleNestingSites.geojson',
+    type: 'poi',
+    labelField: 'layer',
+  },
+];
+
+function getPolygonStrokeWidth(zoom) {
+  if (zoom >= 15) return 3;
+  if (zoom >= 12) return 2;
+  return 1;
+}
+
+function getRoadLineWidth(zoom) {
+  if (zoom >= 17) return 4;
+  if (zoom >= 15) return 3;
+  if (zoom >= 13) return 2;
+  return 1.5;
+}
+
+function buildCategoryColorMap(values) {
+  const unique = Array.from(new Set(values)).filter(
+    (v) =>
+      v !== undefined && v !== null && String(v).trim() !== ''
+  );
+  const count = unique.length || 1;
+  const mapColors = {};
+
+  unique.forEach((val, idx) => {
+    const hue = (idx * 360) / count;
+    const saturation = 55;
+    const lightness = 78;
+    mapColors[val] = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+  });
+
+  return mapColors;
+}
+
+const polygonLayers = [];
+// Raw GeoJSON per overlay id, kept for spatial queries on hidden layers
+const overlayData = {};
+// Overlay ids whose fetch failed, so analyses can say so instead of
+// waiting for them
+const overlayLoadFailed = new Set();
+let roadsLayer = null;
+let roadsData = null;
+let roadsVisible = false;
+
+function createLayerToggleRow(
+  layerId,
+  labelText,
+  defaultOpacity = 0.7,
+  defaultVisible = true
+) {
+  const container = document.getElementById('layer-toggle-container');
+  if (!container) return null;
+
+  const row = document.createElement('div');
+  row.className = 'layer-toggle-row';
+
+  const mainRow = document.createElement('div');
+  mainRow.className = 'layer-toggle-row-main';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.id = `layer-toggle-${layerId}`;
+  checkbox.checked = defaultVisible;
+
+  const label = document.createElement('label');
+  label.setAttribute('for', checkbox.id);
+  label.textContent = labelText;
+
+  mainRow.appendChild(checkbox);
+  mainRow.appendChild(label);
+
+  const sliderRow = document.createElement('div');
+  sliderRow.className = 'layer-toggle-slider-row';
+
+  const sliderLabel = document.createElement('span');
+  sliderLabel.textContent = 'Opacity';
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = '0';
+  slider.max = '1';
+  slider.step = '0.05';
+  slider.value = String(defaultOpacity);
+
+  sliderRow.appendChild(sliderLabel);
+  sliderRow.appendChild(slider);
+  sliderRow.appendChild(createLayerExportButton(`overlay:${layerId}`));
+
+  row.appendChild(mainRow);
+  row.appendChild(sliderRow);
+  container.appendChild(row);
+
+  return { checkbox, slider };
+}
+
+function initLayerTogglePanel() {
+  const container = document.getElementById('layer-toggle-container');
+  if (!container) return;
+
+  container.innerHTML = '';
+
+  GEOJSON_LAYERS_CONFIG.forEach((cfg) => {
+    // skip roads from generic toggle (handled separately)
+    if (cfg.type === 'roads') return;
+
+    const controls = createLayerToggleRow(
+      cfg.id,
+      cfg.name,
+      0.7,
+      false
+    );
+    if (controls) {
+      layerUIControls[cfg.id] = controls;
+    }
+  });
+}
+
+function guessLabelProperty(features) {
+  if (!features || !features.length) return null;
+
+  const props = features[0].properties || {};
+  const candidateKeys = [
+    'zone',
+    'ZONE',
+    'name',
+    'Name',
+    'NAME',
+    'label',
+    'Label',
+    'LABEL',
+    'category',
+    'Category',
+    'CATEGORY',
+  ];
+
+  for (const key of candidateKeys) {
+    if (key in props) return key;
+  }
+
+  for (const [key, value] of Object.entries(props)) {
+    if (typeof value === 'string' && value.trim() !== '') {
+      return key;
+    }
+  }
+
+  return null;
+}
+
+function overlayLabelField(cfg, features) {
+  return (
+    cfg.labelField ||
+    (cfg.type === 'municipality'
+      ? 'NAME_1'
+      : cfg.type === 'zone'
+      ? 'zone'
+      : null) ||
+    guessLabelProperty(features)
+  );
+}
+
+function createPolygonOverlay(cfg, data) {
+  const features = (data && data.features) || [];
+
+  const labelField = overlayLabelField(cfg, features);
+
+  const valuesForColors = labelField
+    ? features.map((f) => f.properties?.[labelField])
+    : [cfg.name];
+
+  const colorMap = buildCategoryColorMap(
+    valuesForColors.length ? valuesForColors : [cfg.name]
+  );
+
+  const labelClass =
+    cfg.type === 'municipality'
+      ? 'municipality-label'
+      : cfg.type === 'zone'
+      ? 'zone-label'
+      : 'protected-label';
+
+  const layer = L.geoJSON(data, {
+    style: (feature) => {
+      const key = labelField
+        ? feature.properties?.[labelField]
+        : cfg.name;
+      const fillColor =
+        colorMap[key] ||
+        Object.values(colorMap)[0] ||
+        '#e5e7eb';
+
+      return {
+        color: '#6b7280', // medium grey
+        weight: getPolygonStrokeWidth(map.getZoom()),
+        fillColor,
+        fillOpacity: 0.0,
+      };
+    },
+    onEachFeature: (feature, lyr) => {
+      const labelText = labelField
+        ? feature.properties?.[labelField]
+        : cfg.name;
+
+      if (labelText) {
+        lyr.bindTooltip(labelText, {
+          direction: 'center',
+          className: labelClass,
+        });
+      }
+    },
+  });
+
+  polygonLayers.push(layer);
+  overlayLayers[cfg.id] = layer;
+
+  const controls = layerUIControls[cfg.id];
+  if (controls) {
+    const { checkbox, slider } = controls;
+
+    const rebuildLegend = () => {
+      if (!checkbox.checked) {
+        setLegendGroup(cfg.id, null);
+        return;
+      }
+
+      const items = [];
+
+      if (labelField) {
+        Object.entries(colorMap).forEach(([value, color]) => {
+          if (!value) return;
+          items.push({
+            label: value,
+            color,
+          });
+        });
+      } else {
+        const firstColor =
+          Object.values(colorMap)[0] || '#e5e7eb';
+        items.push({
+          label: cfg.name,
+          color: firstColor,
+        });
+      }
+
+      if (items.length) {
+        setLegendGroup(cfg.id, {
+          title: cfg.name,
+          items,
+        });
+      } else {
+        setLegendGroup(cfg.id, null);
+      }
+    };
+
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        layer.addTo(map);
+        const val = parseFloat(slider.value);
+        layer.setStyle({ fillOpacity: val });
+        rebuildLegend();
+      } else {
+        map.removeLayer(layer);
+        setLegendGroup(cfg.id, null);
+      }
+    });
+
+    slider.addEventListener('input', () => {
+      const val = parseFloat(slider.value);
+      layer.setStyle({ fillOpacity: val });
+    });
+
+    // Checked before the data arrived (e.g. restored from a permalink)
+    if (checkbox.checked) {
+      checkbox.dispatchEvent(new Event('change'));
+    }
+  }
+}
+
+function loadOverlayLayers() {
+  GEOJSON_LAYERS_CONFIG.forEach((cfg) => {
+    fetch(cfg.url)
+      .then((resp) => {
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        return resp.json();
+      })
+      .then((data) => {
+        overlayData[cfg.id] = data;
+        overlayLoadFailed.delete(cfg.id);
+
+        if (cfg.type === 'roads') {
+          initRoadsLayer(data);
+          setupRoadsToggleButton();
+          updateRoadsVisibility();
+        } else {
+          createPolygonOverlay(cfg, data);
+        }
+
+        updatePolygonStyles();
+      })
+      .catch((err) => {
+        console.error('Error loading layer', cfg.id, err);
+        overlayLoadFailed.add(cfg.id);
+      });
+  });
+}
+
+// Sorts an overlay without data into result.failed or result.pending
+function noteMissingOverlay(result, cfg) {
+  (overlayLoadFailed.has(cfg.id) ? result.failed : result.pending).push(cfg.name);
+}
+
+// Panel notes for overlays left out of an analysis
+function appendOverlayLoadWarnings(body, result, retryHint) {
+  if (result.pending.length) {
+    const warn = document.createElement('div');
+    warn.className = 'map-panel-warning';
+    warn.textContent = `Still loading: ${result.pending.join(', ')}. ${retryHint}`;
+    body.appendChild(warn);
+  }
+  if (result.failed.length) {
+    const warn = document.createElement('div');
+    warn.className = 'map-panel-warning';
+    warn.textContent = `Could not be loaded, so not included: ${result.failed.join(
+      ', '
+    )}. Reload the page to try again.`;
+    body.appendChild(warn);
+  }
+}
+
+function updatePolygonStyles() {
+  const z = map.getZoom();
+  const w = getPolygonStrokeWidth(z);
+  polygonLayers.forEach((layer) => {
+    layer.setStyle({ weight: w });
+  });
+}
+
+function featureIntersectsBounds(feature, bounds) {
+  const geom = feature.geometry;
+  if (!geom) return false;
+
+  const coords = geom.coordinates;
+  const type = geom.type;
+
+  if (!coords || !type) return false;
+
+  let minLat = Infinity,
+    minLng = Infinity,
+    maxLat = -Infinity,
+    maxLng = -Infinity;
+
+  function addCoord(c) {
+    const lng = c[0];
+    const lat = c[1];
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+    if (lng < minLng) minLng = lng;
+    if (lng > maxLng) maxLng = lng;
+  }
+
+  function walkCoords(c) {
+    if (
+      typeof c[0] === 'number' &&
+      typeof c[1] === 'number'
+    ) {
+      addCoord(c);
+    } else {
+      c.forEach(walkCoords);
+    }
+  }
+
+  walkCoords(coords);
+  const fBounds = L.latLngBounds(
+    [[minLat, minLng],
+    [maxLat, maxLng]]
+  );
+  return bounds.intersects(fBounds);
+}
+
+function initRoadsLayer(data) {
+  roadsData = data;
+
+  roadsLayer = L.geoJSON(null, {
+    interactive: false,
+    bubblingMouseEvents: false,
+    style: () => ({
+      color: '#ffffff',
+      weight: getRoadLineWidth(map.getZoom()),
+      opacity: 0.6,
+      interactive: false,
+    }),
+    onEachFeature: (feature, layer) => {
+      const name =
+        feature.properties?.name ||
+        feature.properties?.NAME ||
+        feature.properties?.Name;
+
+      if (name) {
+        layer.bindTooltip(name, {
+          permanent: false,
+          direction: 'center',
+          className: 'road-label',
+        });
+      }
+
+      layer.options.interactive = false;
+    },
+  });
+}
+
+function updateRoadsLegend() {
+  if (roadsVisible) {
+    setLegendGroup('major_roads', {
+      title: 'Major Roads',
+      items: [
+        {
+          label: 'Major Roads',
+          color: '#e5e7eb',
+        },
+      ],
+    });
+  } else {
+    setLegendGroup('major_roads', null);
+  }
+}
+
+function setupRoadsToggleButton() {
+  const btn = document.getElementById('toggle-roads-btn');
+  if (!btn) return;
+
+  btn.addEventListener('click', () => {
+    roadsVisible = !roadsVisible;
+    btn.textContent = roadsVisible
+      ? 'Major Roads: On'
+      : 'Major Roads: Off';
+    btn.classList.toggle('active', roadsVisible);
+    updateRoadsLegend();
+    updateRoadsVisibility();
+  });
+}
+
+function updateRoadsVisibility() {
+  if (!roadsLayer || !roadsData) return;
+
+  const zoom = map.getZoom();
+  const bounds = map.getBounds();
+
+  const showLines = roadsVisible && zoom >= 16;
+  const showLabels = roadsVisible && zoom >= 18;
+
+  roadsLayer.clearLayers();
+
+  if (showLines) {
+    (roadsData.features || []).forEach((feature) => {
+      if (featureIntersectsBounds(feature, bounds)) {
+        roadsLayer.addData(feature);
+      }
+    });
+
+    if (!map.hasLayer(roadsLayer)) {
+      roadsLayer.addTo(map);
+    }
+
+    roadsLayer.setStyle({
+      weight: getRoadLineWidth(zoom),
+      color: '#ffffff',
+      opacity: 0.6,
+    });
+  } else {
+    if (map.hasLayer(roadsLayer)) {
+      map.removeLayer(roadsLayer);
+    }
+  }
+
+  roadsLayer.eachLayer((layer) => {
+    if (!layer.getTooltip()) return;
+    if (showLabels) {
+      layer.openTooltip();
+    } else {
+      layer.closeTooltip();
+    }
+  });
+}
+
+/**********************
+ * MAP EXPORT (PNG / PDF)
+ **********************/
+
+const EXPORT_DEFAULT_TITLE = 'Event Location in Trinidad and Tobago';
+
+const EXPORT_PAPER_SIZES_MM = {
+  a4: [297, 210],
+  a3: [420, 297],
+};
+
+// Controls that only make sense on screen and are left out of the snapshot.
+// The legend is drawn separately so it is never clipped by its scroll box.
+const EXPORT_IGNORED_CONTROL_CLASSES = [
+  'leaflet-control-zoom',
+  'leaflet-control-geocoder',
+  'leaflet-control-attribution',
+  'basemap-toggle',
+  'export-map-control',
+  'legend-container',
+];
+
+const ExportControl = L.Control.extend({
+  options: { position: 'topright' },
+  onAdd: function () {
+    const container = L.DomUtil.create(
+      'div',
+      'leaflet-control export-map-control'
+    );
+    const btn = L.DomUtil.create('button', 'basemap-btn', container);
+    btn.type = 'button';
+    btn.title = 'Export map as PNG or PDF';
+    btn.setAttribute('aria-label', 'Export map');
+    btn.textContent = 'Export map';
+
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.on(btn, 'click', function (e) {
+      L.DomEvent.stop(e);
+      openExportMapModal();
+    });
+
+    return container;
+  },
+});
+
+map.addControl(new ExportControl());
+
+function openExportMapModal() {
+  const modalEl = document.getElementById('export-map-modal');
+  if (!modalEl) return;
+
+  const titleInput = document.getElementById('export-map-title');
+  if (titleInput && !titleInput.value.trim()) {
+    titleInput.value = EXPORT_DEFAULT_TITLE;
+  }
+
+  updateExportFormatOptions();
+  modalEl.classList.remove('hidden');
+}
+
+function closeExportMapModal() {
+  const modalEl = document.getElementById('export-map-modal');
+  if (!modalEl) return;
+  modalEl.classList.add('hidden');
+}
+
+function updateExportFormatOptions() {
+  const formatSel = document.getElementById('export-map-format');
+  const pdfOptions = document.getElementById('export-map-pdf-options');
+  if (!formatSel || !pdfOptions) return;
+  pdfOptions.style.display = formatSel.value === 'pdf' ? 'flex' : 'none';
+}
+
+function initMapExport() {
+  const modalEl = document.getElementById('export-map-modal');
+  if (!modalEl) {
+    console.warn('Export modal not found in DOM.');
+    return;
+  }
+
+  const closeBtn = document.getElementById('export-map-close');
+  const cancelBtn = document.getElementById('export-map-cancel');
+  const applyBtn = document.getElementById('export-map-apply');
+  const formatSel = document.getElementById('export-map-format');
+
+  if (closeBtn) {
+    closeBtn.addEventListener('click', () => closeExportMapModal());
+  }
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', () => closeExportMapModal());
+  }
+  if (formatSel) {
+    formatSel.addEventListener('change', () => updateExportFormatOptions());
+  }
+  if (applyBtn) {
+    applyBtn.addEventListener('click', () => {
+      const options = {
+        title:
+          document.getElementById('export-map-title')?.value.trim() ||
+          EXPORT_DEFAULT_TITLE,
+        format: formatSel?.value || 'png',
+        paper: document.getElementById('export-map-paper')?.value || 'a4',
+        orientation:
+          document.getElementById('export-map-orientation')?.value ||
+          'landscape',
+      };
+
+      applyBtn.disabled = true;
+      applyBtn.textContent = 'Exporting…';
+
+      exportMap(options)
+        .then(() => closeExportMapModal())
+        .catch((err) => {
+          console.error('Error exporting map:', err);
+          alert('Could not export the map. Please try again.');
+        })
+        .finally(() => {
+          applyBtn.disabled = false;
+          applyBtn.textContent = 'Export';
+        });
+    });
+  }
+
+  modalEl.addEventListener('click', (e) => {
+    if (e.target === modalEl) {
+      closeExportMapModal();
+    }
+  });
+}
+
+// Collect plain-text attributions for every layer currently drawn
+function getMapAttributions() {
+  const seen = new Set();
+  const scratch = document.createElement('div');
+
+  const collect = (lyr) => {
+    if (!lyr || typeof lyr.getAttribution !== 'function') return;
+    const html = lyr.getAttribution();
+    if (!html) return;
+    scratch.innerHTML = html;
+    const text = scratch.textContent.trim();
+    if (text) seen.add(text);
+  };
+
+  map.eachLayer(collect);
+  seen.add('Locator map: © OpenStreetMap contributors © CARTO');
+  seen.add('Overlay data: Noise-unit GeojsonLayers');
+
+  return Array.from(seen);
+}
+
+function formatExportDate(date) {
+  return date.toLocaleDateString('en-TT', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+// Normalise any CSS colour (hex, hsl, named) to [r, g, b]
+function cssColorToRgb(color) {
+  const ctx = document.createElement('canvas').getContext('2d');
+  ctx.fillStyle = '#e5e7eb';
+  ctx.fillStyle = color || '#e5e7eb';
+  const value = ctx.fillStyle;
+
+  if (value.startsWith('#')) {
+    return [
+      parseInt(value.slice(1, 3), 16),
+      parseInt(value.slice(3, 5), 16),
+      parseInt(value.slice(5, 7), 16),
+    ];
+  }
+
+  const parts = value.match(/[\d.]+/g) || [229, 231, 235];
+  return parts.slice(0, 3).map(Number);
+}
+
+// Snapshot of the map pane including scale bar and inset locator
+function captureMapCanvas() {
+  if (typeof html2canvas === 'undefined') {
+    return Promise.reject(new Error('html2canvas is not loaded.'));
+  }
+
+  const mapEl = document.getElementById('map');
+
+  return html2canvas(mapEl, {
+    useCORS: true,
+    backgroundColor: '#ffffff',
+    logging: false,
+    ignoreElements: (el) =>
+      !!el.classList &&
+      EXPORT_IGNORED_CONTROL_CLASSES.some((cls) => el.classList.contains(cls)),
+  });
+}
+
+function getLegendGroupsForExport() {
+  return Object.values(legendGroups).filter(
+    (group) => group && group.items && group.items.length
+  );
+}
+
+function wrapCanvasText(ctx, text, maxWidth) {
+  const words = String(text).split(/\s+/);
+  const lines = [];
+  let line = '';
+
+  words.forEach((word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+
+  return lines;
+}
+
+// PNG: title, date, map snapshot, legend column and attribution footer
+function buildExportPngCanvas(mapCanvas, options) {
+  const scale = mapCanvas.width / document.getElementById('map').clientWidth;
+  const pad = 16 * scale;
+  const headerH = 64 * scale;
+  const legendW = 240 * scale;
+  const lineH = 16 * scale;
+
+  const measureCtx = document.createElement('canvas').getContext('2d');
+  measureCtx.font = `${11 * scale}px system-ui, sans-serif`;
+
+  const attributionLines = getMapAttributions().flatMap((a) =>
+    wrapCanvasText(measureCtx, a, mapCanvas.width + legendW - pad)
+  );
+
+  // Proportional-symbol circles are taller than a text line
+  const itemHeight = (item) =>
+    item.shape === 'circle' ? Math.max(lineH, item.size * scale + 4 * scale) : lineH;
+
+  const legendGroupsList = getLegendGroupsForExport();
+  let legendHeight = lineH * 2;
+  legendGroupsList.forEach((group) => {
+    legendHeight += lineH * 1.5;
+    group.items.forEach((item) => {
+      legendHeight += itemHeight(item);
+    });
+  });
+
+  const bodyH = Math.max(mapCanvas.height, legendHeight);
+  const footerH = lineH * (attributionLines.length + 1) + pad;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = mapCanvas.width + legendW + pad * 3;
+  canvas.height = headerH + bodyH + footerH + pad;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.fillStyle = '#111827';
+  ctx.font = `600 ${20 * scale}px system-ui, sans-serif`;
+  ctx.fillText(options.title, pad, pad + 20 * scale);
+  ctx.fillStyle = '#4b5563';
+  ctx.font = `${12 * scale}px system-ui, sans-serif`;
+  ctx.fillText(formatExportDate(new Date()), pad, pad + 40 * scale);
+
+  ctx.drawImage(mapCanvas, pad, headerH);
+  ctx.strokeStyle = '#9ca3af';
+  ctx.lineWidth = scale;
+  ctx.strokeRect(pad, headerH, mapCanvas.width, mapCanvas.height);
+
+  // Legend column
+  const legendX = pad * 2 + mapCanvas.width;
+  let y = headerH + lineH;
+  ctx.fillStyle = '#111827';
+  ctx.font = `600 ${12 * scale}px system-ui, sans-serif`;
+  ctx.fillText('Legend', legendX, y);
+  y += lineH;
+
+  legendGroupsList.forEach((group) => {
+    ctx.fillStyle = '#374151';
+    ctx.font = `600 ${11 * scale}px system-ui, sans-serif`;
+    ctx.fillText(group.title || '', legendX, y);
+    y += lineH;
+
+    ctx.font = `${11 * scale}px system-ui, sans-serif`;
+    group.items.forEach((item) => {
+      ctx.fillStyle = item.color || '#e5e7eb';
+      ctx.strokeStyle = '#6b7280';
+      if (item.shape === 'circle') {
+        const r = (item.size / 2) * scale;
+        const rowH = itemHeight(item);
+        const cy = y + (rowH - lineH) / 2 - 4.5 * scale;
+        ctx.beginPath();
+        ctx.arc(legendX + r, cy, r, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillStyle = '#111827';
+        ctx.fillText(item.label, legendX + item.size * scale + 5 * scale, cy + 4.5 * scale);
+        y += rowH;
+        return;
+      }
+      if (item.shape === 'gradient') {
+        const barW = 44 * scale;
+        const grad = ctx.createLinearGradient(legendX, 0, legendX + barW, 0);
+        Object.entries(item.gradient).forEach(([pos, color]) =>
+          grad.addColorStop(Number(pos), color)
+        );
+        ctx.fillStyle = grad;
+        ctx.fillRect(legendX, y - 10 * scale, barW, 11 * scale);
+        ctx.strokeRect(legendX, y - 10 * scale, barW, 11 * scale);
+        ctx.fillStyle = '#111827';
+        ctx.fillText(item.label, legendX + barW + 5 * scale, y);
+        y += lineH;
+        return;
+      }
+      ctx.fillRect(legendX, y - 10 * scale, 11 * scale, 11 * scale);
+      ctx.strokeRect(legendX, y - 10 * scale, 11 * scale, 11 * scale);
+      ctx.fillStyle = '#111827';
+      ctx.fillText(item.label, legendX + 16 * scale, y);
+      y += lineH;
+    });
+    y += lineH * 0.5;
+  });
+
+  // Attribution footer
+  let footerY = headerH + bodyH + pad + lineH;
+  ctx.fillStyle = '#4b5563';
+  ctx.font = `${11 * scale}px system-ui, sans-serif`;
+  ctx.fillText('Sources:', pad, footerY);
+  footerY += lineH;
+  attributionLines.forEach((line) => {
+    ctx.fillText(line, pad, footerY);
+    footerY += lineH;
+  });
+
+  return canvas;
+}
+
+function downloadCanvasAsPng(canvas, fileName) {
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href = canvas.toDataURL('image/png');
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+function exportFileBaseName(title) {
+  const slug = String(title || 'map')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  const stamp = new Date().toISOString().slice(0, 10);
+  return `${slug || 'map'}-${stamp}`;
+}
+
+function createExportPdf(paper, orientation) {
+  if (!window.jspdf || !window.jspdf.jsPDF) {
+    throw new Error('jsPDF is not loaded.');
+  }
+  return new window.jspdf.jsPDF({
+    orientation,
+    unit: 'mm',
+    format: paper,
+  });
+}
+
+// Writes legend groups from the given y position, adding pages as needed.
+// Returns the y position after the last item.
+function writePdfLegend(doc, x, y, maxY, topY) {
+  const lineH = 5;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.setTextColor(17, 24, 39);
+  doc.text('Legend', x, y);
+  y += lineH + 1;
+
+  getLegendGroupsForExport().forEach((group) => {
+    if (y + lineH * 2 > maxY) {
+      doc.addPage();
+      y = topY;
+    }
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(8);
+    doc.setTextColor(55, 65, 81);
+    doc.text(group.title || '', x, y);
+    y += lineH;
+
+    doc.setFont('helvetica', 'normal');
+    group.items.forEach((item) => {
+      // Legend sizes are screen pixels; 1 px is about 0.26 mm
+      const radius = item.shape === 'circle' ? (item.size / 2) * 0.26 : 0;
+      const rowH = Math.max(lineH, radius * 2 + 1);
+      if (y + rowH > maxY) {
+        doc.addPage();
+        y = topY;
+      }
+      const [r, g, b] = cssColorToRgb(item.color);
+      doc.setFillColor(r, g, b);
+      doc.setDrawColor(107, 114, 128);
+      doc.setTextColor(17, 24, 39);
+      if (item.shape === 'circle') {
+        const cy = y + (rowH - lineH) / 2 - 1.25;
+        doc.circle(x + radius, cy, radius, 'FD');
+        doc.text(String(item.label), x + radius * 2 + 2, cy + 1.25);
+        y += rowH;
+        return;
+      }
+      if (item.shape === 'gradient') {
+        // jsPDF has no gradient fill, so draw the bar as thin slices
+        const slices = sampleHeatGradient(item.gradient, 24);
+        const barW = 14;
+        const sliceW = barW / slices.length;
+        slices.forEach((color, i) => {
+          doc.setFillColor(...cssColorToRgb(color));
+          doc.rect(x + i * sliceW, y - 3, sliceW + 0.05, 3.5, 'F');
+        });
+        doc.rect(x, y - 3, barW, 3.5, 'S');
+        doc.text(String(item.label), x + barW + 2, y);
+        y += lineH;
+        return;
+      }
+      doc.rect(x, y - 3, 3.5, 3.5, 'FD');
+      doc.text(String(item.label), x + 5.5, y);
+      y += lineH;
+    });
+
+    y += lineH * 0.5;
+  });
+
+  return y;
+}
+
+function writePdfAttributions(doc, x, y, width) {
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(7);
+  doc.setTextColor(75, 85, 99);
+  const text = `Sources: ${getMapAttributions().join(' | ')}`;
+  const lines = doc.splitTextToSize(text, width);
+  doc.text(lines, x, y);
+  return y + lines.length * 3.2;
+}
+
+// PDF: page 1 holds the map, legend column and sources; legends that do
+// not fit continue on extra pages of the same size.
+function buildExportPdf(mapCanvas, options) {
+  const doc = createExportPdf(options.paper, options.orientation);
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const margin = 10;
+  const legendW = options.orientation === 'portrait' ? 0 : 60;
+  const headerH = 18;
+  const footerH = 16;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.setTextColor(17, 24, 39);
+  doc.text(options.title, margin, margin + 6);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(75, 85, 99);
+  doc.text(formatExportDate(new Date()), margin, margin + 12);
+
+  const boxW = pageW - margin * 2 - (legendW ? legendW + margin : 0);
+  const boxH =
+    pageH - margin * 2 - headerH - footerH - (legendW ? 0 : pageH * 0.25);
+  const ratio = Math.min(boxW / mapCanvas.width, boxH / mapCanvas.height);
+  const imgW = mapCanvas.width * ratio;
+  const imgH = mapCanvas.height * ratio;
+  const imgY = margin + headerH;
+
+  doc.addImage(
+    mapCanvas.toDataURL('image/png'),
+    'PNG',
+    margin,
+    imgY,
+    imgW,
+    imgH
+  );
+  doc.setDrawColor(156, 163, 175);
+  doc.rect(margin, imgY, imgW, imgH);
+
+  writePdfAttributions(doc, margin, pageH - margin - footerH + 6, pageW - margin * 2);
+
+  if (legendW) {
+    writePdfLegend(
+      doc,
+      margin * 2 + imgW,
+      imgY + 4,
+      pageH - margin - footerH,
+      margin + 6
+    );
+  } else {
+    writePdfLegend(
+      doc,
+      margin,
+      imgY + imgH + 8,
+      pageH - margin - footerH,
+      margin + 6
+    );
+  }
+
+  return doc;
+}
+
+function exportMap(options) {
+  return captureMapCanvas().then((mapCanvas) => {
+    const baseName = exportFileBaseName(options.title);
+
+    if (options.format === 'pdf') {
+      const doc = buildExportPdf(mapCanvas, options);
+      doc.save(`${baseName}.pdf`);
+    } else {
+      const canvas = buildExportPngCanvas(mapCanvas, options);
+      downloadCanvasAsPng(canvas, `${baseName}.png`);
+    }
+  });
+}
+
+/**********************
+ * LAYER DATA EXPORT (GeoJSON / CSV / KML / SHAPEFILE)
+ **********************/
+
+const DATA_EXPORT_CRS = {
+  wgs84: {
+    label: 'WGS84 (EPSG:4326)',
+    def: 'EPSG:4326',
+    urn: 'urn:ogc:def:crs:OGC:1.3:CRS84',
+    xField: 'Longitude',
+    yField: 'Latitude',
+    prj:
+      'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]',
   },
-  // Trinidad TCPD Policy
-  {
-    id: 'trinidad_tcpd_policy',
-    name: 'Trinidad TCPD Policy',
-    url: 'https://raw.githubusercontent.com/Noise-unit/GeojsonLayers/refs/heads/main/Trinidad%20TCPD%20Policy.geojson',
-    type: 'policy',
-    labelField: 'Class_Name',
+  epsg32620: {
+    label: 'UTM zone 20N (EPSG:32620)',
+    def: EPSG32620,
+    urn: 'urn:ogc:def:crs:EPSG::32620',
+    xField: 'Easting',
+    yField: 'Northing',
+    prj:
+      'PROJCS["WGS_1984_UTM_Zone_20N",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",0.0],PARAMETER["Central_Meridian",-63.0],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]',
   },
-  // Trinidad Watersheds
-  {
-    id: 'trinidad_watersheds',
-    name: 'Trinidad Watershed',
-    url: 'https://raw.githubusercontent.com/Noise-unit/GeojsonLayers/refs/heads/main/Trinidad%20Watersheds.geojson',
-    type: 'watershed',
-    labelField: 'Name',
+};
+
+let dataExportTarget = null;
+
+// { id, name } for the export modal; `id` uses the same scheme as the
+// attribute table ('sheet', upload id, 'overlay:<cfg id>')
+function dataExportTargetName(targetId) {
+  if (targetId === 'sheet') return 'Complaint points';
+  if (targetId.startsWith('overlay:')) {
+    const cfg = GEOJSON_LAYERS_CONFIG.find(
+      (c) => c.id === targetId.slice('overlay:'.length)
+    );
+    return cfg ? cfg.name : targetId;
+  }
+  const info = uploadedLayers.find((l) => l.id === targetId);
+  return info ? info.name : targetId;
+}
+
+// Whether a filter currently hides some of the target's features
+function dataExportHasFilter(targetId) {
+  if (targetId === 'sheet') {
+    return getVisibleSheetPoints().length !== sheetPoints.length;
+  }
+  const info = uploadedLayers.find((l) => l.id === targetId);
+  return (
+    !!info &&
+    info.type !== 'drawing' &&
+    isQueryFilterActive(targetId) &&
+    attributeFilters[targetId].mode === 'isolate'
+  );
+}
+
+// WGS84 features for a target; `shownOnly` drops filtered-out features
+function dataExportFeatures(targetId, shownOnly) {
+  if (targetId === 'sheet') {
+    const points = shownOnly ? getVisibleSheetPoints() : sheetPoints;
+    return points.map((p) => ({
+      type: 'Feature',
+      properties: sheetPointProperties(p),
+      geometry: { type: 'Point', coordinates: [p.lng, p.lat] },
+    }));
+  }
+
+  if (targetId.startsWith('overlay:')) {
+    const data = overlayData[targetId.slice('overlay:'.length)];
+    return (data && data.features) || [];
+  }
+
+  const info = uploadedLayers.find((l) => l.id === targetId);
+  if (!info) return [];
+
+  if (info.type === 'drawing') {
+    const feature = info.layer.toGeoJSON();
+    const measurement = measureDrawnLayer(info.layer);
+    feature.properties = {
+      name: drawingDisplayName(info),
+      type: DRAW_TYPE_LABELS[info.drawType] || info.drawType,
+      measurement: measurement ? shortMeasurement(measurement) : '',
+    };
+    // GeoJSON has no circles: toGeoJSON() gives just the centre point
+    if (info.drawType === 'circle') {
+      const radius = info.layer.getRadius();
+      feature.geometry = turf.circle(feature.geometry.coordinates, radius / 1000, {
+        steps: 64,
+        units: 'kilometers',
+      }).geometry;
+      feature.properties.radius_m = Math.round(radius * 100) / 100;
+    }
+    return [feature];
+  }
+
+  return uploadedFeatureLayers(info)
+    .filter(
+      ({ layer: lyr, parent }) =>
+        !shownOnly || (parent || info.layer).hasLayer(lyr)
+    )
+    .map(({ layer: lyr }) => lyr.toGeoJSON());
+}
+
+function geometryToWkt(geometry) {
+  if (!geometry) return '';
+
+  const pt = (c) => `${c[0]} ${c[1]}`;
+  const line = (coords) => `(${coords.map(pt).join(', ')})`;
+  const poly = (rings) => `(${rings.map(line).join(', ')})`;
+
+  switch (geometry.type) {
+    case 'Point':
+      return `POINT (${pt(geometry.coordinates)})`;
+    case 'MultiPoint':
+      return `MULTIPOINT (${geometry.coordinates.map((c) => `(${pt(c)})`).join(', ')})`;
+    case 'LineString':
+      return `LINESTRING ${line(geometry.coordinates)}`;
+    case 'MultiLineString':
+      return `MULTILINESTRING (${geometry.coordinates.map(line).join(', ')})`;
+    case 'Polygon':
+      return `POLYGON ${poly(geometry.coordinates)}`;
+    case 'MultiPolygon':
+      return `MULTIPOLYGON (${geometry.coordinates.map(poly).join(', ')})`;
+    case 'GeometryCollection':
+      return `GEOMETRYCOLLECTION (${geometry.geometries
+        .map(geometryToWkt)
+        .join(', ')})`;
+    default:
+      return '';
+  }
+}
+
+function roundExportCoords(geometry, decimals) {
+  const factor = 10 ** decimals;
+  const walk = (coords) =>
+    typeof coords[0] === 'number'
+      ? coords.map((v) => Math.round(v * factor) / factor)
+      : coords.map(walk);
+
+  if (!geometry) return geometry;
+  if (geometry.type === 'GeometryCollection') {
+    return {
+      ...geometry,
+      geometries: geometry.geometries.map((g) => roundExportCoords(g, decimals)),
+    };
+  }
+  return { ...geometry, coordinates: walk(geometry.coordinates) };
+}
+
+function buildExportCollection(features, crsKey) {
+  const crs = DATA_EXPORT_CRS[crsKey];
+  const projected = crsKey === 'epsg32620';
+
+  const fc = {
+    type: 'FeatureCollection',
+    features: features.map((f) => ({
+      type: 'Feature',
+      properties: { ...(f.properties || {}) },
+      geometry: roundExportCoords(
+        projected
+          ? reprojectGeoJSON(f.geometry, 'EPSG:4326', crs.def)
+          : f.geometry,
+        projected ? 2 : 7
+      ),
+    })),
+  };
+
+  if (projected) {
+    fc.crs = { type: 'name', properties: { name: crs.urn } };
+  }
+  return fc;
+}
+
+function featureCollectionToCsv(fc, crsKey) {
+  const crs = DATA_EXPORT_CRS[crsKey];
+  const allPoints = fc.features.every(
+    (f) => f.geometry && f.geometry.type === 'Point'
+  );
+
+  const rows = fc.features.map((f) => {
+    const row = { ...f.properties };
+    if (allPoints) {
+      row[crs.xField] = f.geometry.coordinates[0];
+      row[crs.yField] = f.geometry.coordinates[1];
+    } else {
+      row.WKT = geometryToWkt(f.geometry);
+    }
+    return row;
+  });
+
+  return Papa.unparse(rows);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function geometryToKml(geometry) {
+  if (!geometry) return '';
+
+  const coords = (list) => list.map((c) => `${c[0]},${c[1]}`).join(' ');
+  const polygon = (rings) =>
+    '<Polygon>' +
+    rings
+      .map(
+        (ring, idx) =>
+          `<${idx ? 'innerBoundaryIs' : 'outerBoundaryIs'}><LinearRing><coordinates>${coords(
+            ring
+          )}</coordinates></LinearRing></${idx ? 'innerBoundaryIs' : 'outerBoundaryIs'}>`
+      )
+      .join('') +
+    '</Polygon>';
+  const multi = (parts) => `<MultiGeometry>${parts.join('')}</MultiGeometry>`;
+
+  switch (geometry.type) {
+    case 'Point':
+      return `<Point><coordinates>${coords([geometry.coordinates])}</coordinates></Point>`;
+    case 'MultiPoint':
+      return multi(
+        geometry.coordinates.map(
+          (c) => `<Point><coordinates>${coords([c])}</coordinates></Point>`
+        )
+      );
+    case 'LineString':
+      return `<LineString><coordinates>${coords(geometry.coordinates)}</coordinates></LineString>`;
+    case 'MultiLineString':
+      return multi(
+        geometry.coordinates.map(
+          (l) => `<LineString><coordinates>${coords(l)}</coordinates></LineString>`
+        )
+      );
+    case 'Polygon':
+      return polygon(geometry.coordinates);
+    case 'MultiPolygon':
+      return multi(geometry.coordinates.map(polygon));
+    case 'GeometryCollection':
+      return multi(geometry.geometries.map(geometryToKml));
+    default:
+      return '';
+  }
+}
+
+// KML is always WGS84 longitude/latitude
+function featureCollectionToKml(fc, layerName) {
+  const labelField = guessLabelProperty(fc.features);
+
+  const placemarks = fc.features.map((f, idx) => {
+    const props = f.properties || {};
+    const name =
+      labelField && props[labelField] !== undefined
+        ? props[labelField]
+        : `${layerName} ${idx + 1}`;
+    const data = Object.entries(props)
+      .map(
+        ([k, v]) =>
+          `<Data name="${escapeXml(k)}"><value>${escapeXml(
+            v === null || v === undefined ? '' : v
+          )}</value></Data>`
+      )
+      .join('');
+
+    return (
+      `<Placemark><name>${escapeXml(name)}</name>` +
+      (data ? `<ExtendedData>${data}</ExtendedData>` : '') +
+      `${geometryToKml(f.geometry)}</Placemark>`
+    );
+  });
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+    `<name>${escapeXml(layerName)}</name>\n` +
+    placemarks.join('\n') +
+    '\n</Document></kml>\n'
+  );
+}
+
+// shp-write writes one file set per shape type, and names Polygon and
+// MultiPolygon (and LineString / MultiLineString) sets alike, so each
+// geometry type is written on its own under a distinct name
+const SHAPEFILE_GROUPS = [
+  { types: ['Point'], key: 'point', suffix: 'points' },
+  { types: ['LineString'], key: 'polyline', suffix: 'lines' },
+  { types: ['MultiLineString'], key: 'polyline', suffix: 'multilines' },
+  { types: ['Polygon'], key: 'polygon', suffix: 'polygons' },
+  { types: ['MultiPolygon'], key: 'polygon', suffix: 'multipolygons' },
+];
+
+// Features shp-write can write: no null geometries, multipoints and
+// geometry collections split into their parts
+function shapefileFeatures(features) {
+  const out = [];
+  const add = (properties, geometry) => {
+    if (!geometry) return;
+    if (geometry.type === 'MultiPoint') {
+      geometry.coordinates.forEach((c) =>
+        out.push({ type: 'Feature', properties, geometry: { type: 'Point', coordinates: c } })
+      );
+    } else if (geometry.type === 'GeometryCollection') {
+      geometry.geometries.forEach((g) => add(properties, g));
+    } else {
+      out.push({ type: 'Feature', properties, geometry });
+    }
+  };
+  features.forEach((f) => add(f.properties || {}, f.geometry));
+  return out;
+}
+
+async function buildShapefileZip(fc, base, prj) {
+  if (typeof shpwrite === 'undefined' || typeof JSZip === 'undefined') {
+    throw new Error('Shapefile export requires shp-write and JSZip.');
+  }
+
+  const features = shapefileFeatures(fc.features);
+  const zip = new JSZip();
+  const folder = zip.folder(base);
+  let written = 0;
+
+  for (const group of SHAPEFILE_GROUPS) {
+    const groupFeatures = features.filter((f) =>
+      group.types.includes(f.geometry.type)
+    );
+    if (!groupFeatures.length) continue;
+
+    const part = await shpwrite.zip(
+      { type: 'FeatureCollection', features: groupFeatures },
+      {
+        outputType: 'arraybuffer',
+        prj,
+        types: { [group.key]: `${base}_${group.suffix}` },
+      }
+    );
+    const partZip = await JSZip.loadAsync(part);
+    const files = Object.values(partZip.files).filter((f) => !f.dir);
+    for (const file of files) {
+      folder.file(file.name.split('/').pop(), await file.async('arraybuffer'));
+    }
+    written += groupFeatures.length;
+  }
+
+  if (!written) {
+    throw new Error('The layer has no geometries a shapefile can hold.');
+  }
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href = url;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportLayerData(targetId, options) {
+  const { format, crsKey, shownOnly } = options;
+  const name = dataExportTargetName(targetId);
+  const features = dataExportFeatures(targetId, shownOnly);
+
+  if (targetId.startsWith('overlay:') && !features.length) {
+    throw new Error('This layer has not finished loading yet.');
+  }
+  if (!features.length) {
+    throw new Error('The layer has no features to export.');
+  }
+
+  const base = exportFileBaseName(name);
+  const suffix = crsKey === 'epsg32620' ? '-32620' : '';
+
+  if (format === 'kml') {
+    const fc = buildExportCollection(features, 'wgs84');
+    downloadBlob(
+      new Blob([featureCollectionToKml(fc, name)], {
+        type: 'application/vnd.google-earth.kml+xml',
+      }),
+      `${base}.kml`
+    );
+    return;
+  }
+
+  const fc = buildExportCollection(features, crsKey);
+
+  if (format === 'csv') {
+    downloadBlob(
+      new Blob([featureCollectionToCsv(fc, crsKey)], { type: 'text/csv' }),
+      `${base}${suffix}.csv`
+    );
+  } else if (format === 'shp') {
+    const zipped = await buildShapefileZip(fc, base, DATA_EXPORT_CRS[crsKey].prj);
+    downloadBlob(zipped, `${base}${suffix}.zip`);
+  } else {
+    downloadBlob(
+      new Blob([JSON.stringify(fc)], { type: 'application/geo+json' }),
+      `${base}${suffix}.geojson`
+    );
+  }
+}
+
+function updateDataExportOptions() {
+  const formatSel = document.getElementById('data-export-format');
+  const crsSel = document.getElementById('data-export-crs');
+  if (!formatSel || !crsSel) return;
+
+  // KML coordinates are always longitude/latitude
+  const isKml = formatSel.value === 'kml';
+  crsSel.disabled = isKml;
+  if (isKml) crsSel.value = 'wgs84';
+}
+
+function openDataExportModal(targetId) {
+  const modalEl = document.getElementById('data-export-modal');
+  if (!modalEl) return;
+
+  dataExportTarget = targetId;
+
+  const nameEl = document.getElementById('data-export-layer');
+  if (nameEl) nameEl.textContent = dataExportTargetName(targetId);
+
+  const filteredField = document.getElementById('data-export-filtered-field');
+  const filteredCheckbox = document.getElementById('data-export-filtered');
+  const hasFilter = dataExportHasFilter(targetId);
+  if (filteredField) filteredField.style.display = hasFilter ? '' : 'none';
+  if (filteredCheckbox) filteredCheckbox.checked = hasFilter;
+
+  updateDataExportOptions();
+  modalEl.classList.remove('hidden');
+}
+
+function closeDataExportModal() {
+  document.getElementById('data-export-modal')?.classList.add('hidden');
+  dataExportTarget = null;
+}
+
+function createLayerExportButton(targetId) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'upload-layer-remove-btn layer-export-btn';
+  btn.textContent = 'Export';
+  btn.title = 'Download this layer as GeoJSON, CSV, KML or shapefile';
+  btn.addEventListener('click', () => openDataExportModal(targetId));
+  return btn;
+}
+
+function initDataExport() {
+  const modalEl = document.getElementById('data-export-modal');
+  if (!modalEl) return;
+
+  const formatSel = document.getElementById('data-export-format');
+  const applyBtn = document.getElementById('data-export-apply');
+
+  document
+    .getElementById('data-export-close')
+    ?.addEventListener('click', () => closeDataExportModal());
+  document
+    .getElementById('data-export-cancel')
+    ?.addEventListener('click', () => closeDataExportModal());
+  document
+    .getElementById('sheet-export-btn')
+    ?.addEventListener('click', () => {
+      if (!sheetPoints.length) {
+        alert('Complaint points have not loaded yet.');
+        return;
+      }
+      openDataExportModal('sheet');
+    });
+
+  if (formatSel) {
+    formatSel.addEventListener('change', () => updateDataExportOptions());
+  }
+
+  if (applyBtn) {
+    applyBtn.addEventListener('click', () => {
+      if (!dataExportTarget) return;
+
+      const options = {
+        format: formatSel?.value || 'geojson',
+        crsKey: document.getElementById('data-export-crs')?.value || 'wgs84',
+        shownOnly: !!document.getElementById('data-export-filtered')?.checked,
+      };
+
+      applyBtn.disabled = true;
+      exportLayerData(dataExportTarget, options)
+        .then(() => closeDataExportModal())
+        .catch((err) => {
+          console.error('Error exporting layer:', err);
+          alert(err.message || 'Could not export the layer.');
+        })
+        .finally(() => {
+          applyBtn.disabled = false;
+        });
+    });
+  }
+
+  modalEl.addEventListener('click', (e) => {
+    if (e.target === modalEl) closeDataExportModal();
+  });
+}
+
+/**********************
+ * DRAWING, MEASURING & ANNOTATION
+ **********************/
+
+const DRAW_DEFAULT_COLOR = '#f97316';
+
+const DRAW_TYPE_LABELS = {
+  marker: 'Point',
+  polyline: 'Line',
+  polygon: 'Polygon',
+  circle: 'Circle',
+};
+
+let drawnItems = null;
+let drawLayerCounter = 0;
+let drawReadoutEl = null;
+
+const drawSession = {
+  type: null,
+  vertices: [],
+  circleCenter: null,
+};
+
+function formatDrawLength(metres) {
+  if (!Number.isFinite(metres)) return '–';
+  if (metres >= 1000) return `${(metres / 1000).toFixed(2)} km`;
+  return `${Math.round(metres)} m`;
+}
+
+function formatDrawArea(squareMetres) {
+  if (!Number.isFinite(squareMetres)) return '–';
+  const hectares = squareMetres / 10000;
+  return `${hectares.toFixed(hectares >= 10 ? 1 : 2)} ha (${Math.round(
+    squareMetres
+  ).toLocaleString()} m²)`;
+}
+
+function pathLengthMetres(latlngs) {
+  let total = 0;
+  for (let i = 1; i < latlngs.length; i++) {
+    total += latlngs[i - 1].distanceTo(latlngs[i]);
+  }
+  return total;
+}
+
+function ringAreaSquareMetres(latlngs) {
+  if (!latlngs || latlngs.length < 3) return 0;
+  const ring = latlngs.map((ll) => [ll.lng, ll.lat]);
+  ring.push(ring[0]);
+  return turf.area(turf.polygon([ring]));
+}
+
+// Measurement summary for a finished drawn layer
+function measureDrawnLayer(layer) {
+  const type = layer._drawType;
+
+  if (type === 'circle') {
+    const r = layer.getRadius();
+    return {
+      radius: r,
+      area: Math.PI * r * r,
+      perimeter: 2 * Math.PI * r,
+    };
+  }
+
+  if (type === 'polygon') {
+    const ring = layer.getLatLngs()[0] || [];
+    return {
+      area: ringAreaSquareMetres(ring),
+      perimeter: pathLengthMetres(ring.concat(ring.slice(0, 1))),
+    };
+  }
+
+  if (type === 'polyline') {
+    return { length: pathLengthMetres(layer.getLatLngs()) };
+  }
+
+  return {};
+}
+
+function describeMeasurement(m) {
+  const parts = [];
+  if (m.length !== undefined) parts.push(`Length: ${formatDrawLength(m.length)}`);
+  if (m.radius !== undefined) parts.push(`Radius: ${formatDrawLength(m.radius)}`);
+  if (m.area !== undefined) parts.push(`Area: ${formatDrawArea(m.area)}`);
+  if (m.perimeter !== undefined) {
+    parts.push(`Perimeter: ${formatDrawLength(m.perimeter)}`);
+  }
+  return parts;
+}
+
+function shortMeasurement(m) {
+  if (m.area !== undefined) return `${(m.area / 10000).toFixed(2)} ha`;
+  if (m.length !== undefined) return formatDrawLength(m.length);
+  return '';
+}
+
+const DrawReadoutControl = L.Control.extend({
+  options: { position: 'topleft' },
+  onAdd: function () {
+    const container = L.DomUtil.create('div', 'leaflet-control draw-readout');
+    container.style.display = 'none';
+    L.DomEvent.disableClickPropagation(container);
+    drawReadoutEl = container;
+    return container;
   },
-  // Trinidad Hospitals
+});
+
+function updateDrawReadout(cursorLatLng) {
+  if (!drawReadoutEl || !drawSession.type) return;
+
+  const pts = drawSession.vertices.slice();
+  if (cursorLatLng) pts.push(cursorLatLng);
+
+  let lines = [];
+
+  if (drawSession.type === 'polyline') {
+    lines = [`Length: ${formatDrawLength(pathLengthMetres(pts))}`];
+  } else if (drawSession.type === 'polygon') {
+    lines = [
+      `Perimeter: ${formatDrawLength(
+        pathLengthMetres(pts.length > 2 ? pts.concat(pts.slice(0, 1)) : pts)
+      )}`,
+      `Area: ${formatDrawArea(ringAreaSquareMetres(pts))}`,
+    ];
+  } else if (drawSession.type === 'circle') {
+    if (drawSession.circleCenter && cursorLatLng) {
+      const r = drawSession.circleCenter.distanceTo(cursorLatLng);
+      lines = [
+        `Radius: ${formatDrawLength(r)}`,
+        `Area: ${formatDrawArea(Math.PI * r * r)}`,
+      ];
+    } else {
+      lines = ['Click and drag to set the radius'];
+    }
+  }
+
+  if (!lines.length) {
+    drawReadoutEl.style.display = 'none';
+    return;
+  }
+
+  drawReadoutEl.innerHTML = lines.map((l) => `<div>${l}</div>`).join('');
+  drawReadoutEl.style.display = 'block';
+}
+
+function resetDrawSession() {
+  drawSession.type = null;
+  drawSession.vertices = [];
+  drawSession.circleCenter = null;
+  if (drawReadoutEl) drawReadoutEl.style.display = 'none';
+}
+
+function applyDrawnLayerStyle(info) {
+  const layer = info.layer;
+  const style = info.drawStyle;
+
+  if (typeof layer.setStyle === 'function') {
+    layer.setStyle({
+      color: style.color,
+      fillColor: style.color,
+      dashArray: style.dashed ? '6 6' : null,
+    });
+  }
+
+  if (layer.getTooltip()) layer.unbindTooltip();
+  if (style.label) {
+    layer.bindTooltip(style.label, {
+      permanent: true,
+      direction: info.drawType === 'marker' ? 'top' : 'center',
+      className: 'sheet-point-label',
+    });
+  }
+}
+
+function drawingDisplayName(info) {
+  const base = info.drawStyle.label || info.defaultName;
+  const summary = shortMeasurement(measureDrawnLayer(info.layer));
+  return summary ? `${base} · ${summary}` : base;
+}
+
+function buildDrawnLayerPopup(info) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'draw-popup';
+
+  const title = document.createElement('strong');
+  title.textContent = info.drawStyle.label || info.defaultName;
+  wrapper.appendChild(title);
+
+  describeMeasurement(measureDrawnLayer(info.layer)).forEach((text) => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    wrapper.appendChild(line);
+  });
+
+  const labelInput = document.createElement('input');
+  labelInput.type = 'text';
+  labelInput.placeholder = 'Label';
+  labelInput.value = info.drawStyle.label || '';
+  wrapper.appendChild(labelInput);
+
+  let colorInput = null;
+  let dashedInput = null;
+
+  if (info.drawType !== 'marker') {
+    const styleRow = document.createElement('div');
+    styleRow.className = 'draw-popup-style-row';
+
+    colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = info.drawStyle.color;
+
+    const dashedLabel = document.createElement('label');
+    dashedInput = document.createElement('input');
+    dashedInput.type = 'checkbox';
+    dashedInput.checked = !!info.drawStyle.dashed;
+    dashedLabel.appendChild(dashedInput);
+    dashedLabel.appendChild(document.createTextNode(' Dashed'));
+
+    styleRow.appendChild(colorInput);
+    styleRow.appendChild(dashedLabel);
+    wrapper.appendChild(styleRow);
+  }
+
+  const applyBtn = document.createElement('button');
+  applyBtn.type = 'button';
+  applyBtn.className = 'upload-layer-remove-btn';
+  applyBtn.textContent = 'Apply';
+  applyBtn.addEventListener('click', () => {
+    info.drawStyle.label = labelInput.value.trim();
+    if (colorInput) info.drawStyle.color = colorInput.value;
+    if (dashedInput) info.drawStyle.dashed = dashedInput.checked;
+
+    applyDrawnLayerStyle(info);
+    info.name = drawingDisplayName(info);
+    refreshUploadedLayersUI();
+    info.layer.closePopup();
+  });
+  wrapper.appendChild(applyBtn);
+
+  return wrapper;
+}
+
+function registerDrawnLayer(layer, drawType) {
+  const n = ++drawLayerCounter;
+  const id = `drawing_${n}`;
+
+  layer._drawType = drawType;
+  layer.options.pane = ensureUploadPane(id);
+  drawnItems.addLayer(layer);
+
+  const info = {
+    id,
+    name: '',
+    defaultName: `${DRAW_TYPE_LABELS[drawType] || 'Shape'} ${n}`,
+    layer,
+    type: 'drawing',
+    drawType,
+    drawStyle: {
+      label: '',
+      color: DRAW_DEFAULT_COLOR,
+      dashed: false,
+    },
+  };
+
+  applyDrawnLayerStyle(info);
+  info.name = drawingDisplayName(info);
+  info.visible = true;
+  info.opacity = 1;
+  layer.bindPopup(() => buildDrawnLayerPopup(info));
+
+  uploadedLayers.push(info);
+  syncUploadPaneOrder();
+  refreshUploadedLayersUI();
+  return info;
+}
+
+function initDrawTools() {
+  if (!L.Control.Draw) {
+    console.warn('leaflet-draw plugin not available; drawing disabled.');
+    return;
+  }
+
+  drawnItems = new L.FeatureGroup().addTo(map);
+
+  const shapeOptions = {
+    color: DRAW_DEFAULT_COLOR,
+    weight: 3,
+    fillOpacity: 0.2,
+  };
+
+  map.addControl(
+    new L.Control.Draw({
+      position: 'topleft',
+      draw: {
+        polyline: { metric: true, showLength: true, shapeOptions },
+        polygon: {
+          allowIntersection: false,
+          showArea: false,
+          metric: true,
+          shapeOptions,
+        },
+        circle: { metric: true, showRadius: true, shapeOptions },
+        marker: true,
+        rectangle: false,
+        circlemarker: false,
+      },
+      edit: {
+        featureGroup: drawnItems,
+      },
+    })
+  );
+
+  map.addControl(new DrawReadoutControl());
+
+  map.on(L.Draw.Event.DRAWSTART, (e) => {
+    resetDrawSession();
+    drawSession.type = e.layerType;
+    updateDrawReadout(null);
+  });
+
+  map.on(L.Draw.Event.DRAWVERTEX, (e) => {
+    drawSession.vertices = e.layers.getLayers().map((m) => m.getLatLng());
+    updateDrawReadout(null);
+  });
+
+  map.on('mousedown', (e) => {
+    if (drawSession.type === 'circle') {
+      drawSession.circleCenter = e.latlng;
+    }
+  });
+
+  map.on('mousemove', (e) => {
+    if (drawSession.type) updateDrawReadout(e.latlng);
+  });
+
+  map.on(L.Draw.Event.DRAWSTOP, () => resetDrawSession());
+
+  map.on(L.Draw.Event.CREATED, (e) => {
+    registerDrawnLayer(e.layer, e.layerType);
+  });
+
+  map.on(L.Draw.Event.EDITED, () => {
+    uploadedLayers.forEach((info) => {
+      if (info.type === 'drawing') info.name = drawingDisplayName(info);
+    });
+    refreshUploadedLayersUI();
+  });
+
+  map.on(L.Draw.Event.DELETED, (e) => {
+    e.layers.eachLayer((layer) => {
+      const idx = uploadedLayers.findIndex((l) => l.layer === layer);
+      if (idx !== -1) uploadedLayers.splice(idx, 1);
+    });
+    refreshUploadedLayersUI();
+  });
+}
+
+/**********************
+ * LOCATION ANALYSIS: COMPLIANCE CHECK
+ **********************/
+
+// Result sections, in the order officers read them
+const LOCATION_CHECK_GROUPS = [
+  { title: 'Noise Zones', match: (cfg) => cfg.id === 'noise_zones' },
   {
-    id: 'trinidad_hospitals',
-    name: 'Trinidad Hospitals',
-    url: 'https://raw.githubusercontent.com/Noise-unit/GeojsonLayers/refs/heads/main/TrinidadHospitals.geojson',
-    type: 'poi',
+    title: 'Proposed Noise Zones',
+    match: (cfg) => cfg.id === 'proposed_noise_zones',
   },
-  // Turtle Nesting Sites
+  { title: 'TCPD Policy', match: (cfg) => cfg.type === 'policy' },
+  { title: 'Watersheds', match: (cfg) => cfg.type === 'watershed' },
   {
-    id: 'turtle_nesting_sites',
-    name: 'Turtle Nesting Sites',
-    url: 'https://raw.githubusercontent.com/Noise-unit/GeojsonLayers/refs/heads/main/TurtleNestingSites.geojson',
-    type: 'poi',
-    labelField: 'layer',
+    title: 'Protected areas & buffers',
+    match: (cfg) => cfg.type === 'protected',
   },
+  { title: 'Municipality', match: (cfg) => cfg.type === 'municipality' },
 ];
 
-function getPolygonStrokeWidth(zoom) {
-  if (zoom >= 15) return 3;
-  if (zoom >= 12) return 2;
-  return 1;
+let locationCheckActive = false;
+let analysisLocation = null;
+let analysisMarker = null;
+
+function isAnalysisPickActive() {
+  return locationCheckActive || proximityActive || screeningPickPending;
 }
 
-function getRoadLineWidth(zoom) {
-  if (zoom >= 17) return 4;
-  if (zoom >= 15) return 3;
-  if (zoom >= 13) return 2;
-  return 1.5;
+function updateAnalysisCursor() {
+  map
+    .getContainer()
+    .classList.toggle('analysis-picking', isAnalysisPickActive());
+}
+
+function setAnalysisMarker(latlng, label) {
+  if (analysisMarker) {
+    map.removeLayer(analysisMarker);
+  }
+
+  analysisMarker = L.circleMarker(latlng, {
+    radius: 8,
+    color: '#0ea5e9',
+    weight: 3,
+    fillColor: '#ffffff',
+    fillOpacity: 0.9,
+  }).addTo(map);
+
+  if (label) {
+    analysisMarker.bindTooltip(label, {
+      direction: 'top',
+      className: 'sheet-point-label',
+    });
+  }
+}
+
+// Entry point for every "pick a location" source: map click, sheet point
+// and geocoder result.
+function handleAnalysisPick(latlng, label) {
+  analysisLocation = {
+    latlng: L.latLng(latlng),
+    label: label || '',
+  };
+
+  setAnalysisMarker(analysisLocation.latlng, analysisLocation.label);
+
+  if (locationCheckActive) {
+    renderLocationCheck(
+      analysisLocation,
+      checkLocation(analysisLocation.latlng)
+    );
+  }
+
+  if (proximityActive) {
+    runProximityAnalysis(analysisLocation);
+  }
+
+  if (screeningPickPending) {
+    setScreeningPickPending(false);
+    generateScreeningReport(analysisLocation);
+  }
+}
+
+// Lets a point marker (sheet or uploaded) act as the analysis location
+function bindAnalysisPick(marker, label) {
+  marker.on('click', (e) => {
+    if (!isAnalysisPickActive()) return;
+    L.DomEvent.stopPropagation(e);
+    marker.closePopup();
+    handleAnalysisPick(marker.getLatLng(), label);
+  });
+}
+
+function isPolygonalFeature(feature) {
+  const t = feature && feature.geometry && feature.geometry.type;
+  return t === 'Polygon' || t === 'MultiPolygon';
+}
+
+// Point-in-polygon test against every overlay, visible or not
+function checkLocation(latlng) {
+  const pt = turf.point([latlng.lng, latlng.lat]);
+  const result = { matches: [], pending: [], failed: [] };
+  const { matches } = result;
+
+  GEOJSON_LAYERS_CONFIG.forEach((cfg) => {
+    const group = LOCATION_CHECK_GROUPS.find((g) => g.match(cfg));
+    if (!group) return;
+
+    const data = overlayData[cfg.id];
+    if (!data) {
+      noteMissingOverlay(result, cfg);
+      return;
+    }
+
+    const features = data.features || [];
+    const labelField = overlayLabelField(cfg, features);
+
+    features.forEach((feature) => {
+      if (!isPolygonalFeature(feature)) return;
+      if (!turf.booleanPointInPolygon(pt, feature)) return;
+
+      const value = labelField ? feature.properties?.[labelField] : null;
+      matches.push({
+        group: group.title,
+        layerId: cfg.id,
+        layerName: cfg.name,
+        value: value !== null && value !== undefined ? String(value) : '',
+        properties: feature.properties || {},
+      });
+    });
+  });
+
+  return result;
+}
+
+function renderLocationCheck(location, result) {
+  const panel = document.getElementById('location-check-panel');
+  const body = document.getElementById('location-check-body');
+  if (!panel || !body) return;
+
+  body.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'map-panel-subtitle';
+  const { lat, lng } = location.latlng;
+  header.textContent = `${location.label ? `${location.label} – ` : ''}${lat.toFixed(
+    5
+  )}, ${lng.toFixed(5)}`;
+  body.appendChild(header);
+
+  LOCATION_CHECK_GROUPS.forEach((group) => {
+    const section = document.createElement('div');
+    section.className = 'map-panel-section';
+
+    const title = document.createElement('div');
+    title.className = 'map-panel-section-title';
+    title.textContent = group.title;
+    section.appendChild(title);
+
+    const hits = result.matches.filter((m) => m.group === group.title);
+
+    if (!hits.length) {
+      const none = document.createElement('div');
+      none.className = 'map-panel-empty';
+      none.textContent = 'Not inside any area';
+      section.appendChild(none);
+    } else {
+      const list = document.createElement('ul');
+      list.className = 'map-panel-list';
+      hits.forEach((hit) => {
+        const li = document.createElement('li');
+        const strong = document.createElement('strong');
+        strong.textContent = hit.layerName;
+        li.appendChild(strong);
+        if (hit.value && hit.value !== hit.layerName) {
+          li.appendChild(document.createTextNode(`: ${hit.value}`));
+        }
+        list.appendChild(li);
+      });
+      section.appendChild(list);
+    }
+
+    body.appendChild(section);
+  });
+
+  appendOverlayLoadWarnings(
+    body,
+    result,
+    'Check again in a moment for a complete result.'
+  );
+
+  panel.classList.remove('hidden');
+}
+
+function closeLocationCheckPanel() {
+  const panel = document.getElementById('location-check-panel');
+  if (panel) panel.classList.add('hidden');
+}
+
+function setLocationCheckActive(active) {
+  locationCheckActive = active;
+
+  const btn = document.getElementById('location-check-btn');
+  if (btn) {
+    btn.textContent = active ? 'Check location: On' : 'Check location: Off';
+    btn.classList.toggle('active', active);
+  }
+
+  if (!active) {
+    closeLocationCheckPanel();
+  }
+
+  updateAnalysisCursor();
+}
+
+function initLocationTools() {
+  const btn = document.getElementById('location-check-btn');
+  if (btn) {
+    btn.addEventListener('click', () => {
+      setLocationCheckActive(!locationCheckActive);
+    });
+  }
+
+  const closeBtn = document.getElementById('location-check-close');
+  if (closeBtn) {
+    closeBtn.addEventListener('click', () => closeLocationCheckPanel());
+  }
+
+  map.on('click', (e) => {
+    if (!isAnalysisPickActive()) return;
+    if (drawSession.type) return;
+    handleAnalysisPick(e.latlng, '');
+  });
+}
+
+/**********************
+ * LOCATION ANALYSIS: PROXIMITY TO SENSITIVE RECEPTORS
+ **********************/
+
+const PROXIMITY_RECEPTOR_LAYER_IDS = [
+  'trinidad_hospitals',
+  'tobago_hospitals',
+  'private_medical_trinidad',
+  'turtle_nesting_sites',
+];
+
+const PROXIMITY_DEFAULT_RINGS = [250, 500, 1000];
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+let proximityActive = false;
+let proximityLayer = null;
+
+function bearingToCompass(bearing) {
+  const normalised = (bearing + 360) % 360;
+  return COMPASS_POINTS[Math.round(normalised / 45) % 8];
+}
+
+function parseRingRadii(text) {
+  const values = String(text || '')
+    .split(/[\s,;]+/)
+    .map((v) => parseFloat(v))
+    .filter((v) => Number.isFinite(v) && v > 0);
+  return values.length
+    ? Array.from(new Set(values)).sort((a, b) => a - b)
+    : PROXIMITY_DEFAULT_RINGS.slice();
+}
+
+// All rings of a (multi)polygon or the parts of a (multi)line as one
+// MultiLineString, so a single nearestPointOnLine call covers the feature.
+function featureBoundaryLines(feature) {
+  const geom = feature.geometry;
+  if (!geom) return null;
+
+  switch (geom.type) {
+    case 'LineString':
+      return turf.multiLineString([geom.coordinates]);
+    case 'MultiLineString':
+      return turf.multiLineString(geom.coordinates);
+    case 'Polygon':
+      return turf.multiLineString(geom.coordinates);
+    case 'MultiPolygon':
+      return turf.multiLineString(geom.coordinates.flat());
+    default:
+      return null;
+  }
+}
+
+// Nearest location on a feature to pt, with distance in metres
+function nearestPointOnFeature(pt, feature) {
+  const geom = feature && feature.geometry;
+  if (!geom) return null;
+
+  if (geom.type === 'Point') {
+    return {
+      coords: geom.coordinates,
+      distance: turf.distance(pt, geom.coordinates, { units: 'kilometers' }) * 1000,
+    };
+  }
+
+  if (geom.type === 'MultiPoint') {
+    let best = null;
+    geom.coordinates.forEach((c) => {
+      const d = turf.distance(pt, c, { units: 'kilometers' }) * 1000;
+      if (!best || d < best.distance) best = { coords: c, distance: d };
+    });
+    return best;
+  }
+
+  const lines = featureBoundaryLines(feature);
+  if (!lines) return null;
+
+  const snapped = turf.nearestPointOnLine(lines, pt, { units: 'kilometers' });
+  return {
+    coords: snapped.geometry.coordinates,
+    distance: snapped.properties.dist * 1000,
+  };
+}
+
+function featureDisplayName(cfg, feature, fallback) {
+  const props = feature.properties || {};
+  const labelField = overlayLabelField(cfg, [feature]);
+  const value = labelField ? props[labelField] : null;
+  return value !== null && value !== undefined && String(value).trim() !== ''
+    ? String(value)
+    : fallback;
+}
+
+function nearestInLayer(pt, cfg) {
+  const data = overlayData[cfg.id];
+  if (!data) return null;
+
+  let best = null;
+  (data.features || []).forEach((feature) => {
+    const hit = nearestPointOnFeature(pt, feature);
+    if (hit && (!best || hit.distance < best.distance)) {
+      best = { ...hit, feature };
+    }
+  });
+
+  if (!best) return null;
+
+  const bearing = turf.bearing(pt, best.coords);
+  return {
+    layerId: cfg.id,
+    layerName: cfg.name,
+    name: featureDisplayName(cfg, best.feature, cfg.name),
+    distance: best.distance,
+    bearing: (bearing + 360) % 360,
+    compass: bearingToCompass(bearing),
+    latlng: L.latLng(best.coords[1], best.coords[0]),
+    inside:
+      isPolygonalFeature(best.feature) &&
+      turf.booleanPointInPolygon(pt, best.feature),
+  };
+}
+
+// Nearest hospitals, medical facilities, turtle nesting sites and the
+// nearest protected-area boundary.
+function computeProximity(latlng) {
+  const pt = turf.point([latlng.lng, latlng.lat]);
+  const receptors = [];
+  const missing = { pending: [], failed: [] };
+
+  PROXIMITY_RECEPTOR_LAYER_IDS.forEach((id) => {
+    const cfg = GEOJSON_LAYERS_CONFIG.find((c) => c.id === id);
+    if (!cfg) return;
+    if (!overlayData[id]) {
+      noteMissingOverlay(missing, cfg);
+      return;
+    }
+    const nearest = nearestInLayer(pt, cfg);
+    if (nearest) receptors.push(nearest);
+  });
+
+  let protectedBoundary = null;
+  GEOJSON_LAYERS_CONFIG.filter((cfg) => cfg.type === 'protected').forEach(
+    (cfg) => {
+      if (!overlayData[cfg.id]) {
+        noteMissingOverlay(missing, cfg);
+        return;
+      }
+      const nearest = nearestInLayer(pt, cfg);
+      if (
+        nearest &&
+        (!protectedBoundary || nearest.distance < protectedBoundary.distance)
+      ) {
+        protectedBoundary = nearest;
+      }
+    }
+  );
+
+  return { receptors, protectedBoundary, ...missing };
+}
+
+function drawProximityOverlay(latlng, result, radii) {
+  if (!proximityLayer) {
+    proximityLayer = L.layerGroup().addTo(map);
+  }
+  proximityLayer.clearLayers();
+
+  radii.forEach((r) => {
+    L.circle(latlng, {
+      radius: r,
+      color: '#0ea5e9',
+      weight: 1.5,
+      dashArray: '6 4',
+      fill: false,
+      interactive: false,
+    })
+      .bindTooltip(formatDrawLength(r), {
+        permanent: true,
+        direction: 'right',
+        className: 'sheet-point-label',
+        offset: [0, 0],
+      })
+      .addTo(proximityLayer);
+  });
+
+  const targets = result.receptors.slice();
+  if (result.protectedBoundary) targets.push(result.protectedBoundary);
+
+  targets.forEach((t) => {
+    L.polyline([latlng, t.latlng], {
+      color: '#f97316',
+      weight: 1.5,
+      dashArray: '2 4',
+      interactive: false,
+    }).addTo(proximityLayer);
+    L.circleMarker(t.latlng, {
+      radius: 4,
+      color: '#f97316',
+      weight: 2,
+      fillColor: '#ffffff',
+      fillOpacity: 1,
+    })
+      .bindTooltip(`${t.name} (${formatDrawLength(t.distance)})`, {
+        direction: 'top',
+        className: 'sheet-point-label',
+      })
+      .addTo(proximityLayer);
+  });
+
+  updateProximityLegend(radii);
+}
+
+function updateProximityLegend(radii) {
+  if (!proximityActive || !radii) {
+    setLegendGroup('proximity', null);
+    return;
+  }
+  setLegendGroup('proximity', {
+    title: 'Proximity analysis',
+    items: [
+      {
+        label: `Buffer rings: ${radii.map(formatDrawLength).join(' / ')}`,
+        color: '#0ea5e9',
+      },
+      { label: 'Nearest receptor', color: '#f97316' },
+    ],
+  });
+}
+
+function describeProximityTarget(t) {
+  return `${formatDrawLength(t.distance)} ${t.compass} (${Math.round(
+    t.bearing
+  )}°)`;
 }
 
-function buildCategoryColorMap(values) {
-  const unique = Array.from(new Set(values)).filter(
-    (v) =>
-      v !== undefined && v !== null && String(v).trim() !== ''
-  );
-  const count = unique.length || 1;
-  const mapColors = {};
+function renderProximity(location, result) {
+  const panel = document.getElementById('proximity-panel');
+  const body = document.getElementById('proximity-body');
+  if (!panel || !body) return;
+
+  body.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'map-panel-subtitle';
+  const { lat, lng } = location.latlng;
+  header.textContent = `${location.label ? `${location.label} – ` : ''}${lat.toFixed(
+    5
+  )}, ${lng.toFixed(5)}`;
+  body.appendChild(header);
+
+  const section = document.createElement('div');
+  section.className = 'map-panel-section';
+  const title = document.createElement('div');
+  title.className = 'map-panel-section-title';
+  title.textContent = 'Nearest sensitive receptors';
+  section.appendChild(title);
+
+  const table = document.createElement('table');
+  table.className = 'map-panel-table';
+  table.innerHTML =
+    '<thead><tr><th>Layer</th><th>Nearest</th><th>Distance / bearing</th></tr></thead>';
+  const tbody = document.createElement('tbody');
+
+  const rows = result.receptors.slice();
+  if (result.protectedBoundary) {
+    rows.push({
+      ...result.protectedBoundary,
+      layerName: 'Protected area boundary',
+      name: `${result.protectedBoundary.layerName}${
+        result.protectedBoundary.inside ? ' (inside)' : ''
+      }`,
+    });
+  }
 
-  unique.forEach((val, idx) => {
-    const hue = (idx * 360) / count;
-    const saturation = 55;
-    const lightness = 78;
-    mapColors[val] = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+  rows.forEach((t) => {
+    const tr = document.createElement('tr');
+    [t.layerName, t.name, describeProximityTarget(t)].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
   });
 
-  return mapColors;
+  if (!rows.length) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = 3;
+    td.className = 'map-panel-empty';
+    td.textContent = 'No receptor data loaded yet';
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  }
+
+  table.appendChild(tbody);
+  section.appendChild(table);
+  body.appendChild(section);
+
+  appendOverlayLoadWarnings(
+    body,
+    result,
+    'Run the analysis again in a moment for a complete result.'
+  );
+
+  panel.classList.remove('hidden');
 }
 
-const polygonLayers = [];
-let roadsLayer = null;
-let roadsData = null;
-let roadsVisible = false;
+function runProximityAnalysis(location) {
+  const ringsInput = document.getElementById('proximity-rings');
+  const radii = parseRingRadii(ringsInput ? ringsInput.value : '');
+  const result = computeProximity(location.latlng);
 
-function createLayerToggleRow(
-  layerId,
-  labelText,
-  defaultOpacity = 0.7,
-  defaultVisible = true
-) {
-  const container = document.getElementById('layer-toggle-container');
-  if (!container) return null;
+  drawProximityOverlay(location.latlng, result, radii);
+  renderProximity(location, result);
+}
 
-  const row = document.createElement('div');
-  row.className = 'layer-toggle-row';
+function clearProximity() {
+  if (proximityLayer) proximityLayer.clearLayers();
+  setLegendGroup('proximity', null);
+  const panel = document.getElementById('proximity-panel');
+  if (panel) panel.classList.add('hidden');
+}
 
-  const mainRow = document.createElement('div');
-  mainRow.className = 'layer-toggle-row-main';
+function setProximityActive(active) {
+  proximityActive = active;
 
-  const checkbox = document.createElement('input');
-  checkbox.type = 'checkbox';
-  checkbox.id = `layer-toggle-${layerId}`;
-  checkbox.checked = defaultVisible;
+  const btn = document.getElementById('proximity-btn');
+  if (btn) {
+    btn.textContent = active ? 'Proximity: On' : 'Proximity: Off';
+    btn.classList.toggle('active', active);
+  }
 
-  const label = document.createElement('label');
-  label.setAttribute('for', checkbox.id);
-  label.textContent = labelText;
+  if (!active) {
+    clearProximity();
+  } else if (analysisLocation) {
+    runProximityAnalysis(analysisLocation);
+  }
 
-  mainRow.appendChild(checkbox);
-  mainRow.appendChild(label);
+  updateAnalysisCursor();
+}
 
-  const sliderRow = document.createElement('div');
-  sliderRow.className = 'layer-toggle-slider-row';
+function initProximityTools() {
+  const btn = document.getElementById('proximity-btn');
+  if (btn) {
+    btn.addEventListener('click', () => setProximityActive(!proximityActive));
+  }
 
-  const sliderLabel = document.createElement('span');
-  sliderLabel.textContent = 'Opacity';
+  const ringsInput = document.getElementById('proximity-rings');
+  if (ringsInput) {
+    ringsInput.value = PROXIMITY_DEFAULT_RINGS.join(', ');
+    ringsInput.addEventListener('change', () => {
+      if (proximityActive && analysisLocation) {
+        runProximityAnalysis(analysisLocation);
+      }
+    });
+  }
 
-  const slider = document.createElement('input');
-  slider.type = 'range';
-  slider.min = '0';
-  slider.max = '1';
-  slider.step = '0.05';
-  slider.value = String(defaultOpacity);
+  const closeBtn = document.getElementById('proximity-close');
+  if (closeBtn) {
+    closeBtn.addEventListener('click', () => setProximityActive(false));
+  }
+}
 
-  sliderRow.appendChild(sliderLabel);
-  sliderRow.appendChild(slider);
+/**********************
+ * EVENT VENUE SCREENING REPORT
+ **********************/
 
-  row.appendChild(mainRow);
-  row.appendChild(sliderRow);
-  container.appendChild(row);
+const SCREENING_DEFAULT_RADIUS = 1000;
 
-  return { checkbox, slider };
+let screeningPickPending = false;
+
+function screeningRadius() {
+  const input = document.getElementById('screening-radius');
+  const value = input ? parseFloat(input.value) : NaN;
+  return Number.isFinite(value) && value > 0 ? value : SCREENING_DEFAULT_RADIUS;
 }
 
-function initLayerTogglePanel() {
-  const container = document.getElementById('layer-toggle-container');
-  if (!container) return;
+// Every overlay feature within radius metres of latlng, plus nearby
+// complaint history and the nearest sensitive receptors.
+function gatherScreeningData(latlng, radius) {
+  const pt = turf.point([latlng.lng, latlng.lat]);
+  const circle = turf.circle([latlng.lng, latlng.lat], radius / 1000, {
+    units: 'kilometers',
+    steps: 64,
+  });
 
-  container.innerHTML = '';
+  const overlays = [];
+  const missing = { pending: [], failed: [] };
 
   GEOJSON_LAYERS_CONFIG.forEach((cfg) => {
-    // skip roads from generic toggle (handled separately)
     if (cfg.type === 'roads') return;
 
-    const controls = createLayerToggleRow(
-      cfg.id,
-      cfg.name,
-      0.7,
-      false
-    );
-    if (controls) {
-      layerUIControls[cfg.id] = controls;
+    const data = overlayData[cfg.id];
+    if (!data) {
+      noteMissingOverlay(missing, cfg);
+      return;
     }
+
+    (data.features || []).forEach((feature) => {
+      if (!feature.geometry) return;
+
+      const nearest = nearestPointOnFeature(pt, feature);
+      const inside =
+        isPolygonalFeature(feature) && turf.booleanPointInPolygon(pt, feature);
+      const distance = inside ? 0 : nearest ? nearest.distance : Infinity;
+
+      if (distance > radius && !turf.booleanIntersects(circle, feature)) {
+        return;
+      }
+
+      overlays.push({
+        layerName: cfg.name,
+        name: featureDisplayName(cfg, feature, cfg.name),
+        distance,
+        inside,
+      });
+    });
   });
+
+  overlays.sort(
+    (a, b) => a.layerName.localeCompare(b.layerName) || a.distance - b.distance
+  );
+
+  const complaints = complaintSheetPoints(sheetPoints)
+    .filter(passesSheetSourceFilter)
+    .map((p) => ({
+      ...p,
+      distance: latlng.distanceTo([p.lat, p.lng]),
+    }))
+    .filter((p) => p.distance <= radius)
+    .sort((a, b) => a.distance - b.distance);
+
+  const proximity = computeProximity(latlng);
+
+  return {
+    overlays,
+    complaints,
+    totalComplaints: complaints.reduce((sum, p) => sum + p.complaints, 0),
+    proximity,
+    pending: Array.from(new Set(missing.pending.concat(proximity.pending))),
+    failed: Array.from(new Set(missing.failed.concat(proximity.failed))),
+  };
 }
 
-function guessLabelProperty(features) {
-  if (!features || !features.length) return null;
+// Simple paginated table for jsPDF; returns the y after the table
+function writePdfTable(doc, columns, rows, y, options = {}) {
+  const margin = options.margin || 12;
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const tableW = pageW - margin * 2;
+  const lineH = 4;
+
+  const totalWeight = columns.reduce((sum, c) => sum + (c.weight || 1), 0);
+  const widths = columns.map((c) => (tableW * (c.weight || 1)) / totalWeight);
+
+  const writeHeader = () => {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(8);
+    doc.setFillColor(229, 231, 235);
+    doc.rect(margin, y - 3.5, tableW, lineH + 1.5, 'F');
+    doc.setTextColor(17, 24, 39);
+    let x = margin;
+    columns.forEach((c, i) => {
+      doc.text(c.title, x + 1, y);
+      x += widths[i];
+    });
+    y += lineH + 1.5;
+    doc.setFont('helvetica', 'normal');
+  };
 
-  const props = features[0].properties || {};
-  const candidateKeys = [
-    'zone',
-    'ZONE',
-    'name',
-    'Name',
-    'NAME',
-    'label',
-    'Label',
-    'LABEL',
-    'category',
-    'Category',
-    'CATEGORY',
-  ];
+  writeHeader();
 
-  for (const key of candidateKeys) {
-    if (key in props) return key;
+  if (!rows.length) {
+    doc.setTextColor(107, 114, 128);
+    doc.text(options.emptyText || 'None', margin + 1, y);
+    return y + lineH + 2;
   }
 
-  for (const [key, value] of Object.entries(props)) {
-    if (typeof value === 'string' && value.trim() !== '') {
-      return key;
+  rows.forEach((row) => {
+    const cells = row.map((cell, i) =>
+      doc.splitTextToSize(String(cell ?? ''), widths[i] - 2)
+    );
+    const rowH = Math.max(...cells.map((c) => c.length)) * lineH;
+
+    if (y + rowH > pageH - margin) {
+      doc.addPage();
+      y = margin + 4;
+      writeHeader();
     }
+
+    doc.setTextColor(31, 41, 55);
+    let x = margin;
+    cells.forEach((lines, i) => {
+      doc.text(lines, x + 1, y);
+      x += widths[i];
+    });
+
+    doc.setDrawColor(229, 231, 235);
+    doc.line(margin, y + rowH - 3, margin + tableW, y + rowH - 3);
+    y += rowH;
+  });
+
+  return y + 2;
+}
+
+function writePdfHeading(doc, text, y) {
+  const pageH = doc.internal.pageSize.getHeight();
+  if (y + 16 > pageH - 12) {
+    doc.addPage();
+    y = 16;
   }
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.setTextColor(17, 24, 39);
+  doc.text(text, 12, y);
+  return y + 6;
+}
 
-  return null;
+const SCREENING_TILE_TIMEOUT_MS = 8000;
+
+// Resolves when all tile layers have loaded, or after timeoutMs
+function waitForMapTiles(timeoutMs) {
+  const pending = [];
+  map.eachLayer((layer) => {
+    if (layer instanceof L.GridLayer && layer.isLoading()) pending.push(layer);
+  });
+  if (!pending.length) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const loading = new Set(pending);
+    const done = () => {
+      clearTimeout(timer);
+      pending.forEach((layer) => layer.off('load', onLoad));
+      resolve();
+    };
+    const onLoad = (e) => {
+      loading.delete(e.target);
+      if (!loading.size) done();
+    };
+    const timer = setTimeout(done, timeoutMs);
+    pending.forEach((layer) => layer.on('load', onLoad));
+  });
 }
 
-function createPolygonOverlay(cfg, data) {
-  const features = (data && data.features) || [];
+// Frame the screening area on the map, snapshot it and restore the view
+function captureScreeningSnapshot(latlng, radius) {
+  const previousCenter = map.getCenter();
+  const previousZoom = map.getZoom();
+
+  const circle = L.circle(latlng, {
+    radius,
+    color: '#0ea5e9',
+    weight: 2,
+    dashArray: '6 4',
+    fillOpacity: 0.05,
+  }).addTo(map);
+
+  map.fitBounds(circle.getBounds(), { padding: [30, 30], animate: false });
+
+  // Let the tile layers queue requests for the new view before checking
+  return new Promise((resolve) => requestAnimationFrame(resolve))
+    .then(() => waitForMapTiles(SCREENING_TILE_TIMEOUT_MS))
+    .then(() => captureMapCanvas())
+    .finally(() => {
+      map.removeLayer(circle);
+      map.setView(previousCenter, previousZoom, { animate: false });
+    });
+}
 
-  const labelField =
-    cfg.labelField ||
-    (cfg.type === 'municipality'
-      ? 'NAME_1'
-      : cfg.type === 'zone'
-      ? 'zone'
-      : null) ||
-    guessLabelProperty(features);
+function buildScreeningReportPdf(location, radius, data, mapCanvas) {
+  const doc = createExportPdf('a4', 'portrait');
+  const pageW = doc.internal.pageSize.getWidth();
+  const margin = 12;
+  const { lat, lng } = location.latlng;
+  let y = 18;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.setTextColor(17, 24, 39);
+  doc.text('Event venue screening report', margin, y);
+  y += 7;
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(75, 85, 99);
+  [
+    `Location: ${location.label || 'Selected point'}`,
+    `Coordinates: ${lat.toFixed(5)}, ${lng.toFixed(5)}`,
+    `Screening radius: ${formatDrawLength(radius)}`,
+    `Generated: ${formatExportDate(new Date())}`,
+  ].forEach((line) => {
+    doc.text(line, margin, y);
+    y += 4.5;
+  });
+  y += 2;
+
+  if (mapCanvas) {
+    // Fit within the page width and 110 mm, keeping the aspect ratio
+    const maxW = pageW - margin * 2;
+    const fit = Math.min(
+      maxW / mapCanvas.width,
+      110 / mapCanvas.height
+    );
+    const imgW = mapCanvas.width * fit;
+    const imgH = mapCanvas.height * fit;
+    doc.addImage(
+      mapCanvas.toDataURL('image/png'),
+      'PNG',
+      margin,
+      y,
+      imgW,
+      imgH
+    );
+    doc.setDrawColor(156, 163, 175);
+    doc.rect(margin, y, imgW, imgH);
+    y += imgH + 8;
+  }
 
-  const valuesForColors = labelField
-    ? features.map((f) => f.properties?.[labelField])
-    : [cfg.name];
+  y = writePdfHeading(doc, `Overlays within ${formatDrawLength(radius)}`, y);
+  y = writePdfTable(
+    doc,
+    [
+      { title: 'Layer', weight: 2 },
+      { title: 'Feature', weight: 3 },
+      { title: 'Distance', weight: 1 },
+    ],
+    data.overlays.map((o) => [
+      o.layerName,
+      o.name,
+      o.inside ? 'Inside' : formatDrawLength(o.distance),
+    ]),
+    y,
+    { emptyText: 'No overlays intersect the screening area' }
+  );
 
-  const colorMap = buildCategoryColorMap(
-    valuesForColors.length ? valuesForColors : [cfg.name]
+  y = writePdfHeading(
+    doc,
+    `Complaint history (${data.complaints.length} locations, ${data.totalComplaints} complaints)`,
+    y + 2
+  );
+  y = writePdfTable(
+    doc,
+    [
+      { title: 'Location', weight: 3 },
+      { title: 'Complaints', weight: 1 },
+      { title: 'Category', weight: 1 },
+      { title: 'Distance', weight: 1 },
+    ],
+    data.complaints.map((p) => [
+      p.location || 'Unnamed',
+      p.complaints,
+      p.category,
+      formatDrawLength(p.distance),
+    ]),
+    y,
+    { emptyText: 'No complaint locations within the screening area' }
   );
 
-  const labelClass =
-    cfg.type === 'municipality'
-      ? 'municipality-label'
-      : cfg.type === 'zone'
-      ? 'zone-label'
-      : 'protected-label';
+  const receptorRows = data.proximity.receptors.map((t) => [
+    t.layerName,
+    t.name,
+    describeProximityTarget(t),
+  ]);
+  if (data.proximity.protectedBoundary) {
+    const b = data.proximity.protectedBoundary;
+    receptorRows.push([
+      'Protected area boundary',
+      `${b.layerName}${b.inside ? ' (inside)' : ''}`,
+      describeProximityTarget(b),
+    ]);
+  }
 
-  const layer = L.geoJSON(data, {
-    style: (feature) => {
-      const key = labelField
-        ? feature.properties?.[labelField]
-        : cfg.name;
-      const fillColor =
-        colorMap[key] ||
-        Object.values(colorMap)[0] ||
-        '#e5e7eb';
+  y = writePdfHeading(doc, 'Nearest sensitive receptors', y + 2);
+  y = writePdfTable(
+    doc,
+    [
+      { title: 'Layer', weight: 2 },
+      { title: 'Nearest', weight: 3 },
+      { title: 'Distance / bearing', weight: 2 },
+    ],
+    receptorRows,
+    y
+  );
 
-      return {
-        color: '#6b7280', // medium grey
-        weight: getPolygonStrokeWidth(map.getZoom()),
-        fillColor,
-        fillOpacity: 0.0,
-      };
-    },
-    onEachFeature: (feature, lyr) => {
-      const labelText = labelField
-        ? feature.properties?.[labelField]
-        : cfg.name;
+  const notes = [];
+  if (data.pending.length) {
+    notes.push(`Still loading when the report was generated: ${data.pending.join(', ')}`);
+  }
+  if (data.failed.length) {
+    notes.push(`Could not be loaded: ${data.failed.join(', ')}`);
+  }
+  if (notes.length) {
+    doc.setFontSize(8);
+    doc.setTextColor(180, 83, 9);
+    doc.text(doc.splitTextToSize(notes.join('\n'), pageW - margin * 2), margin, y + 2);
+  }
 
-      if (labelText) {
-        lyr.bindTooltip(labelText, {
-          direction: 'center',
-          className: labelClass,
-        });
+  return doc;
+}
+
+function generateScreeningReport(location) {
+  const radius = screeningRadius();
+  const data = gatherScreeningData(location.latlng, radius);
+  const btn = document.getElementById('screening-report-btn');
+
+  if (btn) {
+    btn.disabled = true;
+    btn.textContent = 'Building report…';
+  }
+
+  return captureScreeningSnapshot(location.latlng, radius)
+    .catch((err) => {
+      console.warn('Map snapshot failed; report will omit the map.', err);
+      return null;
+    })
+    .then((mapCanvas) => {
+      const doc = buildScreeningReportPdf(location, radius, data, mapCanvas);
+      doc.save(
+        `${exportFileBaseName(
+          `screening ${location.label || 'location'}`
+        )}.pdf`
+      );
+    })
+    .catch((err) => {
+      console.error('Error building screening report:', err);
+      alert('Could not build the screening report.');
+    })
+    .finally(() => {
+      if (btn) {
+        btn.disabled = false;
+        btn.textContent = 'Screening report';
       }
-    },
+    });
+}
+
+function setScreeningPickPending(pending) {
+  screeningPickPending = pending;
+  const btn = document.getElementById('screening-report-btn');
+  if (btn) btn.classList.toggle('active', pending);
+  updateAnalysisCursor();
+}
+
+function initScreeningReport() {
+  const radiusInput = document.getElementById('screening-radius');
+  if (radiusInput && !radiusInput.value) {
+    radiusInput.value = String(SCREENING_DEFAULT_RADIUS);
+  }
+
+  const btn = document.getElementById('screening-report-btn');
+  if (!btn) return;
+
+  btn.addEventListener('click', () => {
+    if (analysisLocation) {
+      generateScreeningReport(analysisLocation);
+      return;
+    }
+    // No location yet: the next pick on the map builds the report
+    setScreeningPickPending(!screeningPickPending);
   });
+}
 
-  polygonLayers.push(layer);
+/**********************
+ * PERMALINKS (URL HASH STATE)
+ **********************/
 
-  const controls = layerUIControls[cfg.id];
-  if (controls) {
-    const { checkbox, slider } = controls;
+let lastPermalinkHash = '';
+let permalinkUpdateTimer = null;
+
+// Current map state as a compact hash:
+// #map=z/lat/lng&base=imagery&layers=id:opacity,...&sheet=points,labels,...&roads=1
+function buildPermalinkHash() {
+  const c = map.getCenter();
+  const params = new URLSearchParams();
+  params.set('map', `${map.getZoom()}/${c.lat.toFixed(5)}/${c.lng.toFixed(5)}`);
+  params.set('base', currentBase);
+
+  const layers = Object.entries(layerUIControls)
+    .filter(([, controls]) => controls.checkbox.checked)
+    .map(([id, controls]) => `${id}:${parseFloat(controls.slider.value)}`);
+  if (layers.length) params.set('layers', layers.join(','));
+
+  const sheetFlags = [];
+  if (sheetPointsVisible) sheetFlags.push('points');
+  if (sheetLabelsOn) sheetFlags.push('labels');
+  if (sheetClusterOn) sheetFlags.push('cluster');
+  if (sheetDisplayMode === 'heatmap') sheetFlags.push('heat');
+  if (sheetFlags.length) params.set('sheet', sheetFlags.join(','));
+
+  if (roadsVisible) params.set('roads', '1');
+
+  // URLSearchParams escapes "/", ":" and "," which are safe in a fragment
+  return `#${params
+    .toString()
+    .replace(/%2F/g, '/')
+    .replace(/%3A/g, ':')
+    .replace(/%2C/g, ',')}`;
+}
 
-    const rebuildLegend = () => {
-      if (!checkbox.checked) {
-        setLegendGroup(cfg.id, null);
-        return;
-      }
+function parsePermalinkHash(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const state = {};
+
+  const view = (params.get('map') || '').split('/').map(Number);
+  if (view.length === 3 && view.every(Number.isFinite)) {
+    state.zoom = view[0];
+    state.center = [view[1], view[2]];
+  }
+
+  if (params.has('base')) state.base = params.get('base');
+
+  if (params.has('layers')) {
+    state.layers = {};
+    params
+      .get('layers')
+      .split(',')
+      .filter(Boolean)
+      .forEach((entry) => {
+        const [id, opacity] = entry.split(':');
+        const value = parseFloat(opacity);
+        state.layers[id] = Number.isFinite(value) ? value : 0.7;
+      });
+  }
+
+  if (params.has('sheet') || params.has('map')) {
+    const flags = (params.get('sheet') || '').split(',');
+    state.sheet = {
+      points: flags.includes('points'),
+      labels: flags.includes('labels'),
+      cluster: flags.includes('cluster'),
+      heat: flags.includes('heat'),
+    };
+  }
+
+  if (params.has('roads') || params.has('map')) {
+    state.roads = params.get('roads') === '1';
+  }
+
+  return state;
+}
+
+function setCheckboxAndNotify(checkbox, checked) {
+  if (!checkbox || checkbox.checked === checked) return;
+  checkbox.checked = checked;
+  checkbox.dispatchEvent(new Event('change'));
+}
 
-      const items = [];
+function applyPermalinkState(state) {
+  if (state.center && Number.isFinite(state.zoom)) {
+    map.setView(state.center, state.zoom, { animate: false });
+  }
 
-      if (labelField) {
-        Object.entries(colorMap).forEach(([value, color]) => {
-          if (!value) return;
-          items.push({
-            label: value,
-            color,
-          });
-        });
-      } else {
-        const firstColor =
-          Object.values(colorMap)[0] || '#e5e7eb';
-        items.push({
-          label: cfg.name,
-          color: firstColor,
-        });
-      }
+  if (state.base && state.base !== currentBase) {
+    toggleBase(document.querySelector('.basemap-toggle .basemap-btn'));
+  }
 
-      if (items.length) {
-        setLegendGroup(cfg.id, {
-          title: cfg.name,
-          items,
-        });
-      } else {
-        setLegendGroup(cfg.id, null);
+  if (state.layers) {
+    Object.entries(layerUIControls).forEach(([id, controls]) => {
+      const visible = id in state.layers;
+      if (visible) {
+        controls.slider.value = String(state.layers[id]);
+        controls.slider.dispatchEvent(new Event('input'));
       }
-    };
+      setCheckboxAndNotify(controls.checkbox, visible);
+    });
+  }
 
-    checkbox.addEventListener('change', () => {
-      if (checkbox.checked) {
-        layer.addTo(map);
-        const val = parseFloat(slider.value);
-        layer.setStyle({ fillOpacity: val });
-        rebuildLegend();
-      } else {
-        map.removeLayer(layer);
-        setLegendGroup(cfg.id, null);
+  if (state.sheet) {
+    setCheckboxAndNotify(sheetControls.pointsCheckbox, state.sheet.points);
+    setCheckboxAndNotify(sheetControls.labelsCheckbox, state.sheet.labels);
+    setCheckboxAndNotify(sheetControls.clusterCheckbox, state.sheet.cluster);
+
+    const mode = state.sheet.heat ? 'heat' : 'categories';
+    sheetControls.displayRadios.forEach((radio) => {
+      if (radio.value === mode && !radio.checked) {
+        radio.checked = true;
+        radio.dispatchEvent(new Event('change'));
       }
     });
+  }
 
-    slider.addEventListener('input', () => {
-      const val = parseFloat(slider.value);
-      layer.setStyle({ fillOpacity: val });
-    });
+  if (typeof state.roads === 'boolean' && state.roads !== roadsVisible) {
+    roadsVisible = state.roads;
+    const btn = document.getElementById('toggle-roads-btn');
+    if (btn) {
+      btn.textContent = roadsVisible ? 'Major Roads: On' : 'Major Roads: Off';
+      btn.classList.toggle('active', roadsVisible);
+    }
+    updateRoadsLegend();
+    updateRoadsVisibility();
   }
 }
 
-function loadOverlayLayers() {
-  GEOJSON_LAYERS_CONFIG.forEach((cfg) => {
-    fetch(cfg.url)
-      .then((resp) => resp.json())
-      .then((data) => {
-        if (cfg.type === 'roads') {
-          initRoadsLayer(data);
-          setupRoadsToggleButton();
-          updateRoadsVisibility();
-        } else {
-          createPolygonOverlay(cfg, data);
-        }
+function writePermalink() {
+  permalinkUpdateTimer = null;
+  const hash = buildPermalinkHash();
+  if (hash === lastPermalinkHash) return;
+  lastPermalinkHash = hash;
+  history.replaceState(null, '', hash);
+}
 
-        updatePolygonStyles();
-      })
-      .catch((err) => {
-        console.error('Error loading layer', cfg.id, err);
-      });
-  });
+function schedulePermalinkUpdate() {
+  if (permalinkUpdateTimer) clearTimeout(permalinkUpdateTimer);
+  permalinkUpdateTimer = setTimeout(writePermalink, 250);
 }
 
-function updatePolygonStyles() {
-  const z = map.getZoom();
-  const w = getPolygonStrokeWidth(z);
-  polygonLayers.forEach((layer) => {
-    layer.setStyle({ weight: w });
-  });
+function copyPermalink(buttonEl) {
+  writePermalink();
+  const url = window.location.href;
+
+  const done = () => {
+    if (!buttonEl) return;
+    buttonEl.textContent = 'Link copied';
+    setTimeout(() => {
+      buttonEl.textContent = 'Copy link';
+    }, 1500);
+  };
+
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(done, () => {
+      window.prompt('Copy this link:', url);
+    });
+  } else {
+    window.prompt('Copy this link:', url);
+  }
 }
 
-function featureIntersectsBounds(feature, bounds) {
-  const geom = feature.geometry;
-  if (!geom) return false;
+const CopyLinkControl = L.Control.extend({
+  options: { position: 'topright' },
+  onAdd: function () {
+    const container = L.DomUtil.create(
+      'div',
+      'leaflet-control copy-link-control'
+    );
+    const btn = L.DomUtil.create('button', 'basemap-btn', container);
+    btn.type = 'button';
+    btn.title = 'Copy a link to this map view';
+    btn.setAttribute('aria-label', 'Copy link to this view');
+    btn.textContent = 'Copy link';
 
-  const coords = geom.coordinates;
-  const type = geom.type;
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.on(btn, 'click', function (e) {
+      L.DomEvent.stop(e);
+      copyPermalink(btn);
+    });
 
-  if (!coords || !type) return false;
+    return container;
+  },
+});
 
-  let minLat = Infinity,
-    minLng = Infinity,
-    maxLat = -Infinity,
-    maxLng = -Infinity;
+function initPermalink() {
+  map.addControl(new CopyLinkControl());
 
-  function addCoord(c) {
-    const lng = c[0];
-    const lat = c[1];
-    if (lat < minLat) minLat = lat;
-    if (lat > maxLat) maxLat = lat;
-    if (lng < minLng) minLng = lng;
-    if (lng > maxLng) maxLng = lng;
+  if (window.location.hash) {
+    applyPermalinkState(parsePermalinkHash(window.location.hash));
   }
 
-  function walkCoords(c) {
-    if (
-      typeof c[0] === 'number' &&
-      typeof c[1] === 'number'
-    ) {
-      addCoord(c);
-    } else {
-      c.forEach(walkCoords);
-    }
+  map.on('moveend', schedulePermalinkUpdate);
+
+  const toggleContainer = document.getElementById('layer-toggle-container');
+  if (toggleContainer) {
+    toggleContainer.addEventListener('change', schedulePermalinkUpdate);
+    toggleContainer.addEventListener('input', schedulePermalinkUpdate);
   }
 
-  walkCoords(coords);
-  const fBounds = L.latLngBounds(
-    [[minLat, minLng],
-    [maxLat, maxLng]]
-  );
-  return bounds.intersects(fBounds);
+  if (sheetControls.container) {
+    sheetControls.container.addEventListener('change', schedulePermalinkUpdate);
+  }
+
+  const roadsBtn = document.getElementById('toggle-roads-btn');
+  if (roadsBtn) {
+    roadsBtn.addEventListener('click', schedulePermalinkUpdate);
+  }
+
+  window.addEventListener('hashchange', () => {
+    if (window.location.hash === lastPermalinkHash) return;
+    applyPermalinkState(parsePermalinkHash(window.location.hash));
+  });
 }
 
-function initRoadsLayer(data) {
-  roadsData = data;
+/**********************
+ * OFFLINE SUPPORT (SERVICE WORKER, CACHED DATA, SAVED TILES)
+ **********************/
 
-  roadsLayer = L.geoJSON(null, {
-    interactive: false,
-    bubblingMouseEvents: false,
-    style: () => ({
-      color: '#ffffff',
-      weight: getRoadLineWidth(map.getZoom()),
-      opacity: 0.6,
-      interactive: false,
-    }),
-    onEachFeature: (feature, layer) => {
-      const name =
-        feature.properties?.name ||
-        feature.properties?.NAME ||
-        feature.properties?.Name;
+const OFFLINE_TILE_CACHE = 'display-map-tiles-v1';
+const MAX_OFFLINE_TILES = 2500;
 
-      if (name) {
-        layer.bindTooltip(name, {
-          permanent: false,
-          direction: 'center',
-          className: 'road-label',
-        });
-      }
+const offlineState = {
+  online: navigator.onLine,
+  // url -> ISO time the cached copy was stored
+  cached: {},
+};
 
-      layer.options.interactive = false;
-    },
+function offlineDatasetName(url) {
+  const cfg = GEOJSON_LAYERS_CONFIG.find((c) => c.url === url);
+  if (cfg) return cfg.name;
+  const source = sheetSources.find((s) => s.url === url);
+  if (source) return source.name;
+  return null;
+}
+
+function formatCachedAt(iso) {
+  if (!iso) return 'an earlier session';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return 'an earlier session';
+  return d.toLocaleString('en-TT', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
   });
 }
 
-function updateRoadsLegend() {
-  if (roadsVisible) {
-    setLegendGroup('major_roads', {
-      title: 'Major Roads',
-      items: [
-        {
-          label: 'Major Roads',
-          color: '#e5e7eb',
-        },
-      ],
-    });
+function renderOfflineStatus() {
+  const statusEl = document.getElementById('offline-status');
+  if (!statusEl) return;
+
+  const cachedEntries = Object.entries(offlineState.cached);
+  statusEl.innerHTML = '';
+
+  const summary = document.createElement('div');
+  summary.className = 'offline-status-summary';
+
+  if (!offlineState.online) {
+    statusEl.className = 'offline-status offline-status--offline';
+    summary.textContent = 'Offline – showing cached data';
+  } else if (cachedEntries.length) {
+    statusEl.className = 'offline-status offline-status--stale';
+    summary.textContent = 'Some data could not be refreshed';
   } else {
-    setLegendGroup('major_roads', null);
+    statusEl.className = 'offline-status offline-status--live';
+    summary.textContent = 'Live data';
+  }
+  statusEl.appendChild(summary);
+
+  if (cachedEntries.length) {
+    const list = document.createElement('ul');
+    list.className = 'offline-status-list';
+    cachedEntries.forEach(([url, cachedAt]) => {
+      const li = document.createElement('li');
+      li.textContent = `${offlineDatasetName(url)}: cached ${formatCachedAt(
+        cachedAt
+      )}`;
+      list.appendChild(li);
+    });
+    statusEl.appendChild(list);
   }
 }
 
-function setupRoadsToggleButton() {
-  const btn = document.getElementById('toggle-roads-btn');
-  if (!btn) return;
+function handleServiceWorkerMessage(event) {
+  const msg = event.data || {};
+  if (!msg.url || !offlineDatasetName(msg.url)) return;
 
-  btn.addEventListener('click', () => {
-    roadsVisible = !roadsVisible;
-    btn.textContent = roadsVisible
-      ? 'Major Roads: On'
-      : 'Major Roads: Off';
-    btn.classList.toggle('active', roadsVisible);
-    updateRoadsLegend();
-    updateRoadsVisibility();
+  if (msg.type === 'data-cached') {
+    offlineState.cached[msg.url] = msg.cachedAt;
+  } else if (msg.type === 'data-fresh') {
+    delete offlineState.cached[msg.url];
+  }
+  renderOfflineStatus();
+}
+
+// URLs Leaflet would request for the given tile layer over bounds/zooms
+function tileUrlsForBounds(layer, bounds, minZoom, maxZoom) {
+  const urls = [];
+  const subdomains = layer.options.subdomains || [];
+  const tileSize = layer.getTileSize().x;
+
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const nw = map.project(bounds.getNorthWest(), z).divideBy(tileSize).floor();
+    const se = map.project(bounds.getSouthEast(), z).divideBy(tileSize).floor();
+
+    for (let x = nw.x; x <= se.x; x++) {
+      for (let y = nw.y; y <= se.y; y++) {
+        const s = subdomains.length
+          ? subdomains[Math.abs(x + y) % subdomains.length]
+          : '';
+        urls.push(
+          L.Util.template(layer._url, L.extend({ r: '', s, x, y, z }))
+        );
+        if (urls.length > MAX_OFFLINE_TILES) return urls;
+      }
+    }
+  }
+
+  return urls;
+}
+
+// CORS fetch so the status can be checked: an opaque or error response
+// would otherwise be saved and shown offline as a blank tile
+function fetchTileForCache(url) {
+  return fetch(url, { mode: 'cors' }).then((resp) => {
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    return resp;
   });
 }
 
-function updateRoadsVisibility() {
-  if (!roadsLayer || !roadsData) return;
+async function saveVisibleAreaOffline() {
+  if (!('caches' in window)) {
+    alert('This browser cannot store map tiles for offline use.');
+    return;
+  }
 
-  const zoom = map.getZoom();
-  const bounds = map.getBounds();
+  const depthSel = document.getElementById('offline-zoom-depth');
+  const btn = document.getElementById('offline-save-area-btn');
+  const depth = depthSel ? Number(depthSel.value) || 0 : 0;
+  const baseLayer = currentBase === 'imagery' ? esriImagery : esriStreets;
+  const minZoom = map.getZoom();
+  const maxZoom = Math.min(minZoom + depth, baseLayer.options.maxZoom || 18);
 
-  const showLines = roadsVisible && zoom >= 16;
-  const showLabels = roadsVisible && zoom >= 18;
+  const urls = tileUrlsForBounds(baseLayer, map.getBounds(), minZoom, maxZoom);
+  if (urls.length > MAX_OFFLINE_TILES) {
+    alert(
+      `That area needs more than ${MAX_OFFLINE_TILES} tiles. Zoom in or choose fewer extra zoom levels.`
+    );
+    return;
+  }
 
-  roadsLayer.clearLayers();
+  const cache = await caches.open(OFFLINE_TILE_CACHE);
+  let done = 0;
+  let failed = 0;
+
+  if (btn) btn.disabled = true;
+
+  // Small batches keep the tile servers happy
+  for (let i = 0; i < urls.length; i += 6) {
+    const batch = urls.slice(i, i + 6);
+    await Promise.all(
+      batch.map((url) =>
+        fetchTileForCache(url)
+          .then((resp) => cache.put(url, resp))
+          .catch(() => {
+            failed++;
+          })
+          .finally(() => {
+            done++;
+            if (btn) btn.textContent = `Saving tiles… ${done}/${urls.length}`;
+          })
+      )
+    );
+  }
 
-  if (showLines) {
-    (roadsData.features || []).forEach((feature) => {
-      if (featureIntersectsBounds(feature, bounds)) {
-        roadsLayer.addData(feature);
-      }
-    });
+  if (btn) {
+    btn.disabled = false;
+    btn.textContent = 'Save visible area offline';
+  }
 
-    if (!map.hasLayer(roadsLayer)) {
-      roadsLayer.addTo(map);
-    }
+  if (failed) {
+    alert(`${failed} of ${urls.length} tiles could not be saved.`);
+  }
 
-    roadsLayer.setStyle({
-      weight: getRoadLineWidth(zoom),
-      color: '#ffffff',
-      opacity: 0.6,
-    });
-  } else {
-    if (map.hasLayer(roadsLayer)) {
-      map.removeLayer(roadsLayer);
-    }
+  updateOfflineTileCount();
+}
+
+async function updateOfflineTileCount() {
+  const countEl = document.getElementById('offline-tile-count');
+  if (!countEl || !('caches' in window)) return;
+  const cache = await caches.open(OFFLINE_TILE_CACHE);
+  const keys = await cache.keys();
+  countEl.textContent = keys.length
+    ? `${keys.length} basemap tiles saved`
+    : 'No basemap tiles saved';
+}
+
+async function clearOfflineTiles() {
+  if (!('caches' in window)) return;
+  await caches.delete(OFFLINE_TILE_CACHE);
+  updateOfflineTileCount();
+}
+
+function initOfflineSupport() {
+  if ('serviceWorker' in navigator && /^https?:$/.test(location.protocol)) {
+    navigator.serviceWorker
+      .register('./sw.js')
+      .catch((err) => console.warn('Service worker registration failed', err));
+    navigator.serviceWorker.addEventListener(
+      'message',
+      handleServiceWorkerMessage
+    );
   }
 
-  roadsLayer.eachLayer((layer) => {
-    if (!layer.getTooltip()) return;
-    if (showLabels) {
-      layer.openTooltip();
-    } else {
-      layer.closeTooltip();
-    }
+  window.addEventListener('online', () => {
+    offlineState.online = true;
+    renderOfflineStatus();
   });
+  window.addEventListener('offline', () => {
+    offlineState.online = false;
+    renderOfflineStatus();
+  });
+
+  const saveBtn = document.getElementById('offline-save-area-btn');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', () => saveVisibleAreaOffline());
+  }
+
+  const clearBtn = document.getElementById('offline-clear-tiles-btn');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => clearOfflineTiles());
+  }
+
+  renderOfflineStatus();
+  updateOfflineTileCount();
 }
 
 /**********************
@@ -2168,17 +10258,30 @@ function updateRoadsVisibility() {
 
 initLayerTogglePanel();
 initSheetControls();
+initSheetSources();
+initSheetColumnMapping();
+initSheetRefresh();
+initDataQualityPanel();
+initPointDetailPanel();
+initClassificationPanel();
+initHeatmapControls();
+initTimelineControls();
+initQueryBuilder();
+initAttributeTable();
 initUploadButtonAndModal();
+initUploadPersistence();
+initMapExport();
+initDataExport();
+initDrawTools();
+initLocationTools();
+initProximityTools();
+initScreeningReport();
+initPermalink();
+initOfflineSupport();
 loadOverlayLayers();
 
-loadAllSheets()
-  .then(() => {
-    buildSheetPoints();
-    initSheetLayers();
-  })
-  .catch((err) => {
-    console.error('Error loading sheet data', err);
-  });
+// First load goes through the same path as later refreshes
+refreshSheetData();
 
 map.on('zoomend', () => {
   updatePolygonStyles();
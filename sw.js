@@ -0,0 +1,168 @@
+// Service worker for the event-location map: keeps the app shell, overlay
+// GeoJSON, the last sheet CSV and user-saved basemap tiles available offline.
+
+const SHELL_CACHE = 'display-map-shell-v2';
+const DATA_CACHE = 'display-map-data-v1';
+const TILE_CACHE = 'display-map-tiles-v1';
+
+const SHELL_URLS = [
+  './',
+  './index.html',
+  './main.js',
+  './style.css',
+  './icons/site.webmanifest',
+  './icons/favicon.ico',
+  './icons/favicon-16x16.png',
+  './icons/favicon-32x32.png',
+  './icons/apple-touch-icon.png',
+  './icons/android-chrome-192x192.png',
+  './icons/android-chrome-512x512.png',
+];
+
+// Third-party script/style hosts loaded by index.html
+const LIBRARY_HOSTS = ['unpkg.com', 'cdn.jsdelivr.net'];
+
+// Overlay GeoJSON and published Google Sheets
+const DATA_HOSTS = ['raw.githubusercontent.com', 'docs.google.com'];
+
+const TILE_HOST_PATTERNS = [
+  /(^|\.)arcgisonline\.com$/,
+  /^mt\d\.google\.com$/,
+  /(^|\.)basemaps\.cartocdn\.com$/,
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) =>
+        Promise.all(
+          SHELL_URLS.map((url) =>
+            cache.add(url).catch((err) => {
+              console.warn('Could not precache', url, err);
+            })
+          )
+        )
+      )
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('display-map-') && !keep.includes(key))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+function notifyClients(message) {
+  return self.clients
+    .matchAll({ includeUncontrolled: true })
+    .then((clients) => clients.forEach((client) => client.postMessage(message)));
+}
+
+// Copy of a response with the time it was stored, so the page can show
+// how old cached data is.
+function stampResponse(response) {
+  return response.blob().then((body) => {
+    const headers = new Headers(response.headers);
+    headers.set('x-cached-at', new Date().toISOString());
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+    });
+  });
+}
+
+// Network first; on failure or an error status fall back to the cache
+// and tell the page. Only successful responses are ever stored.
+function networkFirst(request, cacheName) {
+  const fromCache = (fallback) =>
+    caches.match(request).then((cached) => {
+      if (!cached) {
+        return fallback || Response.error();
+      }
+      notifyClients({
+        type: 'data-cached',
+        url: request.url,
+        cachedAt: cached.headers.get('x-cached-at'),
+      });
+      return cached;
+    });
+
+  return fetch(request)
+    .then((response) => {
+      if (!response.ok) return fromCache(response);
+
+      const copy = response.clone();
+      stampResponse(copy).then((stamped) =>
+        caches.open(cacheName).then((cache) => cache.put(request, stamped))
+      );
+      notifyClients({ type: 'data-fresh', url: request.url });
+      return response;
+    })
+    .catch(() => fromCache(null));
+}
+
+// Cache first, filling the cache from the network on a miss. Script tags
+// request no-cors, whose opaque responses hide the status, so the copy
+// is fetched with CORS and stored only when it succeeded.
+function cacheFirst(request, cacheName) {
+  return caches.match(request).then((cached) => {
+    if (cached) return cached;
+    return fetch(request.url, { mode: 'cors', credentials: 'omit' })
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(cacheName).then((cache) => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() => fetch(request));
+  });
+}
+
+// Tiles are only stored when the user saves an area; browsing just reads
+function cachedTileOrNetwork(request) {
+  return caches
+    .open(TILE_CACHE)
+    .then((cache) => cache.match(request, { ignoreVary: true }))
+    .then((cached) => cached || fetch(request));
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    // App shell: network first so deployments show up immediately
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+    return;
+  }
+
+  if (TILE_HOST_PATTERNS.some((re) => re.test(url.hostname))) {
+    event.respondWith(cachedTileOrNetwork(request));
+    return;
+  }
+
+  if (DATA_HOSTS.includes(url.hostname)) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+    return;
+  }
+
+  if (LIBRARY_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});